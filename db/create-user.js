@@ -0,0 +1,57 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const readline = require('readline');
+const { hashPassword, validateUser } = require('../lib/auth');
+
+// Create an account from the command line, typically the first race director:
+//   npm run create-user -- <username> [director|marshal]
+// The password is read from RACE_CONTROL_PASSWORD, or asked for if that isn't set.
+const [username, role = 'director'] = process.argv.slice(2);
+
+if (!username) {
+  console.error('Usage: npm run create-user -- <username> [director|marshal]');
+  process.exit(1);
+}
+
+/**
+ * Ask for the new account's password
+ * @returns {Promise<string>} The password
+ */
+function readPassword() {
+  if (process.env.RACE_CONTROL_PASSWORD) {
+    return Promise.resolve(process.env.RACE_CONTROL_PASSWORD);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(`Password for ${username}: `, answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+readPassword().then(async password => {
+  const { user, error } = validateUser({ username, password, role }, true);
+  if (error) {
+    console.error(error);
+    process.exit(1);
+  }
+
+  const passwordHash = await hashPassword(user.password);
+  const db = new sqlite3.Database(path.join(__dirname, 'race-control.db'));
+
+  db.run(
+    'INSERT INTO users (username, passwordHash, role, createdAt) VALUES (?, ?, ?, ?)',
+    [user.username, passwordHash, user.role, Date.now()],
+    err => {
+      if (err) {
+        console.error(err.code === 'SQLITE_CONSTRAINT' ? `User ${user.username} already exists` : err.message);
+        process.exitCode = 1;
+      } else {
+        console.log(`Created ${user.role} account ${user.username}`);
+      }
+      db.close();
+    }
+  );
+});
@@ -0,0 +1,43 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { checkSchema, migrate } = require('./migrator');
+
+// Bring the database schema up to date, or take it back to an earlier version:
+//   npm run migrate                 apply every pending migration
+//   npm run migrate -- <version>    migrate up or down to a schema version, 0 to undo them all
+//   npm run migrate -- status       show the current version and any pending migrations
+// Back up db/race-control.db before migrating down, as that drops columns and tables with their data.
+const [command] = process.argv.slice(2);
+
+const db = new sqlite3.Database(path.join(__dirname, 'race-control.db'));
+
+if (command === 'status') {
+  checkSchema(db, (err, schema) => {
+    if (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+    } else {
+      console.log(`Schema version ${schema.current} of ${schema.latest}`);
+      schema.pending.forEach(migration => {
+        console.log(`  pending ${migration.version} ${migration.name}: ${migration.description}`);
+      });
+    }
+    db.close();
+  });
+} else {
+  const target = command === undefined ? null : Number(command);
+
+  migrate(db, target, (err, applied = []) => {
+    applied.forEach(step => {
+      console.log(`${step.direction === 'up' ? 'Applied' : 'Undid'} migration ${step.version} ${step.name}`);
+    });
+
+    if (err) {
+      console.error(`Migration failed: ${err.message}`);
+      process.exitCode = 1;
+    } else if (applied.length === 0) {
+      console.log('The database schema is already up to date');
+    }
+    db.close();
+  });
+}
@@ -0,0 +1,33 @@
+// The races and results tables as the app was first released
+module.exports = {
+  description: 'Create the races and results tables',
+
+  up(schema) {
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS races (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        date TEXT NOT NULL,
+        startTime INTEGER,
+        status TEXT DEFAULT 'pending'
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raceId INTEGER,
+        runnerNumber INTEGER NOT NULL,
+        finishTime INTEGER NOT NULL,
+        uploadedBy TEXT,
+        uploadedAt INTEGER,
+        FOREIGN KEY (raceId) REFERENCES races(id)
+      )
+    `);
+  },
+
+  down(schema) {
+    schema.dropTable('results');
+    schema.dropTable('races');
+  }
+};
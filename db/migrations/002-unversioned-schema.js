@@ -0,0 +1,270 @@
+// Everything added to the schema before migrations were tracked. Databases made by the old setup
+// script may already have any of it, so only what is missing is added. Those databases can only be
+// taken back down once results.clientId has been rebuilt without its UNIQUE constraint.
+module.exports = {
+  description: 'Add entrants, offline sync, accounts, series, waves, splits, statuses and runner profiles',
+
+  up(schema) {
+    schema.addColumn('races', 'distance REAL');
+    schema.addColumn('races', 'distanceUnit TEXT');
+    schema.addColumn('races', 'courseType TEXT');
+    schema.addColumn('races', 'description TEXT');
+    schema.addColumn('races', 'startDeviceId TEXT');
+    schema.addColumn('races', 'startRecordedOffline INTEGER DEFAULT 0');
+    schema.addColumn('races', 'startClockOffset INTEGER');
+    schema.addColumn('races', 'startClockUncertainty INTEGER');
+    schema.addColumn('races', 'endTime INTEGER');
+    schema.addColumn('races', 'endDeviceId TEXT');
+    schema.addColumn('races', 'endRecordedOffline INTEGER DEFAULT 0');
+    schema.addColumn('races', 'endClockOffset INTEGER');
+    schema.addColumn('races', 'endClockUncertainty INTEGER');
+    schema.addColumn('races', 'pairingMode INTEGER DEFAULT 0');
+    schema.addColumn('races', "reconciliationRule TEXT DEFAULT 'earliest'");
+    schema.addColumn('races', 'primaryDeviceId TEXT');
+
+    schema.addColumn('results', 'clientId TEXT');
+    schema.addColumn('results', 'clockOffset INTEGER');
+    schema.addColumn('results', 'clockUncertainty INTEGER');
+    schema.addColumn('results', 'note TEXT');
+    schema.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_results_client ON results (clientId)');
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS entrants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raceId INTEGER NOT NULL,
+        bibNumber INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        club TEXT,
+        gender TEXT,
+        dateOfBirth TEXT,
+        emergencyContact TEXT,
+        runnerId INTEGER,
+        UNIQUE (raceId, bibNumber),
+        FOREIGN KEY (raceId) REFERENCES races(id),
+        FOREIGN KEY (runnerId) REFERENCES runners(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS pairing_times (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raceId INTEGER NOT NULL,
+        clientId TEXT UNIQUE,
+        deviceId TEXT,
+        finishTime INTEGER NOT NULL,
+        clockOffset INTEGER,
+        clockUncertainty INTEGER,
+        uploadedAt INTEGER,
+        merged INTEGER DEFAULT 0,
+        FOREIGN KEY (raceId) REFERENCES races(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS pairing_bibs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raceId INTEGER NOT NULL,
+        clientId TEXT UNIQUE,
+        deviceId TEXT,
+        sequence REAL NOT NULL,
+        runnerNumber INTEGER,
+        uploadedAt INTEGER,
+        merged INTEGER DEFAULT 0,
+        FOREIGN KEY (raceId) REFERENCES races(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS result_resolutions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raceId INTEGER NOT NULL,
+        runnerNumber INTEGER NOT NULL,
+        resultId INTEGER NOT NULL,
+        resolvedAt INTEGER,
+        UNIQUE (raceId, runnerNumber),
+        FOREIGN KEY (raceId) REFERENCES races(id),
+        FOREIGN KEY (resultId) REFERENCES results(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS result_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raceId INTEGER NOT NULL,
+        resultId INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        changedBy TEXT,
+        reason TEXT,
+        before TEXT,
+        after TEXT,
+        changedAt INTEGER NOT NULL,
+        FOREIGN KEY (raceId) REFERENCES races(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        passwordHash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        displayName TEXT,
+        createdAt INTEGER
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tokenHash TEXT NOT NULL UNIQUE,
+        userId INTEGER NOT NULL,
+        createdAt INTEGER,
+        expiresAt INTEGER NOT NULL,
+        FOREIGN KEY (userId) REFERENCES users(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS race_marshals (
+        raceId INTEGER NOT NULL,
+        userId INTEGER NOT NULL,
+        PRIMARY KEY (raceId, userId),
+        FOREIGN KEY (raceId) REFERENCES races(id),
+        FOREIGN KEY (userId) REFERENCES users(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS series (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        scoreBy TEXT DEFAULT 'overall',
+        firstPlacePoints INTEGER DEFAULT 100,
+        bestOf INTEGER,
+        createdAt INTEGER
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS series_races (
+        seriesId INTEGER NOT NULL,
+        raceId INTEGER NOT NULL,
+        PRIMARY KEY (seriesId, raceId),
+        FOREIGN KEY (seriesId) REFERENCES series(id),
+        FOREIGN KEY (raceId) REFERENCES races(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS race_waves (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raceId INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        bibs TEXT,
+        categories TEXT,
+        sortOrder INTEGER DEFAULT 0,
+        startTime INTEGER,
+        startDeviceId TEXT,
+        startRecordedOffline INTEGER DEFAULT 0,
+        startClockOffset INTEGER,
+        startClockUncertainty INTEGER,
+        FOREIGN KEY (raceId) REFERENCES races(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS race_timing_points (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raceId INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        sortOrder INTEGER DEFAULT 0,
+        FOREIGN KEY (raceId) REFERENCES races(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS splits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raceId INTEGER NOT NULL,
+        timingPointId INTEGER NOT NULL,
+        clientId TEXT UNIQUE,
+        runnerNumber INTEGER NOT NULL,
+        splitTime INTEGER NOT NULL,
+        clockOffset INTEGER,
+        clockUncertainty INTEGER,
+        uploadedBy TEXT,
+        uploadedAt INTEGER,
+        FOREIGN KEY (raceId) REFERENCES races(id),
+        FOREIGN KEY (timingPointId) REFERENCES race_timing_points(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS runner_statuses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raceId INTEGER NOT NULL,
+        runnerNumber INTEGER NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('DNS', 'DNF', 'DSQ')),
+        reason TEXT,
+        setBy TEXT,
+        setAt INTEGER,
+        UNIQUE (raceId, runnerNumber),
+        FOREIGN KEY (raceId) REFERENCES races(id)
+      )
+    `);
+
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS runners (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        gender TEXT,
+        dateOfBirth TEXT,
+        club TEXT,
+        createdAt INTEGER
+      )
+    `);
+
+    schema.addColumn('entrants', 'runnerId INTEGER REFERENCES runners(id)');
+    schema.run('CREATE INDEX IF NOT EXISTS idx_entrants_runner ON entrants (runnerId)');
+  },
+
+  down(schema) {
+    schema.dropTable('runners');
+    schema.dropTable('runner_statuses');
+    schema.dropTable('splits');
+    schema.dropTable('race_timing_points');
+    schema.dropTable('race_waves');
+    schema.dropTable('series_races');
+    schema.dropTable('series');
+    schema.dropTable('race_marshals');
+    schema.dropTable('sessions');
+    schema.dropTable('users');
+    schema.dropTable('result_audit');
+    schema.dropTable('result_resolutions');
+    schema.dropTable('pairing_bibs');
+    schema.dropTable('pairing_times');
+    schema.dropTable('entrants');
+
+    schema.run('DROP INDEX IF EXISTS idx_results_client');
+    schema.dropColumn('results', 'clientId');
+    schema.dropColumn('results', 'clockOffset');
+    schema.dropColumn('results', 'clockUncertainty');
+    schema.dropColumn('results', 'note');
+    schema.dropColumn('races', 'distance');
+    schema.dropColumn('races', 'distanceUnit');
+    schema.dropColumn('races', 'courseType');
+    schema.dropColumn('races', 'description');
+    schema.dropColumn('races', 'startDeviceId');
+    schema.dropColumn('races', 'startRecordedOffline');
+    schema.dropColumn('races', 'startClockOffset');
+    schema.dropColumn('races', 'startClockUncertainty');
+    schema.dropColumn('races', 'endTime');
+    schema.dropColumn('races', 'endDeviceId');
+    schema.dropColumn('races', 'endRecordedOffline');
+    schema.dropColumn('races', 'endClockOffset');
+    schema.dropColumn('races', 'endClockUncertainty');
+    schema.dropColumn('races', 'pairingMode');
+    schema.dropColumn('races', 'reconciliationRule');
+    schema.dropColumn('races', 'primaryDeviceId');
+  }
+};
@@ -0,0 +1,14 @@
+// Deleted races are kept in the trash, where they can be restored until a director purges them
+module.exports = {
+  description: 'Add the time a race was moved to the trash and who moved it',
+
+  up(schema) {
+    schema.addColumn('races', 'deletedAt INTEGER');
+    schema.addColumn('races', 'deletedBy TEXT');
+  },
+
+  down(schema) {
+    schema.dropColumn('races', 'deletedBy');
+    schema.dropColumn('races', 'deletedAt');
+  }
+};
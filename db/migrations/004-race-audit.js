@@ -0,0 +1,24 @@
+// Publishing, reopening and start time corrections are recorded with who made them and why
+module.exports = {
+  description: 'Add the race audit log',
+
+  up(schema) {
+    schema.run(`
+      CREATE TABLE IF NOT EXISTS race_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raceId INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        changedBy TEXT,
+        reason TEXT,
+        before TEXT,
+        after TEXT,
+        changedAt INTEGER NOT NULL,
+        FOREIGN KEY (raceId) REFERENCES races(id)
+      )
+    `);
+  },
+
+  down(schema) {
+    schema.dropTable('race_audit');
+  }
+};
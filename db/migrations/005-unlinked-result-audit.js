@@ -0,0 +1,43 @@
+// The audit log of a deleted result outlives it, so a backup restored elsewhere can hold audit rows whose
+// result no longer exists. SQLite cannot drop a NOT NULL constraint, so the table is rebuilt to let those
+// rows keep their history without a result.
+const RESULT_AUDIT_COLUMNS = 'id, raceId, resultId, action, changedBy, reason, before, after, changedAt';
+
+/**
+ * Rebuild result_audit with or without a required resultId, keeping its rows
+ * @param {Object} schema - The schema builder
+ * @param {string} resultId - The resultId column definition
+ * @param {string} where - Which rows to keep
+ */
+function rebuildResultAudit(schema, resultId, where) {
+  schema.run(`
+    CREATE TABLE result_audit_rebuilt (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      raceId INTEGER NOT NULL,
+      resultId ${resultId},
+      action TEXT NOT NULL,
+      changedBy TEXT,
+      reason TEXT,
+      before TEXT,
+      after TEXT,
+      changedAt INTEGER NOT NULL,
+      FOREIGN KEY (raceId) REFERENCES races(id)
+    )
+  `);
+  schema.run(`INSERT INTO result_audit_rebuilt (${RESULT_AUDIT_COLUMNS}) SELECT ${RESULT_AUDIT_COLUMNS} FROM result_audit WHERE ${where}`);
+  schema.dropTable('result_audit');
+  schema.run('ALTER TABLE result_audit_rebuilt RENAME TO result_audit');
+}
+
+module.exports = {
+  description: 'Let result audit rows outlive a result that was deleted before a backup was restored',
+
+  up(schema) {
+    rebuildResultAudit(schema, 'INTEGER', '1');
+  },
+
+  // Going back down loses the audit rows that have no result
+  down(schema) {
+    rebuildResultAudit(schema, 'INTEGER NOT NULL', 'resultId IS NOT NULL');
+  }
+};
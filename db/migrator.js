@@ -0,0 +1,257 @@
+/**
+ * Database migrations
+ * Applies the numbered files in db/migrations in order and records each one in schema_migrations,
+ * so the database's schema version is the number of the last migration applied.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Load the migrations in version order
+ * Each file is named <version>-<name>.js and exports a description, up(schema) and, where the
+ * change can be undone, down(schema).
+ * @returns {Array} The migrations, each { version, name, description, up, down }
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: /^(\d+)-(.+)\.js$/.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: Number(match[1]),
+      name: match[2],
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Collect the steps of a migration
+ * The steps are checked against the database as they run, so a migration can be applied to a
+ * database created before migrations were tracked without failing on what it already has.
+ * @returns {Object} The schema builder, whose steps are run in the order they were added
+ */
+function createSchema() {
+  const steps = [];
+
+  return {
+    steps,
+
+    /**
+     * Run a statement
+     * @param {string} sql - The statement
+     */
+    run(sql) {
+      steps.push(() => ({ sql }));
+    },
+
+    /**
+     * Add a column to a table unless it already has it
+     * @param {string} table - The table
+     * @param {string} definition - The column definition, starting with its name
+     */
+    addColumn(table, definition) {
+      const column = definition.trim().split(/\s+/)[0];
+      steps.push(columns => (columns(table).includes(column) ? null : { sql: `ALTER TABLE ${table} ADD COLUMN ${definition}` }));
+    },
+
+    /**
+     * Remove a column from a table if it has it
+     * @param {string} table - The table
+     * @param {string} column - The column
+     */
+    dropColumn(table, column) {
+      steps.push(columns => (columns(table).includes(column) ? { sql: `ALTER TABLE ${table} DROP COLUMN ${column}` } : null));
+    },
+
+    /**
+     * Remove a table if it exists
+     * @param {string} table - The table
+     */
+    dropTable(table) {
+      steps.push(() => ({ sql: `DROP TABLE IF EXISTS ${table}` }));
+    }
+  };
+}
+
+/**
+ * Run a migration's steps one at a time
+ * @param {Object} db - The database connection
+ * @param {Array} steps - The steps from createSchema
+ * @param {Function} callback - Called with (err)
+ */
+function runSteps(db, steps, callback) {
+  const next = index => {
+    if (index >= steps.length) {
+      return callback(null);
+    }
+
+    // Column steps need the table's current columns, so those are read before every step
+    db.all("SELECT m.name as tableName, p.name FROM sqlite_master m JOIN pragma_table_info(m.name) p WHERE m.type = 'table'", (err, rows) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const columns = table => rows.filter(row => row.tableName === table).map(row => row.name);
+      const step = steps[index](columns);
+      if (!step) {
+        return next(index + 1);
+      }
+
+      db.run(step.sql, err => {
+        if (err) {
+          return callback(new Error(`${err.message} in: ${step.sql.trim().split('\n')[0]}`));
+        }
+        next(index + 1);
+      });
+    });
+  };
+
+  next(0);
+}
+
+/**
+ * Read the database's schema version
+ * A database created before migrations were tracked, or a new one, is at version 0.
+ * @param {Object} db - The database connection
+ * @param {Function} callback - Called with (err, version)
+ */
+function getSchemaVersion(db, callback) {
+  db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'", (err, table) => {
+    if (err || !table) {
+      return callback(err, 0);
+    }
+
+    db.get('SELECT MAX(version) as version FROM schema_migrations', (err, row) => {
+      callback(err, row ? row.version || 0 : 0);
+    });
+  });
+}
+
+/**
+ * Compare the database's schema version with the latest migration
+ * @param {Object} db - The database connection
+ * @param {Function} callback - Called with (err, { current, latest, pending }), pending being the migrations not yet applied
+ */
+function checkSchema(db, callback) {
+  const migrations = loadMigrations();
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  getSchemaVersion(db, (err, current) => {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, { current, latest, pending: migrations.filter(migration => migration.version > current) });
+  });
+}
+
+/**
+ * Apply or undo one migration in its own transaction, recording the new schema version
+ * @param {Object} db - The database connection
+ * @param {Object} migration - The migration
+ * @param {string} direction - 'up' or 'down'
+ * @param {Function} callback - Called with (err)
+ */
+function runMigration(db, migration, direction, callback) {
+  if (typeof migration[direction] !== 'function') {
+    return callback(new Error(`Migration ${migration.version} (${migration.name}) cannot be undone`));
+  }
+
+  const schema = createSchema();
+  migration[direction](schema);
+
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+
+    runSteps(db, schema.steps, err => {
+      if (err) {
+        db.run('ROLLBACK');
+        return callback(err);
+      }
+
+      const record = direction === 'up'
+        ? ['INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)', [migration.version, migration.name, Date.now()]]
+        : ['DELETE FROM schema_migrations WHERE version = ?', [migration.version]];
+
+      db.run(record[0], record[1], err => {
+        if (err) {
+          db.run('ROLLBACK');
+          return callback(err);
+        }
+        db.run('COMMIT', callback);
+      });
+    });
+  });
+}
+
+/**
+ * Migrate the database up or down to a schema version
+ * @param {Object} db - The database connection
+ * @param {number|null} target - The version to migrate to, or null for the latest
+ * @param {Function} callback - Called with (err, applied), applied listing each { version, name, direction } run
+ */
+function migrate(db, target, callback) {
+  const migrations = loadMigrations();
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const targetVersion = target === null ? latest : target;
+
+  if (!Number.isInteger(targetVersion) || targetVersion < 0 || targetVersion > latest) {
+    return callback(new Error(`Schema version must be a whole number from 0 to ${latest}`));
+  }
+
+  db.run(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt INTEGER NOT NULL
+    )`,
+    err => {
+      if (err) {
+        return callback(err);
+      }
+
+      getSchemaVersion(db, (err, current) => {
+        if (err) {
+          return callback(err);
+        }
+
+        // Going up applies each later migration in order; going down undoes each newer one, newest first
+        const plan = targetVersion >= current
+          ? migrations
+            .filter(migration => migration.version > current && migration.version <= targetVersion)
+            .map(migration => ({ migration, direction: 'up' }))
+          : migrations
+            .filter(migration => migration.version > targetVersion && migration.version <= current)
+            .reverse()
+            .map(migration => ({ migration, direction: 'down' }));
+
+        const applied = [];
+        const next = index => {
+          if (index >= plan.length) {
+            return callback(null, applied);
+          }
+
+          const { migration, direction } = plan[index];
+          const step = { version: migration.version, name: migration.name, direction };
+
+          runMigration(db, migration, direction, err => {
+            if (err) {
+              return callback(err, applied);
+            }
+            applied.push(step);
+            next(index + 1);
+          });
+        };
+
+        next(0);
+      });
+    }
+  );
+}
+
+module.exports = {
+  loadMigrations,
+  checkSchema,
+  migrate
+};
@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const { migrate } = require('./migrator');
 
 // Create db directory if it doesn't exist
 const dbDir = path.join(__dirname);
@@ -8,34 +9,15 @@ if (!fs.existsSync(dbDir)) {
   fs.mkdirSync(dbDir);
 }
 
-// Create and setup database
+// Create and setup database; the schema itself lives in db/migrations
 const db = new sqlite3.Database(path.join(dbDir, 'race-control.db'));
 
-db.serialize(() => {
-  // Create tables
-  db.run(`
-    CREATE TABLE IF NOT EXISTS races (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      date TEXT NOT NULL,
-      startTime INTEGER,
-      status TEXT DEFAULT 'pending'
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS results (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      raceId INTEGER,
-      runnerNumber INTEGER NOT NULL,
-      finishTime INTEGER NOT NULL,
-      uploadedBy TEXT,
-      uploadedAt INTEGER,
-      FOREIGN KEY (raceId) REFERENCES races(id)
-    )
-  `);
-
-  console.log('Database setup complete!');
+migrate(db, null, err => {
+  if (err) {
+    console.error(`Database setup failed: ${err.message}`);
+    process.exitCode = 1;
+  } else {
+    console.log('Database setup complete!');
+  }
+  db.close();
 });
-
-db.close();
\ No newline at end of file
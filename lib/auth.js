@@ -0,0 +1,159 @@
+/**
+ * Authentication helpers
+ * Password hashing, session tokens and the session cookie
+ */
+const crypto = require('crypto');
+
+const ROLES = ['director', 'marshal'];
+
+const SESSION_COOKIE = 'rc_session';
+
+// Long enough to cover a race weekend on a marshal's phone without signing in again
+const SESSION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a password with a random salt for storage
+ * @param {string} password - The plain-text password
+ * @returns {Promise<string>} The hash as 'scrypt$salt$key'
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${key.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - The plain-text password
+ * @param {string} stored - The hash from hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, keyHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !keyHex) {
+    return Promise.resolve(false);
+  }
+
+  const expected = Buffer.from(keyHex, 'hex');
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, expected.length, (err, key) => {
+      if (err) return reject(err);
+      resolve(crypto.timingSafeEqual(key, expected));
+    });
+  });
+}
+
+/**
+ * Create a new random session token
+ * @returns {string} The token handed to the client
+ */
+function createSessionToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash a session token for storage, so a copy of the database can't be used to sign in
+ * @param {string} token - The session token
+ * @returns {string} The SHA-256 hash in hex
+ */
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Read the session token from a request
+ * Browsers send the session cookie; scripts may send an Authorization: Bearer header instead.
+ * @param {Object} req - The Express request
+ * @returns {string|null} The token, or null if there is none
+ */
+function readSessionToken(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim() || null;
+  }
+
+  const cookies = String(req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const separator = cookie.indexOf('=');
+    if (separator > 0 && cookie.slice(0, separator).trim() === SESSION_COOKIE) {
+      return decodeURIComponent(cookie.slice(separator + 1).trim()) || null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the Set-Cookie header value for a session
+ * @param {string|null} token - The session token, or null to clear the cookie
+ * @param {boolean} secure - Whether the request came over HTTPS
+ * @returns {string} The header value
+ */
+function sessionCookie(token, secure = false) {
+  const attributes = ['Path=/', 'HttpOnly', 'SameSite=Strict'];
+  if (secure) attributes.push('Secure');
+
+  if (!token) {
+    return [`${SESSION_COOKIE}=`, ...attributes, 'Max-Age=0'].join('; ');
+  }
+
+  return [`${SESSION_COOKIE}=${encodeURIComponent(token)}`, ...attributes, `Max-Age=${SESSION_TTL_MS / 1000}`].join('; ');
+}
+
+/**
+ * Validate the fields of a new or changed account
+ * @param {Object} input - The submitted fields
+ * @param {boolean} isNew - Whether the account is being created, making username, password and role required
+ * @returns {Object} Either { user } with the cleaned fields that were given, or { error }
+ */
+function validateUser(input, isNew) {
+  const user = {};
+
+  if (isNew || input.username !== undefined) {
+    const username = String(input.username || '').trim().toLowerCase();
+    if (!/^[a-z0-9._-]{3,32}$/.test(username)) {
+      return { error: 'Username must be 3 to 32 letters, numbers, dots, dashes or underscores' };
+    }
+    user.username = username;
+  }
+
+  if (isNew || input.password !== undefined) {
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    user.password = input.password;
+  }
+
+  if (isNew || input.role !== undefined) {
+    if (!ROLES.includes(input.role)) {
+      return { error: `Role must be one of ${ROLES.join(', ')}` };
+    }
+    user.role = input.role;
+  }
+
+  if (input.displayName !== undefined) {
+    user.displayName = String(input.displayName || '').trim() || null;
+  }
+
+  return { user };
+}
+
+module.exports = {
+  ROLES,
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  hashSessionToken,
+  readSessionToken,
+  sessionCookie,
+  validateUser
+};
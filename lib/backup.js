@@ -0,0 +1,130 @@
+/**
+ * Backup archives
+ * Describes the versioned JSON archive that races, their results and series are backed up to and restored from
+ */
+
+const ARCHIVE_FORMAT = 'race-control-archive';
+
+// Bump when the archive layout changes; older archives must still restore
+const ARCHIVE_VERSION = 1;
+
+// The race details kept in an archive
+const RACE_COLUMNS = [
+  'name', 'date', 'distance', 'distanceUnit', 'courseType', 'description', 'status',
+  'startTime', 'startDeviceId', 'startRecordedOffline', 'startClockOffset', 'startClockUncertainty',
+  'endTime', 'endDeviceId', 'endRecordedOffline', 'endClockOffset', 'endClockUncertainty',
+  'pairingMode', 'reconciliationRule', 'primaryDeviceId'
+];
+
+// The tables holding a race's rows, in the order they are restored. Each row keeps its archived id so
+// the columns in references can be pointed at the new id of the row they refer to. A row referring to
+// one that isn't in the archive, such as a deleted result, is left out unless the table keeps it unlinked.
+const ARCHIVE_TABLES = [
+  {
+    table: 'entrants',
+    columns: ['bibNumber', 'name', 'club', 'gender', 'dateOfBirth', 'emergencyContact']
+  },
+  {
+    table: 'results',
+    columns: ['clientId', 'runnerNumber', 'finishTime', 'clockOffset', 'clockUncertainty', 'uploadedBy', 'uploadedAt', 'note']
+  },
+  {
+    table: 'result_resolutions',
+    columns: ['runnerNumber', 'resultId', 'resolvedAt'],
+    references: { resultId: 'results' }
+  },
+  {
+    table: 'result_audit',
+    columns: ['resultId', 'action', 'changedBy', 'reason', 'before', 'after', 'changedAt'],
+    references: { resultId: 'results' },
+    // The history of a deleted result is kept without its result
+    keepUnlinked: true
+  },
+  {
+    table: 'pairing_times',
+    columns: ['clientId', 'deviceId', 'finishTime', 'clockOffset', 'clockUncertainty', 'uploadedAt', 'merged']
+  },
+  {
+    table: 'pairing_bibs',
+    columns: ['clientId', 'deviceId', 'sequence', 'runnerNumber', 'uploadedAt', 'merged']
+  },
+  {
+    table: 'race_waves',
+    columns: ['name', 'bibs', 'categories', 'sortOrder', 'startTime', 'startDeviceId', 'startRecordedOffline',
+      'startClockOffset', 'startClockUncertainty']
+  },
+  {
+    table: 'race_timing_points',
+    columns: ['name', 'sortOrder']
+  },
+  {
+    table: 'splits',
+    columns: ['timingPointId', 'clientId', 'runnerNumber', 'splitTime', 'clockOffset', 'clockUncertainty', 'uploadedBy', 'uploadedAt'],
+    references: { timingPointId: 'race_timing_points' }
+  },
+  {
+    table: 'runner_statuses',
+    columns: ['runnerNumber', 'status', 'reason', 'setBy', 'setAt']
+  },
+  {
+    table: 'race_audit',
+    columns: ['action', 'changedBy', 'reason', 'before', 'after', 'changedAt']
+  }
+];
+
+// Tables whose rows carry a device's clientId, which must stay unique across every race
+const CLIENT_ID_TABLES = ['results', 'pairing_times', 'pairing_bibs', 'splits'];
+
+/**
+ * Validate an uploaded archive before anything is restored from it
+ * @param {Object} archive - The parsed archive
+ * @returns {Object} Either { archive } or { error }
+ */
+function validateArchive(archive) {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    return { error: 'This is not a Race Control backup archive' };
+  }
+  if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+    return { error: `Archive version ${archive.version} is newer than this server can restore (${ARCHIVE_VERSION})` };
+  }
+  if (!Array.isArray(archive.races)) {
+    return { error: 'The archive has no races' };
+  }
+
+  const invalidRace = archive.races.find(race => !race || !Number.isInteger(race.id) || !race.name || !race.date);
+  if (invalidRace) {
+    return { error: 'Every race in the archive needs an id, a name and a date' };
+  }
+
+  const invalidTable = archive.races.find(race => ARCHIVE_TABLES
+    .some(({ table }) => race[table] !== undefined && !Array.isArray(race[table])));
+  if (invalidTable) {
+    return { error: `The rows of ${invalidTable.name} are not lists` };
+  }
+
+  return { archive: { ...archive, series: Array.isArray(archive.series) ? archive.series : [] } };
+}
+
+/**
+ * Keep only the listed columns of a row
+ * @param {Object} row - The row
+ * @param {Array<string>} columns - The columns to keep
+ * @returns {Object} The row with just those columns, missing ones as null
+ */
+function pickColumns(row, columns) {
+  const picked = {};
+  columns.forEach(column => {
+    picked[column] = row[column] === undefined ? null : row[column];
+  });
+  return picked;
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  RACE_COLUMNS,
+  ARCHIVE_TABLES,
+  CLIENT_ID_TABLES,
+  validateArchive,
+  pickColumns
+};
@@ -0,0 +1,93 @@
+/**
+ * Race course details
+ * Distances with their units, course types, and the pace and speed they give a race time
+ */
+
+// Metres in each unit a distance can be entered in
+const DISTANCE_UNITS = {
+  m: 1,
+  km: 1000,
+  mi: 1609.344
+};
+
+const COURSE_TYPES = ['road', 'trail', 'track', 'cross-country', 'fell'];
+
+/**
+ * Read a distance given in a unit, converting it to metres for storage
+ * @param {*} value - The submitted distance
+ * @param {string} unit - The unit the distance is given in
+ * @returns {number|null|undefined} The distance in metres, null if none was given, or undefined if it is invalid
+ */
+function readDistance(value, unit = 'm') {
+  if (value === undefined || value === null || value === '') return null;
+
+  const distance = Number(value);
+  if (!Number.isFinite(distance) || distance <= 0 || !DISTANCE_UNITS[unit]) return undefined;
+
+  // Round off the floating-point noise of the conversion, keeping centimetres
+  return Math.round(distance * DISTANCE_UNITS[unit] * 100) / 100;
+}
+
+/**
+ * Validate a race's distance, distance unit, course type and description
+ * Without a unit the distance is taken to be in metres, as it always was.
+ * @param {Object} input - The submitted race
+ * @returns {Object} Either { course } with distance in metres, distanceUnit, courseType and description, or { error }
+ */
+function validateCourse(input) {
+  const distanceUnit = input.distanceUnit || 'm';
+  if (!DISTANCE_UNITS[distanceUnit]) {
+    return { error: `Distance unit must be one of ${Object.keys(DISTANCE_UNITS).join(', ')}` };
+  }
+
+  const distance = readDistance(input.distance, distanceUnit);
+  if (distance === undefined) {
+    return { error: `Distance must be a positive number of ${distanceUnit === 'm' ? 'metres' : distanceUnit}` };
+  }
+
+  const courseType = input.courseType || null;
+  if (courseType !== null && !COURSE_TYPES.includes(courseType)) {
+    return { error: `Course type must be one of ${COURSE_TYPES.join(', ')}` };
+  }
+
+  const description = input.description ? String(input.description).trim() : '';
+
+  return {
+    course: {
+      distance,
+      distanceUnit: input.distanceUnit || (distance ? 'm' : null),
+      courseType,
+      description: description || null
+    }
+  };
+}
+
+/**
+ * Work out the average pace and speed of a race time over the race distance
+ * @param {number|null} distance - The race distance in metres
+ * @param {number|null} raceTime - The race time in milliseconds
+ * @returns {Object} pacePerKm and pacePerMile in milliseconds, speedKph and speedMph to two decimal
+ *   places, each null without a distance or time
+ */
+function paceAndSpeed(distance, raceTime) {
+  if (!distance || !(raceTime > 0)) {
+    return { pacePerKm: null, pacePerMile: null, speedKph: null, speedMph: null };
+  }
+
+  const hours = raceTime / 3600000;
+
+  return {
+    pacePerKm: Math.round(raceTime / (distance / DISTANCE_UNITS.km)),
+    pacePerMile: Math.round(raceTime / (distance / DISTANCE_UNITS.mi)),
+    speedKph: Math.round(distance / DISTANCE_UNITS.km / hours * 100) / 100,
+    speedMph: Math.round(distance / DISTANCE_UNITS.mi / hours * 100) / 100
+  };
+}
+
+module.exports = {
+  DISTANCE_UNITS,
+  COURSE_TYPES,
+  readDistance,
+  validateCourse,
+  paceAndSpeed
+};
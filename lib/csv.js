@@ -0,0 +1,96 @@
+/**
+ * CSV helpers
+ * Minimal RFC 4180 parsing and writing for entrant imports and result exports
+ */
+
+/**
+ * Parse CSV text into an array of rows
+ * Handles quoted fields, escaped quotes, embedded newlines, CRLF line endings
+ * and a leading byte order mark. Blank lines are skipped.
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} The parsed rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  if (text.charCodeAt(0) === 0xfeff) {
+    i = 1;
+  }
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a single value for CSV output if needed
+ * @param {*} value - The value to write
+ * @returns {string} The CSV-safe value
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Convert an array of rows into CSV text
+ * @param {Array<Array<*>>} rows - The rows to write, header row first
+ * @returns {string} The CSV text
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(formatCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
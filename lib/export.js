@@ -0,0 +1,165 @@
+/**
+ * Results export
+ * Builds the downloadable CSV, JSON and printable HTML versions of a race's results
+ */
+const { toCsv } = require('./csv');
+const { formatTimeDisplay, formatPace, formatDistance, formatClockTime, escapeHtml } = require('./format');
+
+const EXPORT_FORMATS = ['json', 'csv', 'html'];
+
+/**
+ * Keep a spreadsheet from reading text, such as a name typed in by an entrant, as a formula
+ * @param {*} value - The cell value
+ * @returns {*} The value, with a leading ' if it is text starting with =, +, - or @
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Build the CSV results sheet
+ * @param {Object} race - The race the results belong to
+ * @param {Array} results - The processed results in finishing order, followed by the non-finishers
+ * @returns {string} The CSV text
+ */
+function renderResultsCsv(race, results) {
+  const rows = [
+    [
+      'Position', 'Bib', 'Name', 'Club', 'Gender', 'Gender Position', 'Category', 'Category Position',
+      'Wave', 'Race Time', 'Race Time (ms)', 'Pace (min/km)', 'Pace (min/mile)', 'Speed (km/h)', 'Speed (mph)',
+      'Age Grade (%)', 'Finish Time', 'Status', 'Status Reason', 'Note'
+    ]
+  ];
+
+  results.forEach(result => {
+    rows.push([
+      result.position,
+      result.runnerNumber,
+      result.name,
+      result.club,
+      result.gender,
+      result.genderPosition,
+      result.category,
+      result.categoryPosition,
+      result.wave,
+      result.status ? '' : formatTimeDisplay(result.raceTime),
+      result.raceTime,
+      formatPace(result.pacePerKm),
+      formatPace(result.pacePerMile),
+      result.speedKph,
+      result.speedMph,
+      result.ageGrade,
+      result.finishTime ? new Date(result.finishTime).toISOString() : '',
+      result.status,
+      result.statusReason,
+      result.note
+    ]);
+  });
+
+  return toCsv(rows.map(row => row.map(escapeFormula)));
+}
+
+/**
+ * Build the JSON download, wrapping the results with the race details
+ * @param {Object} race - The race the results belong to
+ * @param {Array} results - The processed results in finishing order
+ * @returns {Object} The export document
+ */
+function renderResultsJson(race, results) {
+  return {
+    race: {
+      id: race.id,
+      name: race.name,
+      date: race.date,
+      distance: race.distance,
+      distanceUnit: race.distanceUnit,
+      courseType: race.courseType,
+      description: race.description,
+      startTime: race.startTime,
+      status: race.status
+    },
+    exportedAt: new Date().toISOString(),
+    results
+  };
+}
+
+/**
+ * Build a print-ready HTML results sheet
+ * @param {Object} race - The race the results belong to
+ * @param {Array} results - The processed results in finishing order, followed by the non-finishers
+ * @returns {string} A complete HTML document
+ */
+function renderResultsHtml(race, results) {
+  const finishers = results.filter(result => !result.status).length;
+  const rows = results.map(result => `
+        <tr>
+          <td>${result.status || result.position}</td>
+          <td>${result.runnerNumber}</td>
+          <td>${escapeHtml(result.name || `Runner ${result.runnerNumber}`)}</td>
+          <td>${escapeHtml(result.club)}</td>
+          <td>${escapeHtml(result.category)}${result.categoryPosition ? ` (${result.categoryPosition})` : ''}</td>
+          <td>${result.status ? escapeHtml(result.statusReason) : formatTimeDisplay(result.raceTime)}</td>
+          <td>${result.pacePerKm ? `${formatPace(result.pacePerKm)}/km` : ''}</td>
+          <td>${result.ageGrade !== null ? `${result.ageGrade.toFixed(2)}%` : ''}</td>
+          <td>${formatClockTime(result.finishTime)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(race.name)} - Results</title>
+  <style>
+    body { font-family: 'Helvetica Neue', Arial, sans-serif; color: #000; margin: 24px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .race-meta { color: #444; margin: 0 0 16px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ccc; }
+    th { border-bottom: 2px solid #000; }
+    tr { page-break-inside: avoid; }
+    thead { display: table-header-group; }
+    .print-button { margin-bottom: 16px; padding: 8px 16px; font-size: 14px; }
+    @media print {
+      body { margin: 0; }
+      .print-button { display: none; }
+    }
+  </style>
+</head>
+<body>
+  <button class="print-button" onclick="window.print()">Print</button>
+  <h1>${escapeHtml(race.name)}</h1>
+  <p class="race-meta">${[
+    escapeHtml(race.date),
+    [formatDistance(race.distance, race.distanceUnit), escapeHtml(race.courseType)].filter(Boolean).join(' '),
+    `${finishers} finishers`,
+    'Portsmouth Joggers\' Club'
+  ].filter(Boolean).join(' &middot; ')}</p>
+  ${race.description ? `<p class="race-meta">${escapeHtml(race.description)}</p>` : ''}
+  <table>
+    <thead>
+      <tr>
+        <th>Position</th>
+        <th>Bib</th>
+        <th>Name</th>
+        <th>Club</th>
+        <th>Category</th>
+        <th>Race Time</th>
+        <th>Pace</th>
+        <th>Age Grade</th>
+        <th>Finish Time</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  renderResultsCsv,
+  renderResultsJson,
+  renderResultsHtml
+};
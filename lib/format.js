@@ -0,0 +1,103 @@
+/**
+ * Formatting helpers
+ * Server-side versions of the display formatting used by the app
+ */
+const { DISTANCE_UNITS } = require('./course');
+
+/**
+ * Format time in milliseconds to a readable format
+ * Matches RaceControlApp.formatTimeDisplay so exports read the same as the results screen.
+ * @param {number} timeInMs - Time in milliseconds
+ * @returns {string} Formatted time string
+ */
+function formatTimeDisplay(timeInMs) {
+  if (timeInMs === null || timeInMs === undefined) return 'N/A';
+
+  const totalSeconds = Math.floor(timeInMs / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m ${seconds}s`;
+  } else if (minutes > 0) {
+    return `${minutes}m ${seconds}s`;
+  } else {
+    return `${seconds}s`;
+  }
+}
+
+/**
+ * Format a pace as minutes and seconds
+ * Matches RaceControlApp.formatPace.
+ * @param {number|null} paceInMs - Time in milliseconds per km or mile
+ * @returns {string} The pace, such as '4:05', or '' without one
+ */
+function formatPace(paceInMs) {
+  if (paceInMs === null || paceInMs === undefined) return '';
+
+  const totalSeconds = Math.round(paceInMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Describe a race distance in the unit it was set in
+ * Matches RaceControlApp.formatDistance.
+ * @param {number|null} distance - The distance in metres
+ * @param {string|null} unit - 'm', 'km' or 'mi'
+ * @returns {string} The distance, such as '10 km' or '13.1 mi', or '' without one
+ */
+function formatDistance(distance, unit) {
+  if (!distance) return '';
+
+  const metres = DISTANCE_UNITS[unit] || 1;
+  const value = Math.round(distance / metres * 100) / 100;
+  return `${value} ${unit || 'm'}`;
+}
+
+/**
+ * Format a timestamp as a time of day
+ * @param {number} timestamp - Time in milliseconds since the epoch
+ * @returns {string} Formatted time of day
+ */
+function formatClockTime(timestamp) {
+  if (!timestamp) return '';
+  return new Date(timestamp).toLocaleTimeString('en-GB');
+}
+
+/**
+ * Escape a value for safe insertion into HTML
+ * @param {*} value - The raw value
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turn a race name into a safe download file name
+ * @param {string} name - The race name
+ * @returns {string} A lowercase, hyphenated file name stem
+ */
+function toFileName(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug || 'race';
+}
+
+module.exports = {
+  formatTimeDisplay,
+  formatPace,
+  formatDistance,
+  formatClockTime,
+  escapeHtml,
+  toFileName
+};
@@ -0,0 +1,114 @@
+/**
+ * Race lifecycle
+ * The states a race moves through, pending → active → completed → published, and the actions allowed in each
+ */
+
+// Each state in the order a race moves through them
+const RACE_STATES = ['pending', 'active', 'completed', 'published'];
+
+// Each action with the states it can be taken in, the state it moves the race to (null to leave it),
+// and the error code given when it is attempted in any other state
+const RACE_ACTIONS = {
+  start: {
+    from: ['pending'],
+    to: () => 'active',
+    refused: { active: 'RACE_ALREADY_STARTED', completed: 'RACE_ALREADY_STARTED', published: 'RACE_ALREADY_STARTED' }
+  },
+  end: {
+    from: ['active'],
+    to: () => 'completed',
+    refused: { pending: 'RACE_NOT_STARTED', completed: 'RACE_ALREADY_ENDED', published: 'RACE_ALREADY_ENDED' }
+  },
+  publish: {
+    from: ['completed'],
+    to: () => 'published',
+    refused: { pending: 'RACE_NOT_ENDED', active: 'RACE_NOT_ENDED', published: 'RACE_ALREADY_PUBLISHED' }
+  },
+  // Reopening takes a race back one step: published results to completed so they can be corrected,
+  // and a completed race back to active so finishes can be recorded again
+  reopen: {
+    from: ['completed', 'published'],
+    to: status => (status === 'published' ? 'completed' : 'active'),
+    refused: { pending: 'RACE_NOT_ENDED', active: 'RACE_NOT_ENDED' }
+  },
+  correctStart: {
+    from: ['active', 'completed'],
+    to: () => null,
+    refused: { pending: 'RACE_NOT_STARTED', published: 'RACE_PUBLISHED' }
+  },
+  // A race that has started takes the wave starts still to come
+  startWave: {
+    from: ['pending', 'active'],
+    to: () => 'active',
+    refused: { completed: 'RACE_ALREADY_ENDED', published: 'RACE_ALREADY_ENDED' }
+  },
+  // Runners are assigned to waves by their bib or category, so changing the waves once the race is under
+  // way would move runners into a wave that never started and lose their race times
+  arrangeWaves: {
+    from: ['pending'],
+    to: () => null,
+    refused: { active: 'WAVES_LOCKED', completed: 'WAVES_LOCKED', published: 'WAVES_LOCKED' }
+  },
+  // Devices upload finishes, splits and pairing records, and directors correct results, from the start
+  // until the results are published, as late uploads still arrive after the race ends
+  record: {
+    from: ['active', 'completed'],
+    to: () => null,
+    refused: { pending: 'RACE_NOT_STARTED', published: 'RACE_PUBLISHED' }
+  },
+  // Directors set what results are worked out from, the entrants, waves, timing points, course distance,
+  // pairing mode and how conflicting times are reconciled, before the race as well as after it, until the
+  // results are published
+  amend: {
+    from: ['pending', 'active', 'completed'],
+    to: () => null,
+    refused: { published: 'RACE_PUBLISHED' }
+  }
+};
+
+// Actions allowed in a state without being a step the client offers
+const BACKGROUND_ACTIONS = ['arrangeWaves', 'record', 'amend'];
+
+const ERROR_MESSAGES = {
+  RACE_NOT_STARTED: 'The race has not started yet',
+  RACE_ALREADY_STARTED: 'The race has already started; correct its start time instead of starting it again',
+  RACE_NOT_ENDED: 'The race has not ended yet',
+  RACE_ALREADY_ENDED: 'The race has already ended; reopen it to record more finishes',
+  RACE_ALREADY_PUBLISHED: 'The results have already been published',
+  RACE_PUBLISHED: 'The results have been published; reopen the race to change them',
+  WAVES_LOCKED: 'Waves can only be changed before the race starts'
+};
+
+/**
+ * Check whether an action can be taken on a race in its current state
+ * @param {string} status - The race's status
+ * @param {string} action - One of the RACE_ACTIONS
+ * @returns {Object} Either { to } with the state it moves the race to, null if it stays put, or { error, code }
+ */
+function checkTransition(status, action) {
+  const rule = RACE_ACTIONS[action];
+
+  if (!rule.from.includes(status)) {
+    const code = rule.refused[status] || 'INVALID_TRANSITION';
+    return { error: ERROR_MESSAGES[code] || `A ${status} race cannot be changed that way`, code };
+  }
+
+  return { to: rule.to(status) };
+}
+
+/**
+ * List the actions a race's state allows, for the client to offer
+ * @param {string} status - The race's status
+ * @returns {Array<string>} The actions, not including recording or amending results
+ */
+function availableActions(status) {
+  return Object.keys(RACE_ACTIONS)
+    .filter(action => !BACKGROUND_ACTIONS.includes(action) && RACE_ACTIONS[action].from.includes(status));
+}
+
+module.exports = {
+  RACE_STATES,
+  RACE_ACTIONS,
+  checkTransition,
+  availableActions
+};
@@ -0,0 +1,182 @@
+/**
+ * List queries
+ * Reads the filter, sort and page parameters of the races and results lists, and applies them to results,
+ * which are worked out in full before they can be filtered
+ */
+const { RACE_STATES } = require('./lifecycle');
+const { ENTRANT_GENDERS } = require('./runners');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+// The orders races can be listed in, each with the direction used unless another is asked for
+const RACE_SORTS = {
+  date: 'desc',
+  name: 'asc',
+  status: 'asc'
+};
+
+// The orders results can be listed in, each with the direction used unless another is asked for.
+// Ties are broken by overall position.
+const RESULT_SORTS = {
+  position: 'asc',
+  raceTime: 'asc',
+  name: 'asc',
+  gender: 'asc',
+  category: 'asc',
+  ageGrade: 'desc'
+};
+
+/**
+ * Read the page asked for
+ * A list is only paged when a page or limit is given, so callers that want everything still get it.
+ * @param {Object} query - The request's query parameters
+ * @returns {Object} Either { page } with page, limit and offset, page being null when not paged, or { error }
+ */
+function readPage(query) {
+  if (query.page === undefined && query.limit === undefined) {
+    return { page: null };
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a whole number from 1' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+
+  return { page: { page, limit, offset: (page - 1) * limit } };
+}
+
+/**
+ * Read the sort order asked for
+ * @param {Object} query - The request's query parameters
+ * @param {Object} sorts - RACE_SORTS or RESULT_SORTS
+ * @param {string} defaultField - The field sorted by when none is given
+ * @returns {Object} Either { sort } with field and order ('asc' or 'desc'), or { error }
+ */
+function readSort(query, sorts, defaultField) {
+  const field = query.sort === undefined || query.sort === '' ? defaultField : String(query.sort);
+  if (!sorts[field]) {
+    return { error: `sort must be one of ${Object.keys(sorts).join(', ')}` };
+  }
+
+  const order = query.order === undefined || query.order === '' ? sorts[field] : String(query.order).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  return { sort: { field, order } };
+}
+
+/**
+ * Read the filters of the races list
+ * @param {Object} query - The request's query parameters
+ * @returns {Object} Either { filters } with statuses, from, to and search, or { error }
+ */
+function readRaceFilters(query) {
+  const statuses = query.status ? String(query.status).split(',').map(status => status.trim()).filter(Boolean) : [];
+  const invalidStatus = statuses.find(status => !RACE_STATES.includes(status));
+  if (invalidStatus) {
+    return { error: `status must be one or more of ${RACE_STATES.join(', ')}` };
+  }
+
+  const from = query.from ? String(query.from) : null;
+  const to = query.to ? String(query.to) : null;
+  if ([from, to].some(date => date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    return { error: 'from and to must be dates as YYYY-MM-DD' };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must not be after to' };
+  }
+
+  const search = query.search ? String(query.search).trim() : '';
+
+  return { filters: { statuses, from, to, search } };
+}
+
+/**
+ * Read the filters of a race's results
+ * @param {Object} query - The request's query parameters
+ * @returns {Object} Either { filters } with gender, category and search, each null when not given, or { error }
+ */
+function readResultFilters(query) {
+  const gender = query.gender ? String(query.gender).toUpperCase() : null;
+  if (gender && !ENTRANT_GENDERS.includes(gender)) {
+    return { error: `gender must be one of ${ENTRANT_GENDERS.join(', ')}` };
+  }
+
+  return {
+    filters: {
+      gender,
+      category: query.category ? String(query.category) : null,
+      search: query.search ? String(query.search).trim().toLowerCase() : null
+    }
+  };
+}
+
+/**
+ * Escape the wildcards in a search, so a LIKE pattern with ESCAPE '\' matches it as typed
+ * @param {string} search - The text searched for
+ * @returns {string} The text with %, _ and \ escaped
+ */
+function escapeLike(search) {
+  return search.replace(/[\\%_]/g, character => `\\${character}`);
+}
+
+/**
+ * Compare two values for sorting, keeping missing values last whichever way the list runs
+ * @param {*} a - A value
+ * @param {*} b - Another value
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {number} The comparison
+ */
+function compareValues(a, b, order) {
+  const missingA = a === null || a === undefined;
+  const missingB = b === null || b === undefined;
+  if (missingA || missingB) return missingA - missingB;
+
+  const comparison = typeof a === 'string' ? a.localeCompare(b) : a - b;
+  return order === 'desc' ? -comparison : comparison;
+}
+
+/**
+ * Filter and sort a race's results
+ * Non-finishers always follow the finishers, in the order they are listed in.
+ * A search matches a runner's bib exactly or any part of their name.
+ * @param {Array} rows - The results from toResultRows
+ * @param {Object} filters - From readResultFilters
+ * @param {Object} sort - From readSort
+ * @returns {Array} The matching results in order
+ */
+function listResults(rows, filters, sort) {
+  return rows
+    .filter(row => !filters.gender || row.gender === filters.gender)
+    .filter(row => !filters.category || row.category === filters.category)
+    .filter(row => !filters.search
+      || String(row.runnerNumber) === filters.search
+      || (row.name && row.name.toLowerCase().includes(filters.search)))
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => {
+      if (a.row.status || b.row.status) {
+        return Boolean(a.row.status) - Boolean(b.row.status) || a.index - b.index;
+      }
+      return compareValues(a.row[sort.field], b.row[sort.field], sort.order)
+        || compareValues(a.row.position, b.row.position, 'asc');
+    })
+    .map(({ row }) => row);
+}
+
+module.exports = {
+  RACE_SORTS,
+  RESULT_SORTS,
+  readPage,
+  readSort,
+  readRaceFilters,
+  readResultFilters,
+  escapeLike,
+  listResults
+};
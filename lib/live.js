@@ -0,0 +1,93 @@
+/**
+ * Live race feed
+ * Holds the open Server-Sent Events connections for each race and pushes events to them
+ */
+
+// Comment lines keep idle connections from being closed by proxies and phones
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// How long a browser waits before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+const subscribers = new Map();
+let heartbeat = null;
+
+/**
+ * Write one event to a live connection
+ * @param {Object} res - The Express response holding the stream open
+ * @param {string} event - The event name
+ * @param {Object} data - The event payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Turn a request into a live connection for a race
+ * The connection is dropped from the race's subscribers when the client goes away.
+ * @param {number|string} raceId - The race to follow
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ */
+function subscribe(raceId, req, res) {
+  const key = String(raceId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set());
+  }
+  subscribers.get(key).add(res);
+
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      subscribers.forEach(connections => connections.forEach(connection => connection.write(': ping\n\n')));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+  }
+
+  req.on('close', () => {
+    const connections = subscribers.get(key);
+    if (!connections) return;
+
+    connections.delete(res);
+    if (connections.size === 0) {
+      subscribers.delete(key);
+    }
+  });
+}
+
+/**
+ * Push an event to everyone following a race
+ * @param {number|string} raceId - The race the event belongs to
+ * @param {string} event - The event name
+ * @param {Object} data - The event payload
+ */
+function publish(raceId, event, data) {
+  const connections = subscribers.get(String(raceId));
+  if (!connections) return;
+
+  connections.forEach(res => sendEvent(res, event, data));
+}
+
+/**
+ * Check whether anyone is following a race, so work to build events can be skipped
+ * @param {number|string} raceId - The race ID
+ * @returns {boolean} Whether the race has live connections
+ */
+function hasSubscribers(raceId) {
+  return subscribers.has(String(raceId));
+}
+
+module.exports = {
+  sendEvent,
+  subscribe,
+  publish,
+  hasSubscribers
+};
@@ -0,0 +1,121 @@
+/**
+ * Result reconciliation
+ * Combines the results uploaded by several finish-line devices into one result per bib
+ */
+
+const RECONCILIATION_RULES = ['earliest', 'median', 'primary'];
+
+// Finish times for the same bib this close together are the same finish seen twice
+const DUPLICATE_TOLERANCE_MS = 1000;
+
+/**
+ * Pick the result a reconciliation rule prefers from a group recorded for one bib
+ * The median rule takes the lower middle result so the choice is always a real recording.
+ * @param {Array} group - The bib's results, sorted by normalised finish time
+ * @param {string} rule - One of RECONCILIATION_RULES
+ * @param {string} primaryDeviceId - The device trusted by the primary rule
+ * @returns {Object} The preferred result
+ */
+function pickResult(group, rule, primaryDeviceId) {
+  if (rule === 'median') {
+    return group[Math.floor((group.length - 1) / 2)];
+  }
+
+  if (rule === 'primary') {
+    const primary = group.find(result => result.uploadedBy === primaryDeviceId);
+    if (primary) return primary;
+  }
+
+  return group[0];
+}
+
+/**
+ * Reconcile a race's results into one result per bib
+ * Results for the same bib are classed as duplicates when their times agree within
+ * DUPLICATE_TOLERANCE_MS and as near-duplicates otherwise. Near-duplicates need a race
+ * director to accept or override the rule's choice. When more than one device recorded
+ * the race, bibs seen by only one of them are reported too, since the others may have missed them.
+ * @param {Array} rows - The race's results with normalisedFinishTime, sorted by it
+ * @param {Object} options - rule, primaryDeviceId and resolutions (a map of bib to chosen result ID)
+ * @returns {Object} The chosen results in finishing order, the groups behind them, the devices and a summary
+ */
+function reconcileResults(rows, options = {}) {
+  const rule = RECONCILIATION_RULES.includes(options.rule) ? options.rule : 'earliest';
+  const primaryDeviceId = options.primaryDeviceId || null;
+  const resolutions = options.resolutions || {};
+
+  const deviceCounts = new Map();
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const deviceId = row.uploadedBy || null;
+    deviceCounts.set(deviceId, (deviceCounts.get(deviceId) || 0) + 1);
+
+    if (!groups.has(row.runnerNumber)) {
+      groups.set(row.runnerNumber, []);
+    }
+    groups.get(row.runnerNumber).push(row);
+  });
+
+  const multipleDevices = deviceCounts.size > 1;
+  const summary = { duplicates: 0, nearDuplicates: 0, singleDevice: 0, unresolved: 0 };
+  const chosen = [];
+  const reconciledGroups = [];
+
+  groups.forEach((group, runnerNumber) => {
+    const devices = new Set(group.map(result => result.uploadedBy || null));
+    const spread = group[group.length - 1].normalisedFinishTime - group[0].normalisedFinishTime;
+    const suggested = pickResult(group, rule, primaryDeviceId);
+    const resolvedId = resolutions[runnerNumber];
+    const resolved = group.find(result => result.id === resolvedId) || null;
+
+    let kind = 'single';
+    if (group.length > 1) {
+      kind = spread <= DUPLICATE_TOLERANCE_MS ? 'duplicate' : 'near-duplicate';
+    } else if (multipleDevices) {
+      kind = 'single-device';
+    }
+
+    const needsReview = kind === 'near-duplicate' && !resolved;
+    const result = resolved || suggested;
+
+    if (kind === 'duplicate') summary.duplicates++;
+    if (kind === 'near-duplicate') summary.nearDuplicates++;
+    if (kind === 'single-device') summary.singleDevice++;
+    if (needsReview) summary.unresolved++;
+
+    chosen.push({ ...result, needsReview });
+
+    if (kind !== 'single') {
+      reconciledGroups.push({
+        runnerNumber,
+        kind,
+        spread,
+        devices: Array.from(devices),
+        suggestedResultId: suggested.id,
+        resolvedResultId: resolved ? resolved.id : null,
+        chosenResultId: result.id,
+        needsReview,
+        results: group
+      });
+    }
+  });
+
+  chosen.sort((a, b) => a.normalisedFinishTime - b.normalisedFinishTime || a.id - b.id);
+  reconciledGroups.sort((a, b) => Number(b.needsReview) - Number(a.needsReview) || a.runnerNumber - b.runnerNumber);
+
+  return {
+    rule,
+    primaryDeviceId,
+    results: chosen,
+    groups: reconciledGroups,
+    devices: Array.from(deviceCounts, ([deviceId, count]) => ({ deviceId, count })),
+    summary
+  };
+}
+
+module.exports = {
+  RECONCILIATION_RULES,
+  DUPLICATE_TOLERANCE_MS,
+  reconcileResults
+};
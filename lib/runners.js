@@ -0,0 +1,109 @@
+/**
+ * Runner profiles
+ * Matches entrants to the same runner across races and builds their history and personal bests
+ */
+
+// The genders an entrant can be given
+const ENTRANT_GENDERS = ['M', 'F', 'X'];
+
+/**
+ * Identify the same runner across races
+ * Each race has its own entrant list, so runners are matched by name and, where known, date of birth.
+ * @param {Object} runner - An entrant or result with the runner's name and date of birth
+ * @returns {string|null} The key, or null for a result without an entrant name
+ */
+function runnerKey(runner) {
+  if (!runner.name) return null;
+  return `${runner.name.trim().toLowerCase().replace(/\s+/g, ' ')}|${runner.dateOfBirth || ''}`;
+}
+
+/**
+ * Group a race distance with others of the same length
+ * Distances within 10 metres of each other, such as a half marathon set in miles and in kilometres,
+ * count as the same distance for personal bests.
+ * @param {number} distance - The race distance in metres
+ * @returns {number} The distance the race is grouped under
+ */
+function distanceKey(distance) {
+  return Math.round(distance / 10) * 10;
+}
+
+/**
+ * Build a runner's history from each race they finished or were given a status in
+ * A personal best is the fastest time at each race distance. Progression lists every finish at a
+ * distance in date order, with how far it was ahead of or behind the best before it.
+ * @param {number} runnerId - The runner
+ * @param {Array} races - The races the runner entered in date order, each { race, results } with results from toResultRows
+ * @returns {Object} { races, personalBests, progression }, with races newest first and progression as { distance, distanceUnit, finishes }
+ */
+function buildRunnerHistory(runnerId, races) {
+  const bests = new Map();
+  const progression = new Map();
+
+  const history = races
+    .map(({ race, results }) => {
+      const result = results.find(row => row.runnerId === runnerId);
+      if (!result) return null;
+
+      return {
+        raceId: race.id,
+        raceName: race.name,
+        date: race.date,
+        distance: race.distance,
+        distanceUnit: race.distanceUnit,
+        courseType: race.courseType,
+        runnerNumber: result.runnerNumber,
+        club: result.club,
+        category: result.category,
+        raceTime: result.raceTime,
+        position: result.position,
+        finishers: results.filter(row => row.position).length,
+        genderPosition: result.genderPosition,
+        categoryPosition: result.categoryPosition,
+        pacePerKm: result.pacePerKm,
+        pacePerMile: result.pacePerMile,
+        ageGrade: result.ageGrade,
+        status: result.status,
+        personalBest: false
+      };
+    })
+    .filter(Boolean);
+
+  history.forEach(entry => {
+    if (entry.status || entry.raceTime === null || !entry.distance) return;
+
+    const key = distanceKey(entry.distance);
+    const best = bests.get(key);
+
+    if (!progression.has(key)) {
+      progression.set(key, { distance: entry.distance, distanceUnit: entry.distanceUnit, finishes: [] });
+    }
+    progression.get(key).finishes.push({
+      raceId: entry.raceId,
+      raceName: entry.raceName,
+      date: entry.date,
+      raceTime: entry.raceTime,
+      change: best ? entry.raceTime - best.raceTime : null
+    });
+
+    if (!best || entry.raceTime < best.raceTime) {
+      bests.set(key, entry);
+    }
+  });
+
+  bests.forEach(entry => {
+    entry.personalBest = true;
+  });
+
+  return {
+    races: history.reverse(),
+    personalBests: Array.from(bests.values()).sort((a, b) => a.distance - b.distance),
+    progression: Array.from(progression.values()).sort((a, b) => a.distance - b.distance)
+  };
+}
+
+module.exports = {
+  ENTRANT_GENDERS,
+  runnerKey,
+  buildRunnerHistory
+};
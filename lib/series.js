@@ -0,0 +1,141 @@
+/**
+ * Championship series scoring
+ * Turns the results of a series' races into points and standings
+ */
+
+// Which position a runner scores from, and so which standings tables the series has
+const SCORE_BY = ['overall', 'gender', 'category'];
+
+const DEFAULT_FIRST_PLACE_POINTS = 100;
+
+/**
+ * Validate a series' name, races and scoring rule
+ * @param {Object} input - The submitted series
+ * @returns {Object} Either { series } with the cleaned fields, or { error }
+ */
+function validateSeries(input) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    return { error: 'A series name is required' };
+  }
+
+  const raceIds = Array.isArray(input.raceIds) ? input.raceIds.map(Number) : [];
+  if (!raceIds.every(Number.isInteger)) {
+    return { error: 'raceIds must be a list of race IDs' };
+  }
+
+  const scoreBy = input.scoreBy || 'overall';
+  if (!SCORE_BY.includes(scoreBy)) {
+    return { error: `Score by must be one of ${SCORE_BY.join(', ')}` };
+  }
+
+  const firstPlacePoints = input.firstPlacePoints === undefined || input.firstPlacePoints === null || input.firstPlacePoints === ''
+    ? DEFAULT_FIRST_PLACE_POINTS
+    : Number(input.firstPlacePoints);
+  if (!Number.isInteger(firstPlacePoints) || firstPlacePoints < 1) {
+    return { error: 'Points for first place must be a whole number of at least 1' };
+  }
+
+  const bestOf = input.bestOf === undefined || input.bestOf === null || input.bestOf === '' ? null : Number(input.bestOf);
+  if (bestOf !== null && (!Number.isInteger(bestOf) || bestOf < 1)) {
+    return { error: 'Best of must be a whole number of races, or empty to count every race' };
+  }
+
+  return { series: { name, raceIds: Array.from(new Set(raceIds)), scoreBy, firstPlacePoints, bestOf } };
+}
+
+/**
+ * Work out the points a position is worth: first place gets firstPlacePoints, each place after one fewer
+ * @param {number} position - The position scored from
+ * @param {number} firstPlacePoints - The points for first place
+ * @returns {number} The points, never less than 1 for a finisher
+ */
+function pointsForPosition(position, firstPlacePoints) {
+  return Math.max(firstPlacePoints - (position - 1), 1);
+}
+
+/**
+ * Score a series and build its standings
+ * With scoreBy 'gender' or 'category' a runner scores from their position within it, and each
+ * gender or category gets its own standings table. With bestOf only a runner's highest scores count.
+ * Runners are matched across races by their runner profile, so results without an entrant don't score.
+ * @param {Object} series - The series with its scoring rule
+ * @param {Array} races - The member races in date order, each { race, results } with results from toResultRows
+ * @returns {Object} The races and a list of standings tables, each { group, standings }
+ */
+function scoreSeries(series, races) {
+  const positionField = { overall: 'position', gender: 'genderPosition', category: 'categoryPosition' }[series.scoreBy];
+  const groupField = { overall: null, gender: 'gender', category: 'category' }[series.scoreBy];
+  const runners = new Map();
+
+  races.forEach(({ race, results }) => {
+    results.forEach(result => {
+      const position = result[positionField];
+      if (!result.runnerId || !position || result.raceTime === null) return;
+
+      if (!runners.has(result.runnerId)) {
+        runners.set(result.runnerId, { runnerId: result.runnerId, name: result.name, races: {} });
+      }
+
+      // Later races win, so a runner who moves up an age category is listed in their current one
+      const runner = runners.get(result.runnerId);
+      runner.club = result.club || runner.club || null;
+      runner.group = groupField ? result[groupField] : null;
+      runner.races[race.id] = { position, points: pointsForPosition(position, series.firstPlacePoints), counted: true };
+    });
+  });
+
+  const tables = new Map();
+
+  runners.forEach(runner => {
+    const scores = Object.values(runner.races).sort((a, b) => b.points - a.points);
+    scores.forEach((score, index) => {
+      score.counted = series.bestOf === null || index < series.bestOf;
+    });
+
+    const standing = {
+      runnerId: runner.runnerId,
+      name: runner.name,
+      club: runner.club,
+      total: scores.filter(score => score.counted).reduce((sum, score) => sum + score.points, 0),
+      racesRun: scores.length,
+      races: runner.races
+    };
+
+    const group = runner.group || null;
+    if (!tables.has(group)) {
+      tables.set(group, []);
+    }
+    tables.get(group).push(standing);
+  });
+
+  const standings = Array.from(tables, ([group, rows]) => {
+    rows.sort((a, b) => b.total - a.total || b.racesRun - a.racesRun || a.name.localeCompare(b.name));
+
+    // Runners on equal points share a rank
+    rows.forEach((row, index) => {
+      row.rank = index > 0 && row.total === rows[index - 1].total ? rows[index - 1].rank : index + 1;
+    });
+
+    return { group, standings: rows };
+  });
+
+  standings.sort((a, b) => String(a.group || '').localeCompare(String(b.group || '')));
+
+  return {
+    races: races.map(({ race, results }) => ({
+      id: race.id,
+      name: race.name,
+      date: race.date,
+      status: race.status,
+      finishers: results.filter(result => result.position).length
+    })),
+    standings
+  };
+}
+
+module.exports = {
+  SCORE_BY,
+  validateSeries,
+  scoreSeries
+};
@@ -0,0 +1,73 @@
+/**
+ * Split and lap timing
+ * Turns the times recorded at a race's timing points into each runner's splits and lap times
+ */
+
+/**
+ * Validate a timing point's name
+ * @param {Object} input - The submitted timing point
+ * @returns {Object} Either { timingPoint } with the name as stored, or { error }
+ */
+function validateTimingPoint(input) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    return { error: 'A timing point name is required' };
+  }
+
+  if (name.toLowerCase() === 'finish') {
+    return { error: 'Every race already ends at the finish; name the points before it, such as Lap 1 or CP1' };
+  }
+
+  return { timingPoint: { name } };
+}
+
+/**
+ * Build a runner's splits from the start, through each timing point, to the finish
+ * A point recorded more than once, as by two marshals, counts from its first recording.
+ * Cumulative times run from the runner's start; lap times run from the last point the runner
+ * was recorded at, so a missed point's lap is folded into the next one.
+ * @param {Array} timingPoints - The race's timing points in course order
+ * @param {Array} splits - The runner's recorded splits, each with timingPointId and a normalised splitTime
+ * @param {number|null} startTime - The runner's start on the server clock
+ * @param {number|null} finishTime - The runner's finish on the server clock, or null if they haven't finished
+ * @returns {Object} { splits, missedTimingPoints }, with splits as { timingPointId, name, time, lapTime }
+ *   ending with the finish, and the names of the points passed without a recorded time
+ */
+function buildSplits(timingPoints, splits, startTime, finishTime) {
+  const firstTimes = new Map();
+  splits.forEach(split => {
+    const current = firstTimes.get(split.timingPointId);
+    if (current === undefined || split.splitTime < current) {
+      firstTimes.set(split.timingPointId, split.splitTime);
+    }
+  });
+
+  const points = timingPoints.map(point => ({ timingPointId: point.id, name: point.name, at: firstTimes.get(point.id) }));
+  if (finishTime) {
+    points.push({ timingPointId: null, name: 'Finish', at: finishTime });
+  }
+
+  // A point is missed when a later one, or the finish, has a time but it doesn't
+  const lastRecorded = points.map(point => point.at !== undefined).lastIndexOf(true);
+  const missedTimingPoints = points
+    .slice(0, Math.max(lastRecorded, 0))
+    .filter(point => point.at === undefined)
+    .map(point => point.name);
+
+  let previous = startTime;
+  const runnerSplits = points
+    .filter(point => point.at !== undefined)
+    .map(point => {
+      const time = startTime ? point.at - startTime : null;
+      const lapTime = previous ? point.at - previous : null;
+      previous = point.at;
+      return { timingPointId: point.timingPointId, name: point.name, time, lapTime };
+    });
+
+  return { splits: runnerSplits, missedTimingPoints };
+}
+
+module.exports = {
+  validateTimingPoint,
+  buildSplits
+};
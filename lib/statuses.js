@@ -0,0 +1,48 @@
+/**
+ * Non-finisher statuses
+ * Runners who did not start, did not finish or were disqualified, listed after the finishers
+ */
+
+// Each status with its full name, in the order non-finishers are listed
+const RUNNER_STATUSES = {
+  DNF: 'Did not finish',
+  DSQ: 'Disqualified',
+  DNS: 'Did not start'
+};
+
+/**
+ * Validate a runner's status and the reason for it
+ * A disqualification must give its reason; for the others it is optional.
+ * @param {Object} input - The submitted status
+ * @returns {Object} Either { runnerStatus } with status and reason, or { error }
+ */
+function validateRunnerStatus(input) {
+  const status = String(input.status || '').toUpperCase();
+  if (!RUNNER_STATUSES[status]) {
+    return { error: `Status must be one of ${Object.keys(RUNNER_STATUSES).join(', ')}` };
+  }
+
+  const reason = input.reason ? String(input.reason).trim() : '';
+  if (status === 'DSQ' && !reason) {
+    return { error: 'A reason is required when disqualifying a runner' };
+  }
+
+  return { runnerStatus: { status, reason: reason || null } };
+}
+
+/**
+ * Sort non-finishers into listing order: by status, then bib
+ * @param {Object} a - A non-finisher
+ * @param {Object} b - Another non-finisher
+ * @returns {number} The comparison
+ */
+function compareStatuses(a, b) {
+  const order = Object.keys(RUNNER_STATUSES);
+  return order.indexOf(a.status) - order.indexOf(b.status) || a.runnerNumber - b.runnerNumber;
+}
+
+module.exports = {
+  RUNNER_STATUSES,
+  validateRunnerStatus,
+  compareStatuses
+};
@@ -0,0 +1,98 @@
+/**
+ * Start waves
+ * Splits a race's runners into waves by bib range or category, each started separately
+ */
+
+/**
+ * Parse a list of bibs and bib ranges, such as '1-200, 305, 410-450'
+ * @param {string} text - The bib list
+ * @returns {Object} Either { ranges } as [first, last] pairs, or { error }
+ */
+function parseBibRanges(text) {
+  const ranges = [];
+  const parts = String(text || '').split(',').map(part => part.trim()).filter(Boolean);
+
+  for (const part of parts) {
+    const match = /^(\d+)\s*(?:-\s*(\d+))?$/.exec(part);
+    if (!match) {
+      return { error: `"${part}" is not a bib number or range such as 1-200` };
+    }
+
+    const first = Number(match[1]);
+    const last = match[2] ? Number(match[2]) : first;
+    if (first < 1 || last < first) {
+      return { error: `"${part}" is not a valid bib range` };
+    }
+    ranges.push([first, last]);
+  }
+
+  return { ranges };
+}
+
+/**
+ * Validate a wave's name and who starts in it
+ * Categories may be full age categories such as 'FV40', or a gender such as 'F' for the whole of it.
+ * @param {Object} input - The submitted wave
+ * @returns {Object} Either { wave } with name, bibs and categories as stored, or { error }
+ */
+function validateWave(input) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    return { error: 'A wave name is required' };
+  }
+
+  const { ranges, error } = parseBibRanges(input.bibs);
+  if (error) {
+    return { error };
+  }
+
+  const categories = String(input.categories || '')
+    .split(',')
+    .map(category => category.trim().toUpperCase())
+    .filter(Boolean);
+
+  return {
+    wave: {
+      name,
+      bibs: ranges.map(([first, last]) => (first === last ? String(first) : `${first}-${last}`)).join(', ') || null,
+      categories: categories.join(', ') || null
+    }
+  };
+}
+
+/**
+ * Find the wave a runner starts in
+ * Bib ranges are checked before categories, so a bib can be moved out of its category's wave.
+ * A wave with neither bibs nor categories takes everyone not placed in another wave.
+ * @param {Array} waves - The race's waves in start order
+ * @param {Object} runner - runnerNumber, gender and category
+ * @returns {Object|null} The wave, or null if the race has no wave for the runner
+ */
+function assignWave(waves, runner) {
+  const byBib = waves.find(wave => parseBibRanges(wave.bibs).ranges
+    .some(([first, last]) => runner.runnerNumber >= first && runner.runnerNumber <= last));
+  if (byBib) return byBib;
+
+  const byCategory = waves.find(wave => String(wave.categories || '')
+    .split(',')
+    .map(category => category.trim())
+    .some(category => category && (category === runner.category || category === runner.gender)));
+  if (byCategory) return byCategory;
+
+  return waves.find(wave => !wave.bibs && !wave.categories) || null;
+}
+
+/**
+ * Get a wave's start on the server's timeline
+ * @param {Object} wave - The wave
+ * @returns {number|null} The start time, or null if the wave hasn't started
+ */
+function waveStartTime(wave) {
+  return wave.startTime ? wave.startTime + (wave.startClockOffset || 0) : null;
+}
+
+module.exports = {
+  validateWave,
+  assignWave,
+  waveStartTime
+};
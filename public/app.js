@@ -8,6 +8,17 @@ document.addEventListener('DOMContentLoaded', () => {
     app.init();
   });
   
+  // Non-finisher statuses with their full names, in the order the server lists them
+  const RUNNER_STATUSES = {
+    DNF: 'Did not finish',
+    DSQ: 'Disqualified',
+    DNS: 'Did not start'
+  };
+  
+  // How many races and results the server sends per page
+  const RACES_PAGE_SIZE = 10;
+  const RESULTS_PAGE_SIZE = 25;
+  
   class RaceControlApp {
     constructor() {
       // Initialize state
@@ -16,13 +27,41 @@ document.addEventListener('DOMContentLoaded', () => {
       this.currentRace = null;
       this.raceTimer = new RaceTimer();
       this.results = [];
+      // The page of results on the results screen, as the server sent it, and the race it is for
+      this.resultsList = null;
+      this.resultsRaceId = null;
+      this.racesPage = 1;
+      this.finishSlots = [];
+      this.captureMode = localStorage.getItem('capture-mode') || 'bib';
+      this.pairingEntries = [];
+      this.pairingRole = localStorage.getItem('pairing-role') || 'timekeeper';
+      // The timing point this device records at, or null at the finish
+      this.timingPointId = null;
+      this.importState = { csv: null, headers: [], mapping: {} };
+      // The signed-in account, remembered so a marshal's phone still knows who they are offline
+      this.user = JSON.parse(localStorage.getItem('account') || 'null');
       
       // Cache DOM elements
       this.screens = {
         home: document.getElementById('home-screen'),
+        login: document.getElementById('login-screen'),
+        users: document.getElementById('users-screen'),
+        backup: document.getElementById('backup-screen'),
+        series: document.getElementById('series-screen'),
+        standings: document.getElementById('standings-screen'),
+        runners: document.getElementById('runners-screen'),
+        runnerProfile: document.getElementById('runner-profile-screen'),
         createRace: document.getElementById('create-race-screen'),
         racesList: document.getElementById('races-list-screen'),
+        trash: document.getElementById('trash-screen'),
         raceControl: document.getElementById('race-control-screen'),
+        entrants: document.getElementById('entrants-screen'),
+        waves: document.getElementById('waves-screen'),
+        timingPoints: document.getElementById('timing-points-screen'),
+        importEntrants: document.getElementById('import-entrants-screen'),
+        pairing: document.getElementById('pairing-screen'),
+        reconcile: document.getElementById('reconcile-screen'),
+        leaderboard: document.getElementById('leaderboard-screen'),
         results: document.getElementById('results-screen')
       };
       
@@ -30,34 +69,172 @@ document.addEventListener('DOMContentLoaded', () => {
       this.buttons = {
         createRace: document.getElementById('create-race-button'),
         viewRaces: document.getElementById('view-races-button'),
+        viewTrash: document.getElementById('view-trash-button'),
+        racesPrevPage: document.getElementById('races-prev-page'),
+        racesNextPage: document.getElementById('races-next-page'),
+        backFromTrash: document.getElementById('back-from-trash'),
+        signIn: document.getElementById('sign-in-button'),
+        signOut: document.getElementById('sign-out-button'),
+        cancelLogin: document.getElementById('cancel-login'),
+        manageUsers: document.getElementById('manage-users-button'),
+        backFromUsers: document.getElementById('back-from-users'),
+        backup: document.getElementById('backup-button'),
+        downloadBackup: document.getElementById('download-backup-button'),
+        downloadSelectedBackup: document.getElementById('download-selected-backup-button'),
+        restore: document.getElementById('restore-button'),
+        backFromBackup: document.getElementById('back-from-backup'),
+        viewSeries: document.getElementById('view-series-button'),
+        newSeries: document.getElementById('new-series-button'),
+        cancelSeriesEdit: document.getElementById('cancel-series-edit'),
+        backFromSeries: document.getElementById('back-from-series'),
+        refreshStandings: document.getElementById('refresh-standings-button'),
+        backFromStandings: document.getElementById('back-from-standings'),
+        viewRunners: document.getElementById('view-runners-button'),
+        backFromRunners: document.getElementById('back-from-runners'),
+        backFromRunnerProfile: document.getElementById('back-from-runner-profile'),
         cancelCreate: document.getElementById('cancel-create'),
         backToHome: document.getElementById('back-to-home'),
         startTimer: document.getElementById('start-timer-button'),
         recordFinish: document.getElementById('record-button'),
+        tapFinish: document.getElementById('tap-finish-button'),
+        bibMode: document.getElementById('bib-mode-button'),
+        tapMode: document.getElementById('tap-mode-button'),
+        timekeeperRole: document.getElementById('timekeeper-role-button'),
+        bibCollectorRole: document.getElementById('bib-collector-role-button'),
+        pairTime: document.getElementById('pair-time-button'),
+        pairUnknown: document.getElementById('pair-unknown-button'),
         endRace: document.getElementById('end-race-button'),
         uploadResults: document.getElementById('upload-results-button'),
         clearResults: document.getElementById('clear-results-button'),
         backToRaces: document.getElementById('back-to-races'),
         backFromResults: document.getElementById('back-from-results'),
+        backFromEntrants: document.getElementById('back-from-entrants'),
+        cancelEntrantEdit: document.getElementById('cancel-entrant-edit'),
+        saveWave: document.getElementById('save-wave-button'),
+        cancelWaveEdit: document.getElementById('cancel-wave-edit'),
+        backFromWaves: document.getElementById('back-from-waves'),
+        saveTimingPoint: document.getElementById('save-timing-point-button'),
+        cancelTimingPointEdit: document.getElementById('cancel-timing-point-edit'),
+        backFromTimingPoints: document.getElementById('back-from-timing-points'),
+        saveEntrant: document.getElementById('save-entrant-button'),
+        importEntrants: document.getElementById('import-entrants-button'),
+        checkImport: document.getElementById('check-import-button'),
+        commitImport: document.getElementById('commit-import-button'),
+        backFromImport: document.getElementById('back-from-import'),
+        mergePairing: document.getElementById('merge-pairing-button'),
+        refreshPairing: document.getElementById('refresh-pairing-button'),
+        backFromPairing: document.getElementById('back-from-pairing'),
+        refreshReconcile: document.getElementById('refresh-reconcile-button'),
+        backFromReconcile: document.getElementById('back-from-reconcile'),
+        reviewConflicts: document.getElementById('review-conflicts-button'),
+        addResult: document.getElementById('add-result-button'),
+        setStatus: document.getElementById('set-status-button'),
+        runnerStatus: document.getElementById('runner-status-button'),
+        setDistance: document.getElementById('set-distance-button'),
+        backFromLeaderboard: document.getElementById('back-from-leaderboard'),
+        cancelManualResult: document.getElementById('cancel-manual-result'),
+        exportCsv: document.getElementById('export-csv-button'),
+        exportJson: document.getElementById('export-json-button'),
+        exportHtml: document.getElementById('export-html-button'),
         syncNow: document.getElementById('sync-now-button')
       };
       
       // Forms
       this.forms = {
         createRace: document.getElementById('create-race-form'),
-        recordFinish: document.getElementById('record-finish-form')
+        login: document.getElementById('login-form'),
+        user: document.getElementById('user-form'),
+        series: document.getElementById('series-form'),
+        recordFinish: document.getElementById('record-finish-form'),
+        pairBib: document.getElementById('pair-bib-form'),
+        manualResult: document.getElementById('manual-result-form'),
+        entrant: document.getElementById('entrant-form'),
+        wave: document.getElementById('wave-form'),
+        timingPoint: document.getElementById('timing-point-form')
       };
       
       // Other elements
       this.elements = {
         racesContainer: document.getElementById('races-container'),
+        racesFilters: document.getElementById('races-filters'),
+        racesSearch: document.getElementById('races-search'),
+        racesStatusFilter: document.getElementById('races-status-filter'),
+        racesFrom: document.getElementById('races-from'),
+        racesTo: document.getElementById('races-to'),
+        racesSort: document.getElementById('races-sort'),
+        racesPagination: document.getElementById('races-pagination'),
+        racesPageIndicator: document.getElementById('races-page-indicator'),
+        trashHelp: document.getElementById('trash-help'),
+        trashContainer: document.getElementById('trash-container'),
+        accountName: document.getElementById('account-name'),
+        usersContainer: document.getElementById('users-container'),
+        backupRaces: document.getElementById('backup-races'),
+        restoreFile: document.getElementById('restore-file'),
+        restoreReport: document.getElementById('restore-report'),
+        seriesContainer: document.getElementById('series-container'),
+        seriesRaces: document.getElementById('series-races'),
+        standingsSeriesName: document.getElementById('standings-series-name'),
+        standingsRule: document.getElementById('standings-rule'),
+        standingsContainer: document.getElementById('standings-container'),
+        runnerSearchName: document.getElementById('runner-search-name'),
+        runnersContainer: document.getElementById('runners-container'),
+        runnerProfileName: document.getElementById('runner-profile-name'),
+        runnerProfileDetails: document.getElementById('runner-profile-details'),
+        runnerProfileContainer: document.getElementById('runner-profile-container'),
         raceNameDisplay: document.getElementById('race-name-display'),
         resultsRaceName: document.getElementById('results-race-name'),
+        resultsCourse: document.getElementById('results-course'),
         resultsList: document.getElementById('results-list'),
         resultsTableContainer: document.getElementById('results-table-container'),
         runnerInput: document.getElementById('runner-input'),
-        runnerNumber: document.getElementById('runner-number')
+        runnerNumber: document.getElementById('runner-number'),
+        clockWarning: document.getElementById('clock-warning'),
+        captureModeToggle: document.getElementById('capture-mode-toggle'),
+        tapCapture: document.getElementById('tap-capture'),
+        finishSlots: document.getElementById('finish-slots'),
+        finishSlotsSummary: document.getElementById('finish-slots-summary'),
+        pairingCapture: document.getElementById('pairing-capture'),
+        pairingCaptureSummary: document.getElementById('pairing-capture-summary'),
+        pairBibNumber: document.getElementById('pair-bib-number'),
+        pairingRaceName: document.getElementById('pairing-race-name'),
+        pairingEnabled: document.getElementById('pairing-enabled'),
+        pairingContainer: document.getElementById('pairing-container'),
+        reconcileRaceName: document.getElementById('reconcile-race-name'),
+        reconcileRule: document.getElementById('reconcile-rule'),
+        reconcilePrimaryGroup: document.getElementById('reconcile-primary-group'),
+        reconcilePrimaryDevice: document.getElementById('reconcile-primary-device'),
+        reconcileContainer: document.getElementById('reconcile-container'),
+        resultsReview: document.getElementById('results-review'),
+        resultsReviewText: document.getElementById('results-review-text'),
+        resultsDistance: document.getElementById('results-distance'),
+        resultsGenderFilter: document.getElementById('results-gender-filter'),
+        resultsCategoryFilter: document.getElementById('results-category-filter'),
+        resultsSort: document.getElementById('results-sort'),
+        entrantsRaceName: document.getElementById('entrants-race-name'),
+        wavesRaceName: document.getElementById('waves-race-name'),
+        wavesContainer: document.getElementById('waves-container'),
+        wavesLocked: document.getElementById('waves-locked'),
+        waveStarts: document.getElementById('wave-starts'),
+        timingPointsRaceName: document.getElementById('timing-points-race-name'),
+        timingPointsContainer: document.getElementById('timing-points-container'),
+        timingPointPicker: document.getElementById('timing-point-picker'),
+        timingPointSelect: document.getElementById('timing-point-select'),
+        entrantsContainer: document.getElementById('entrants-container'),
+        importRaceName: document.getElementById('import-race-name'),
+        importFile: document.getElementById('import-file'),
+        importReplace: document.getElementById('import-replace'),
+        importMapping: document.getElementById('import-mapping'),
+        importMappingFields: document.getElementById('import-mapping-fields'),
+        importReport: document.getElementById('import-report')
       };
+      
+      // Read-only leaderboard fed by the race's live feed
+      this.leaderboard = new LiveLeaderboard({
+        raceName: document.getElementById('leaderboard-race-name'),
+        clock: document.getElementById('leaderboard-clock'),
+        status: document.getElementById('leaderboard-status'),
+        table: document.getElementById('leaderboard-container')
+      }, time => this.raceTimer.formatTime(time));
     }
     
     /**
@@ -65,7 +242,17 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     init() {
       this.bindEventListeners();
-      this.showScreen('home-screen');
+      this.setCaptureMode(this.captureMode);
+      this.applyRole();
+      this.loadAccount();
+      
+      // Spectators can be sent straight to a race's leaderboard with ?live=<race id>
+      const liveRaceId = new URLSearchParams(window.location.search).get('live');
+      if (liveRaceId) {
+        this.showLeaderboard(liveRaceId);
+      } else {
+        this.showScreen('home-screen');
+      }
     }
     
     /**
@@ -74,25 +261,144 @@ document.addEventListener('DOMContentLoaded', () => {
     bindEventListeners() {
       // Navigation buttons
       this.buttons.createRace.addEventListener('click', () => this.showScreen('create-race-screen'));
-      this.buttons.viewRaces.addEventListener('click', () => this.loadRaces());
+      this.buttons.viewRaces.addEventListener('click', () => this.loadRaces(1));
       this.buttons.cancelCreate.addEventListener('click', () => this.showScreen('home-screen'));
       this.buttons.backToHome.addEventListener('click', () => this.showScreen('home-screen'));
+      this.buttons.viewTrash.addEventListener('click', () => this.loadTrash());
+      
+      // Races list filters, sort order and pages
+      this.elements.racesFilters.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.loadRaces(1);
+      });
+      [this.elements.racesSearch, this.elements.racesStatusFilter, this.elements.racesFrom, this.elements.racesTo, this.elements.racesSort]
+        .forEach(element => element.addEventListener('change', () => this.loadRaces(1)));
+      this.buttons.racesPrevPage.addEventListener('click', () => this.loadRaces(this.racesPage - 1));
+      this.buttons.racesNextPage.addEventListener('click', () => this.loadRaces(this.racesPage + 1));
+      this.buttons.backFromTrash.addEventListener('click', () => this.loadRaces());
+      this.buttons.signIn.addEventListener('click', () => this.showScreen('login-screen'));
+      this.buttons.signOut.addEventListener('click', () => this.signOut());
+      this.buttons.cancelLogin.addEventListener('click', () => this.showScreen('home-screen'));
+      this.buttons.manageUsers.addEventListener('click', () => this.loadUsers());
+      this.buttons.backFromUsers.addEventListener('click', () => this.showScreen('home-screen'));
+      
+      // Backup and restore
+      this.buttons.backup.addEventListener('click', () => this.loadBackup());
+      this.buttons.downloadBackup.addEventListener('click', () => this.downloadBackup(false));
+      this.buttons.downloadSelectedBackup.addEventListener('click', () => this.downloadBackup(true));
+      this.elements.restoreFile.addEventListener('change', () => this.readRestoreFile());
+      this.buttons.restore.addEventListener('click', () => this.restoreBackup());
+      this.buttons.backFromBackup.addEventListener('click', () => this.showScreen('home-screen'));
+      
+      // Championship series
+      this.buttons.viewSeries.addEventListener('click', () => this.loadSeriesList());
+      this.buttons.newSeries.addEventListener('click', () => this.showSeriesForm());
+      this.buttons.cancelSeriesEdit.addEventListener('click', () => this.forms.series.classList.add('hidden'));
+      this.buttons.backFromSeries.addEventListener('click', () => this.showScreen('home-screen'));
+      this.buttons.refreshStandings.addEventListener('click', () => this.refreshStandings().catch(() => {
+        showNotification('Failed to load standings', 3000);
+      }));
+      this.buttons.backFromStandings.addEventListener('click', () => this.loadSeriesList());
+      
+      // Runner profiles
+      this.buttons.viewRunners.addEventListener('click', () => this.loadRunners());
+      this.buttons.backFromRunners.addEventListener('click', () => this.showScreen('home-screen'));
+      this.buttons.backFromRunnerProfile.addEventListener('click', () => this.showScreen(this.profileReturnScreen || 'runners-screen'));
+      document.getElementById('runner-search-form').addEventListener('submit', event => {
+        event.preventDefault();
+        this.loadRunners();
+      });
       this.buttons.backToRaces.addEventListener('click', () => this.loadRaces());
       this.buttons.backFromResults.addEventListener('click', () => this.loadRaces());
+      this.buttons.backFromLeaderboard.addEventListener('click', () => this.loadRaces());
+      this.buttons.addResult.addEventListener('click', () => this.showManualResultForm());
+      this.buttons.setStatus.addEventListener('click', () => {
+        this.showRunnerStatusForm(null, (runnerNumber, runnerStatus) => this.updateRunnerStatus(runnerNumber, runnerStatus));
+      });
+      this.buttons.runnerStatus.addEventListener('click', () => {
+        this.showRunnerStatusForm(null, (runnerNumber, runnerStatus) => this.recordRunnerStatus(runnerNumber, runnerStatus));
+      });
+      this.buttons.setDistance.addEventListener('click', () => this.setRaceDistance());
+      this.elements.resultsGenderFilter.addEventListener('change', () => this.loadResultsPage(1));
+      this.elements.resultsCategoryFilter.addEventListener('change', () => this.loadResultsPage(1));
+      this.elements.resultsSort.addEventListener('change', () => this.loadResultsPage(1));
+      this.buttons.cancelManualResult.addEventListener('click', () => this.forms.manualResult.classList.add('hidden'));
+      this.buttons.exportCsv.addEventListener('click', () => this.exportResults('csv'));
+      this.buttons.exportJson.addEventListener('click', () => this.exportResults('json'));
+      this.buttons.exportHtml.addEventListener('click', () => this.exportResults('html'));
+      this.buttons.backFromEntrants.addEventListener('click', () => this.loadRaces());
+      this.buttons.cancelEntrantEdit.addEventListener('click', () => this.resetEntrantForm());
+      
+      // Start waves
+      this.buttons.backFromWaves.addEventListener('click', () => this.loadRaces());
+      this.buttons.cancelWaveEdit.addEventListener('click', () => this.resetWaveForm());
+      
+      // Timing points
+      this.buttons.backFromTimingPoints.addEventListener('click', () => this.loadRaces());
+      this.buttons.cancelTimingPointEdit.addEventListener('click', () => this.resetTimingPointForm());
+      this.elements.timingPointSelect.addEventListener('change', (e) => this.setTimingPoint(e.target.value));
+      
+      // Entrant import
+      this.buttons.importEntrants.addEventListener('click', () => this.showImportEntrants());
+      this.buttons.backFromImport.addEventListener('click', () => this.loadEntrants(this.currentRaceId));
+      this.buttons.checkImport.addEventListener('click', () => this.checkImport());
+      this.buttons.commitImport.addEventListener('click', () => this.commitImport());
+      this.elements.importFile.addEventListener('change', () => this.readImportFile());
+      this.elements.importReplace.addEventListener('change', () => {
+        this.buttons.commitImport.disabled = true;
+      });
+      
+      // Finish pairing
+      this.buttons.backFromPairing.addEventListener('click', () => this.loadRaces());
+      this.buttons.refreshPairing.addEventListener('click', () => this.refreshPairing());
+      this.buttons.mergePairing.addEventListener('click', () => this.mergePairing());
+      this.elements.pairingEnabled.addEventListener('change', (e) => this.setRacePairingMode(e.target.checked));
+      
+      // Result reconciliation
+      this.buttons.backFromReconcile.addEventListener('click', () => this.loadRaceResults(this.currentRaceId));
+      this.buttons.refreshReconcile.addEventListener('click', () => this.refreshReconciliation());
+      this.buttons.reviewConflicts.addEventListener('click', () => this.loadReconciliation(this.currentRaceId));
+      this.elements.reconcileRule.addEventListener('change', () => this.saveReconciliationRule());
+      this.elements.reconcilePrimaryDevice.addEventListener('change', () => this.saveReconciliationRule());
       
       // Race control buttons
       this.buttons.startTimer.addEventListener('click', () => this.startRace());
       this.buttons.recordFinish.addEventListener('click', () => this.showRunnerInput());
+      this.buttons.tapFinish.addEventListener('click', () => this.tapFinish());
+      this.buttons.bibMode.addEventListener('click', () => this.setCaptureMode('bib'));
+      this.buttons.tapMode.addEventListener('click', () => this.setCaptureMode('tap'));
+      this.buttons.timekeeperRole.addEventListener('click', () => this.setPairingRole('timekeeper'));
+      this.buttons.bibCollectorRole.addEventListener('click', () => this.setPairingRole('bibs'));
+      this.buttons.pairTime.addEventListener('click', () => this.recordPairTime());
+      this.buttons.pairUnknown.addEventListener('click', () => this.recordPairBib(null));
       this.buttons.endRace.addEventListener('click', () => this.endRace());
       this.buttons.uploadResults.addEventListener('click', () => this.uploadResults());
       this.buttons.clearResults.addEventListener('click', () => this.clearResults());
       
+      // Refresh the clock warning whenever the device clock is re-measured
+      document.addEventListener('clockcalibrated', () => this.updateClockWarning());
+      
       // Sync button
       if (this.buttons.syncNow) {
-        this.buttons.syncNow.addEventListener('click', () => window.offlineStorage.syncResults());
+        this.buttons.syncNow.addEventListener('click', () => window.offlineStorage.syncAll());
       }
       
       // Forms
+      this.forms.login.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.signIn();
+      });
+      
+      this.forms.user.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.createUser();
+      });
+      
+      this.forms.series.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveSeries();
+      });
+      
       this.forms.createRace.addEventListener('submit', (e) => {
         e.preventDefault();
         this.createRace();
@@ -102,6 +408,31 @@ document.addEventListener('DOMContentLoaded', () => {
         e.preventDefault();
         this.recordFinish();
       });
+      
+      this.forms.pairBib.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.recordPairBib(this.elements.pairBibNumber.value);
+      });
+      
+      this.forms.manualResult.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.addManualResult();
+      });
+      
+      this.forms.entrant.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveEntrant();
+      });
+      
+      this.forms.wave.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveWave();
+      });
+      
+      this.forms.timingPoint.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveTimingPoint();
+      });
     }
     
     /**
@@ -116,6 +447,11 @@ document.addEventListener('DOMContentLoaded', () => {
       document.getElementById(screenId).classList.add('active');
       this.currentScreen = screenId;
       
+      // Only follow a live feed while the leaderboard is on screen
+      if (screenId !== 'leaderboard-screen') {
+        this.leaderboard.close();
+      }
+      
       // Special handling for screens
       if (screenId === 'race-control-screen') {
         // Initialize timer display
@@ -123,15 +459,160 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
     
+    /**
+     * Check the session with the server and refresh the remembered account
+     * Offline, the remembered account is kept so race-day controls stay available.
+     */
+    async loadAccount() {
+      if (!window.offlineStorage.isDeviceOnline()) {
+        return;
+      }
+      
+      try {
+        const response = await fetch('/api/auth/me');
+        
+        if (!response.ok) {
+          throw new Error('Failed to load account');
+        }
+        
+        const { user } = await response.json();
+        this.setUser(user);
+      
+      } catch (error) {
+        console.error('Load account error:', error);
+      }
+    }
+    
+    /**
+     * Remember the signed-in account and update the controls it can see
+     * @param {Object|null} user - The account, or null when signed out
+     */
+    setUser(user) {
+      this.user = user;
+      
+      if (user) {
+        localStorage.setItem('account', JSON.stringify(user));
+      } else {
+        localStorage.removeItem('account');
+      }
+      
+      this.applyRole();
+    }
+    
+    /**
+     * Check whether the signed-in account has one of the given roles
+     * @param {...string} roles - The roles to check for
+     * @returns {boolean} Whether the account has one of them
+     */
+    hasRole(...roles) {
+      return Boolean(this.user && roles.includes(this.user.role));
+    }
+    
+    /**
+     * Check whether the signed-in account may run a race: directors always, marshals when assigned
+     * @param {number} raceId - The race ID
+     * @returns {boolean} Whether the account can start the race and record finishes
+     */
+    canControlRace(raceId) {
+      if (this.hasRole('director')) return true;
+      return this.hasRole('marshal') && (this.user.races || []).includes(Number(raceId));
+    }
+    
+    /**
+     * Show the account in the header and hide controls the account's role can't use
+     * The server enforces the same rules; this only keeps unusable buttons out of the way.
+     */
+    applyRole() {
+      const roleNames = { director: 'Race Director', marshal: 'Marshal' };
+      
+      this.elements.accountName.textContent = this.user
+        ? `${this.user.displayName || this.user.username} (${roleNames[this.user.role] || this.user.role})`
+        : '';
+      this.buttons.signIn.classList.toggle('hidden', Boolean(this.user));
+      this.buttons.signOut.classList.toggle('hidden', !this.user);
+      
+      document.querySelectorAll('[data-roles]').forEach(element => {
+        const roles = element.dataset.roles.split(',');
+        element.classList.toggle('role-hidden', !this.hasRole(...roles));
+      });
+    }
+    
+    /**
+     * Sign in with the login form
+     */
+    async signIn() {
+      const usernameInput = document.getElementById('login-username');
+      const passwordInput = document.getElementById('login-password');
+      
+      try {
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot sign in while offline', 3000);
+          return;
+        }
+        
+        const response = await fetch('/api/auth/login', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ username: usernameInput.value, password: passwordInput.value })
+        });
+        
+        const data = await response.json().catch(() => ({}));
+        
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to sign in');
+        }
+        
+        passwordInput.value = '';
+        this.setUser(data.user);
+        
+        // Fetch the marshal's race assignments along with the account
+        await this.loadAccount();
+        
+        showNotification(`Signed in as ${data.user.displayName || data.user.username}`, 3000);
+        this.showScreen('home-screen');
+      
+      } catch (error) {
+        console.error('Sign in error:', error);
+        showNotification(error.message || 'Failed to sign in', 3000);
+      }
+    }
+    
+    /**
+     * Sign out of this device
+     */
+    async signOut() {
+      try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+      } catch (error) {
+        // The session expires on the server by itself; forgetting it here is enough
+        console.warn('Sign out could not reach the server:', error);
+      }
+      
+      this.setUser(null);
+      showNotification('Signed out', 3000);
+      this.showScreen('home-screen');
+    }
+    
     /**
      * Create a new race
      */
     async createRace() {
       const nameInput = document.getElementById('race-name');
       const dateInput = document.getElementById('race-date');
+      const distanceInput = document.getElementById('race-distance');
+      const distanceUnitInput = document.getElementById('race-distance-unit');
+      const courseTypeInput = document.getElementById('race-course-type');
+      const descriptionInput = document.getElementById('race-description');
       
       const name = nameInput.value.trim();
       const date = dateInput.value;
+      // The server converts the distance from its unit to metres
+      const distance = distanceInput.value ? parseFloat(distanceInput.value) : null;
+      const distanceUnit = distanceUnitInput.value;
+      const courseType = courseTypeInput.value || null;
+      const description = descriptionInput.value.trim();
       
       if (!name || !date) {
         showNotification('Please fill in all fields', 3000);
@@ -150,11 +631,12 @@ document.addEventListener('DOMContentLoaded', () => {
           headers: {
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ name, date })
+          body: JSON.stringify({ name, date, distance, distanceUnit, courseType, description })
         });
         
         if (!response.ok) {
-          throw new Error('Failed to create race');
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to create race');
         }
         
         const race = await response.json();
@@ -162,20 +644,24 @@ document.addEventListener('DOMContentLoaded', () => {
         // Reset the form
         nameInput.value = '';
         dateInput.value = '';
+        distanceInput.value = '';
+        distanceUnitInput.value = 'km';
+        courseTypeInput.value = '';
+        descriptionInput.value = '';
         
         // Show the race control screen
         this.loadRaceControl(race.id);
         
       } catch (error) {
         console.error('Create race error:', error);
-        showNotification('Failed to create race', 3000);
+        showNotification(error.message || 'Failed to create race', 3000);
       }
     }
     
     /**
      * Load the list of races
      */
-    async loadRaces() {
+    async loadRaces(page = this.racesPage) {
       try {
         // Check if we're online first
         if (!window.offlineStorage.isDeviceOnline()) {
@@ -183,13 +669,34 @@ document.addEventListener('DOMContentLoaded', () => {
           return;
         }
         
-        const response = await fetch('/api/races');
+        // The server filters, sorts and pages the list
+        const [sort, order] = this.elements.racesSort.value.split(':');
+        const query = new URLSearchParams({ sort, order, page: Math.max(1, page), limit: RACES_PAGE_SIZE });
+        if (this.elements.racesSearch.value.trim()) query.set('search', this.elements.racesSearch.value.trim());
+        if (this.elements.racesStatusFilter.value) query.set('status', this.elements.racesStatusFilter.value);
+        if (this.elements.racesFrom.value) query.set('from', this.elements.racesFrom.value);
+        if (this.elements.racesTo.value) query.set('to', this.elements.racesTo.value);
+        
+        const response = await fetch(`/api/races?${query}`);
         
         if (!response.ok) {
-          throw new Error('Failed to load races');
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to load races');
         }
         
-        const races = await response.json();
+        const { races, total, limit } = await response.json();
+        const pages = Math.max(1, Math.ceil(total / limit));
+        
+        // Deleting the last race on the last page leaves it empty, so step back to the new last page
+        if (races.length === 0 && page > pages) {
+          return this.loadRaces(pages);
+        }
+        
+        this.racesPage = Math.max(1, page);
+        this.elements.racesPagination.classList.toggle('hidden', pages === 1);
+        this.elements.racesPageIndicator.textContent = `Page ${this.racesPage} of ${pages} (${total} race${total === 1 ? '' : 's'})`;
+        this.buttons.racesPrevPage.disabled = this.racesPage === 1;
+        this.buttons.racesNextPage.disabled = this.racesPage >= pages;
         
         // Clear the container
         this.elements.racesContainer.innerHTML = '';
@@ -203,32 +710,97 @@ document.addEventListener('DOMContentLoaded', () => {
             raceCard.className = 'race-card';
             
             const status = race.status === 'pending' ? 'Not Started' : 
-                           race.status === 'active' ? 'In Progress' : 'Completed';
+                           race.status === 'active' ? 'In Progress' :
+                           race.status === 'published' ? 'Results Published' : 'Completed';
+            const actions = race.actions || [];
             
             const date = new Date(race.date).toLocaleDateString();
             
+            const isDirector = this.hasRole('director');
+            const canControl = this.canControlRace(race.id);
+            
+            const course = [this.formatDistance(race.distance, race.distanceUnit), race.courseType].filter(Boolean).join(' ');
+            
             raceCard.innerHTML = `
               <h3>${race.name}</h3>
               <p>Date: ${date}</p>
+              ${course ? `<p>Course: ${this.escapeHtml(course)}</p>` : ''}
               <p>Status: ${status}</p>
               <div class="race-card-buttons">
-                <button class="primary-button control-button">Control Race</button>
+                ${canControl ? '<button class="primary-button control-button">Control Race</button>' : ''}
+                ${isDirector ? `
+                  <button class="secondary-button entrants-button">Entrants</button>
+                  <button class="secondary-button waves-button">Waves</button>
+                  <button class="secondary-button timing-points-button">Timing Points</button>
+                  <button class="secondary-button marshals-button">Marshals</button>
+                  <button class="secondary-button pairing-button">Finish Pairing</button>
+                  <button class="secondary-button reconcile-button">Reconcile</button>
+                ` : ''}
                 <button class="secondary-button results-button">View Results</button>
-                ${race.status === 'completed' ? '<button class="danger-button delete-button">Delete Race</button>' : ''}
+                <button class="secondary-button leaderboard-button">Live Leaderboard</button>
+                ${isDirector && actions.includes('publish') ? '<button class="primary-button publish-button">Publish Results</button>' : ''}
+                ${isDirector && actions.includes('correctStart') ? '<button class="secondary-button correct-start-button">Correct Start Time</button>' : ''}
+                ${isDirector && actions.includes('reopen') ? '<button class="secondary-button reopen-button">Reopen Race</button>' : ''}
+                ${isDirector && ['completed', 'published'].includes(race.status) ? '<button class="danger-button delete-button">Delete Race</button>' : ''}
               </div>
             `;
             
             // Add event listeners
-            raceCard.querySelector('.control-button').addEventListener('click', () => {
-              this.loadRaceControl(race.id);
-            });
+            if (canControl) {
+              raceCard.querySelector('.control-button').addEventListener('click', () => {
+                this.loadRaceControl(race.id);
+              });
+            }
+            
+            if (isDirector) {
+              raceCard.querySelector('.entrants-button').addEventListener('click', () => {
+                this.loadEntrants(race.id);
+              });
+              
+              raceCard.querySelector('.waves-button').addEventListener('click', () => {
+                this.loadWaves(race);
+              });
+              
+              raceCard.querySelector('.timing-points-button').addEventListener('click', () => {
+                this.loadTimingPoints(race);
+              });
+              
+              raceCard.querySelector('.marshals-button').addEventListener('click', () => {
+                this.showMarshalAssignment(race);
+              });
+              
+              raceCard.querySelector('.pairing-button').addEventListener('click', () => {
+                this.loadPairing(race.id);
+              });
+              
+              raceCard.querySelector('.reconcile-button').addEventListener('click', () => {
+                this.loadReconciliation(race.id);
+              });
+            }
             
             raceCard.querySelector('.results-button').addEventListener('click', () => {
               this.loadRaceResults(race.id);
             });
             
-            // Add delete button event listener if race is completed
-            if (race.status === 'completed') {
+            raceCard.querySelector('.leaderboard-button').addEventListener('click', () => {
+              this.showLeaderboard(race.id);
+            });
+            
+            // Offer only the lifecycle actions the race's state allows
+            if (isDirector && actions.includes('publish')) {
+              raceCard.querySelector('.publish-button').addEventListener('click', () => this.publishRace(race));
+            }
+            
+            if (isDirector && actions.includes('correctStart')) {
+              raceCard.querySelector('.correct-start-button').addEventListener('click', () => this.correctStartTime(race));
+            }
+            
+            if (isDirector && actions.includes('reopen')) {
+              raceCard.querySelector('.reopen-button').addEventListener('click', () => this.reopenRace(race));
+            }
+            
+            // Add delete button event listener if race is over
+            if (isDirector && ['completed', 'published'].includes(race.status)) {
               raceCard.querySelector('.delete-button').addEventListener('click', () => {
                 this.confirmDeleteRace(race.id, race.name);
               });
@@ -243,7 +815,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
       } catch (error) {
         console.error('Load races error:', error);
-        showNotification('Failed to load races', 3000);
+        showNotification(error.message || 'Failed to load races', 3000);
       }
     }
     
@@ -266,15 +838,64 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         const race = await response.json();
+        
+        const [wavesResponse, timingPointsResponse] = await Promise.all([
+          fetch(`/api/races/${raceId}/waves`),
+          fetch(`/api/races/${raceId}/timing-points`)
+        ]);
+        if (!wavesResponse.ok || !timingPointsResponse.ok) {
+          throw new Error('Failed to load start waves and timing points');
+        }
+        race.waves = await wavesResponse.json();
+        race.timingPoints = await timingPointsResponse.json();
+        
+        // Apply start, wave start and end events this device has not synced yet; as on the server, a
+        // start from another device that reached it first stands
+        const pendingEvents = await window.offlineStorage.getPendingRaceEvents(raceId);
+        pendingEvents.forEach(entry => {
+          if (entry.type === 'start') {
+            if (race.status === 'pending') {
+              race.startTime = entry.data.startTime;
+              race.startClockOffset = entry.data.clockOffset;
+              race.status = 'active';
+            }
+          } else if (entry.type === 'waveStart') {
+            const wave = race.waves.find(wave => wave.id === entry.data.waveId);
+            if (wave) {
+              wave.startTime = entry.data.startTime;
+              wave.startClockOffset = entry.data.clockOffset;
+            }
+            // As on the server, the first wave away starts the race
+            if (!race.startTime) {
+              race.startTime = entry.data.startTime;
+              race.startClockOffset = entry.data.clockOffset;
+              race.status = race.status === 'pending' ? 'active' : race.status;
+            }
+          } else if (entry.type === 'end') {
+            race.status = race.status === 'published' ? race.status : 'completed';
+          }
+        });
+        
         this.currentRace = race;
         this.currentRaceId = raceId;
         
+        // The start may have been recorded on another device, so bring it onto this device's clock
+        const startTime = race.startTime
+          ? window.clockSync.toDeviceTime(parseInt(race.startTime) + (race.startClockOffset || 0))
+          : null;
+        
         // Update the race name display
         this.elements.raceNameDisplay.textContent = race.name;
+        this.updateClockWarning();
         
         // Reset results
         this.results = [];
+        this.finishSlots = [];
+        this.pairingEntries = [];
+        this.renderTimingPointPicker();
+        this.applyPairingMode();
         this.updateResultsList();
+        this.renderFinishSlots();
         
         // Reset and update timer
         this.raceTimer.reset();
@@ -283,6 +904,8 @@ document.addEventListener('DOMContentLoaded', () => {
         if (race.status === 'pending') {
           this.buttons.startTimer.disabled = false;
           this.buttons.recordFinish.disabled = true;
+          this.buttons.tapFinish.disabled = true;
+          this.buttons.pairTime.disabled = true;
           this.buttons.endRace.disabled = true;
           this.buttons.uploadResults.disabled = true;
           this.buttons.clearResults.disabled = true;
@@ -290,35 +913,41 @@ document.addEventListener('DOMContentLoaded', () => {
         } else if (race.status === 'active') {
           this.buttons.startTimer.disabled = true;
           this.buttons.recordFinish.disabled = false;
+          this.buttons.tapFinish.disabled = false;
+          this.buttons.pairTime.disabled = false;
           this.buttons.endRace.disabled = false;
           this.buttons.uploadResults.disabled = false;
           this.buttons.clearResults.disabled = false;
           
           // Start the timer with the saved start time
-          if (race.startTime) {
-            this.raceTimer.start(parseInt(race.startTime));
+          if (startTime) {
+            this.raceTimer.start(startTime);
           }
         } else {
-          // Race is completed
+          // Race is completed; once its results are published nothing more can be uploaded until it is reopened
           this.buttons.startTimer.disabled = true;
           this.buttons.recordFinish.disabled = true;
+          this.buttons.tapFinish.disabled = true;
+          this.buttons.pairTime.disabled = true;
           this.buttons.endRace.disabled = true;
-          this.buttons.uploadResults.disabled = false;
+          this.buttons.uploadResults.disabled = race.status === 'published';
           this.buttons.clearResults.disabled = false;
           this.elements.runnerInput.classList.add('hidden');
           
           // Show the timer at its final state
-          if (race.startTime) {
-            this.raceTimer.start(parseInt(race.startTime));
+          if (startTime) {
+            this.raceTimer.start(startTime);
             this.raceTimer.stop();
           }
         }
         
-        // Check for locally stored results for this race
-        const storedData = window.offlineStorage.getStoredData();
-        if (storedData && storedData.raceId === raceId && storedData.results) {
-          this.results = storedData.results;
-          this.updateResultsList();
+        // With start waves, each wave is started from its own button rather than Start Race
+        this.buttons.startTimer.classList.toggle('hidden', race.waves.length > 0);
+        this.renderWaveStarts();
+        
+        // Check for locally stored results, finish slots and split-role entries for this race
+        await this.reloadPendingResults(startTime);
+        if (this.results.length > 0 || this.finishSlots.length > 0 || this.pairingEntries.length > 0) {
           this.buttons.uploadResults.disabled = false;
           this.buttons.clearResults.disabled = false;
         }
@@ -332,6 +961,15 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
     
+    /**
+     * Show or hide the warning about this device's clock offset
+     */
+    updateClockWarning() {
+      const warning = window.clockSync.getWarning();
+      this.elements.clockWarning.textContent = warning || '';
+      this.elements.clockWarning.classList.toggle('hidden', !warning);
+    }
+    
     /**
      * Start the race
      */
@@ -341,373 +979,3472 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
       
+      // Start the timer; this device's start time is the race's official start
+      const startTime = this.raceTimer.start();
+      
       try {
-        // Check if we're online first
-        if (!window.offlineStorage.isDeviceOnline()) {
-          showNotification('Cannot start race while offline', 3000);
-          return;
-        }
-        
-        // Start the timer
-        const startTime = this.raceTimer.start();
-        
-        const response = await fetch(`/api/races/${this.currentRaceId}/start`, {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ startTime })
+        const clockInfo = window.clockSync.getTimestampInfo();
+        const accepted = await this.sendRaceEvent('start', {
+          startTime,
+          deviceId: window.offlineStorage.getDeviceId(),
+          ...clockInfo
         });
         
-        if (!response.ok) {
-          // Stop the timer if the request failed
-          this.raceTimer.stop();
-          throw new Error('Failed to start race');
-        }
-        
         // Update current race data
-        const updatedRace = await response.json();
         this.currentRace = {
           ...this.currentRace,
-          startTime: updatedRace.startTime,
-          status: updatedRace.status
+          startTime,
+          startClockOffset: clockInfo.clockOffset,
+          status: 'active'
         };
         
         // Update button states
         this.buttons.startTimer.disabled = true;
         this.buttons.recordFinish.disabled = false;
+        this.buttons.tapFinish.disabled = false;
+        this.buttons.pairTime.disabled = false;
         this.buttons.endRace.disabled = false;
         this.buttons.uploadResults.disabled = false;
         this.buttons.clearResults.disabled = false;
         
-        showNotification('Race started', 3000);
+        showNotification(accepted ? 'Race started' : 'Race started offline - the start time will sync when you reconnect', 3000);
         
       } catch (error) {
+        // Stop the timer if the server rejected the start
+        this.raceTimer.reset();
         console.error('Start race error:', error);
-        showNotification('Failed to start race', 3000);
+        showNotification(error.message || 'Failed to start race', 3000);
+        
+        // Another device may have started the race, so show it as the server has it
+        if (error.code) {
+          this.loadRaceControl(this.currentRaceId);
+        }
       }
     }
     
     /**
-     * Show the runner input form
+     * List the race's start waves on the race control screen, each with its start button or start time
      */
-    showRunnerInput() {
-      this.elements.runnerInput.classList.remove('hidden');
-      this.elements.runnerNumber.value = '';
-      this.elements.runnerNumber.focus();
+    renderWaveStarts() {
+      const waves = this.currentRace.waves || [];
+      const container = this.elements.waveStarts;
+      container.classList.toggle('hidden', waves.length === 0);
+      container.innerHTML = '';
+      
+      const raceStartTime = this.currentRace.startTime
+        ? parseInt(this.currentRace.startTime) + (this.currentRace.startClockOffset || 0)
+        : null;
+      
+      waves.forEach(wave => {
+        const waveStartTime = wave.startTime ? parseInt(wave.startTime) + (wave.startClockOffset || 0) : null;
+        const item = document.createElement('div');
+        item.className = 'wave-start';
+        item.innerHTML = `
+          <div>
+            <strong>${this.escapeHtml(wave.name)}</strong>
+            <div class="wave-runners">${this.escapeHtml(this.describeWave(wave))}</div>
+          </div>
+          ${waveStartTime !== null
+            ? `<span class="wave-started">Started +${this.raceTimer.formatTime(waveStartTime - raceStartTime)}</span>`
+            : `<button class="action-button start-wave-button" ${['completed', 'published'].includes(this.currentRace.status) ? 'disabled' : ''}>Start</button>`}
+        `;
+        
+        const startButton = item.querySelector('.start-wave-button');
+        if (startButton) {
+          startButton.addEventListener('click', () => this.startWave(wave));
+        }
+        
+        container.appendChild(item);
+      });
     }
     
     /**
-     * Record a runner finish
+     * Describe who starts in a wave
+     * @param {Object} wave - The wave
+     * @returns {string} The wave's bibs and categories, or that it takes everyone else
+     */
+    describeWave(wave) {
+      const parts = [];
+      if (wave.bibs) parts.push(`Bibs ${wave.bibs}`);
+      if (wave.categories) parts.push(wave.categories);
+      return parts.join('; ') || 'Everyone else';
+    }
+    
+    /**
+     * Start a wave; the first wave away also starts the race and its clock
+     * @param {Object} wave - The wave to start
      */
-    recordFinish() {
+    async startWave(wave) {
       if (!this.currentRaceId) {
         showNotification('No race selected', 3000);
         return;
       }
       
-      if (!this.raceTimer.isRunning) {
-        showNotification('Race timer not running', 3000);
-        return;
-      }
+      const isFirstWave = !this.raceTimer.isRunning;
+      const startTime = isFirstWave ? this.raceTimer.start() : Date.now();
       
-      const runnerNumber = parseInt(this.elements.runnerNumber.value);
-      if (isNaN(runnerNumber) || runnerNumber <= 0) {
-        showNotification('Invalid runner number', 3000);
-        return;
+      try {
+        const clockInfo = window.clockSync.getTimestampInfo();
+        const accepted = await this.sendRaceEvent(`waves/${wave.id}/start`, {
+          waveId: wave.id,
+          startTime,
+          deviceId: window.offlineStorage.getDeviceId(),
+          ...clockInfo
+        }, 'waveStart');
+        
+        wave.startTime = startTime;
+        wave.startClockOffset = clockInfo.clockOffset;
+        
+        if (isFirstWave) {
+          this.currentRace = {
+            ...this.currentRace,
+            startTime,
+            startClockOffset: clockInfo.clockOffset,
+            status: 'active'
+          };
+          
+          this.buttons.recordFinish.disabled = false;
+          this.buttons.tapFinish.disabled = false;
+          this.buttons.pairTime.disabled = false;
+          this.buttons.endRace.disabled = false;
+          this.buttons.uploadResults.disabled = false;
+          this.buttons.clearResults.disabled = false;
+        }
+        
+        this.renderWaveStarts();
+        showNotification(accepted ? `${wave.name} started` : `${wave.name} started offline - the start time will sync when you reconnect`, 3000);
+        
+      } catch (error) {
+        if (isFirstWave) {
+          this.raceTimer.reset();
+        }
+        console.error('Start wave error:', error);
+        showNotification(error.message || 'Failed to start wave', 3000);
+        
+        if (error.code) {
+          this.loadRaceControl(this.currentRaceId);
+        }
       }
+    }
+    
+    /**
+     * Send a race start, wave start, end or runner status event to the server
+     * If the server can't be reached the event is queued in the race's journal,
+     * marked as recorded offline, and replayed when the device reconnects.
+     * @param {string} action - 'start', 'end', 'waves/<waveId>/start' or 'statuses/<runnerNumber>'
+     * @param {Object} raceEvent - The event's device timestamp and device ID
+     * @param {string} journalType - The journal entry type if the event is queued, when it isn't the action
+     * @returns {Promise<boolean>} True if the server accepted the event, false if it was queued
+     */
+    async sendRaceEvent(action, raceEvent, journalType = action) {
+      let response = null;
       
-      // Record the finish time
-      const finishTime = this.raceTimer.recordFinish();
+      if (window.offlineStorage.isDeviceOnline()) {
+        try {
+          response = await fetch(`/api/races/${this.currentRaceId}/${action}`, {
+            method: 'PUT',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ ...raceEvent, recordedOffline: false })
+          });
+        } catch (error) {
+          console.warn(`Race ${action} could not reach the server:`, error);
+        }
+      }
       
-      // Calculate race time
-      const raceTime = finishTime - this.raceTimer.startTime;
+      if (response && response.ok) {
+        return true;
+      }
       
-      // Create result object
-      const result = {
-        runnerNumber,
-        finishTime,
-        raceTime
-      };
+      // The service worker answers 503 when the network is unavailable
+      if (response && response.status !== 503) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || `Failed to ${action} race`);
+        // Refusals because of the race's state carry a code, such as RACE_ALREADY_STARTED
+        error.code = data.code || null;
+        throw error;
+      }
       
-      // Add to local results
-      this.results.push(result);
+      await window.offlineStorage.queueRaceEvent(
+        this.currentRaceId,
+        journalType,
+        { ...raceEvent, recordedOffline: true },
+        this.currentRace.name
+      );
+      return false;
+    }
+    
+    /**
+     * Show the form for marking a runner as not starting, not finishing or disqualified
+     * @param {number|null} runnerNumber - The runner, or null to have the bib entered
+     * @param {Function} onSave - Called with (runnerNumber, { status, reason }); the form stays open if it throws
+     */
+    showRunnerStatusForm(runnerNumber, onSave) {
+      const overlay = document.createElement('div');
+      overlay.className = 'modal-overlay';
       
-      // Store results locally for offline support
-      window.offlineStorage.storeResult({
-        raceId: this.currentRaceId,
-        runnerNumber,
-        finishTime
+      const modal = document.createElement('div');
+      modal.className = 'modal-container';
+      modal.innerHTML = `
+        <h3>Runner Status</h3>
+        <div class="form-group">
+          <label for="status-bib">Bib Number:</label>
+          <input type="number" id="status-bib" min="1" value="${runnerNumber || ''}" ${runnerNumber ? 'disabled' : ''}>
+        </div>
+        <div class="form-group">
+          <label for="status-select">Status:</label>
+          <select id="status-select">
+            ${Object.entries(RUNNER_STATUSES).map(([status, label]) => `<option value="${status}">${label} (${status})</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="status-reason">Reason:</label>
+          <input type="text" id="status-reason" placeholder="Required for a disqualification">
+        </div>
+        <div class="modal-buttons">
+          <button class="secondary-button cancel-status">Cancel</button>
+          <button class="primary-button save-status">Save</button>
+        </div>
+      `;
+      
+      overlay.appendChild(modal);
+      document.body.appendChild(overlay);
+      
+      modal.querySelector('.cancel-status').addEventListener('click', () => {
+        document.body.removeChild(overlay);
+      });
+      
+      modal.querySelector('.save-status').addEventListener('click', async () => {
+        const bib = parseInt(modal.querySelector('#status-bib').value);
+        const runnerStatus = {
+          status: modal.querySelector('#status-select').value,
+          reason: modal.querySelector('#status-reason').value.trim()
+        };
+        
+        if (isNaN(bib) || bib <= 0) {
+          showNotification('Invalid runner number', 3000);
+          return;
+        }
+        
+        if (runnerStatus.status === 'DSQ' && !runnerStatus.reason) {
+          showNotification('A reason is required when disqualifying a runner', 3000);
+          return;
+        }
+        
+        try {
+          await onSave(bib, runnerStatus);
+          document.body.removeChild(overlay);
+        } catch (error) {
+          console.error('Runner status error:', error);
+          showNotification(error.message || 'Failed to save the runner status', 3000);
+        }
+      });
+    }
+    
+    /**
+     * Record a runner's status from race control, queuing it if the device is offline
+     * @param {number} runnerNumber - The runner's bib
+     * @param {Object} runnerStatus - The status and reason
+     */
+    async recordRunnerStatus(runnerNumber, runnerStatus) {
+      const accepted = await this.sendRaceEvent(`statuses/${runnerNumber}`, { runnerNumber, ...runnerStatus }, 'runnerStatus');
+      
+      showNotification(accepted
+        ? `Runner ${runnerNumber} marked ${runnerStatus.status}`
+        : `Runner ${runnerNumber} marked ${runnerStatus.status} offline - it will sync when you reconnect`, 3000);
+    }
+    
+    /**
+     * Set a runner's status from the results screen and show the updated results
+     * @param {number} runnerNumber - The runner's bib
+     * @param {Object} runnerStatus - The status and reason
+     */
+    async updateRunnerStatus(runnerNumber, runnerStatus) {
+      const response = await fetch(`/api/races/${this.currentRaceId}/statuses/${runnerNumber}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(runnerStatus)
       });
       
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to save the runner status');
+      }
+      
+      showNotification(`Runner ${runnerNumber} marked ${runnerStatus.status}`, 3000);
+      await this.loadRaceResults(this.currentRaceId);
+    }
+    
+    /**
+     * Clear a runner's status after confirming, returning any finish they have to the results
+     * @param {Object} result - The non-finisher's row
+     */
+    async clearRunnerStatus(result) {
+      if (!confirm(`Clear the ${result.status} status for runner ${result.runnerNumber}?`)) {
+        return;
+      }
+      
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/statuses/${result.runnerNumber}`, {
+          method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to clear the runner status');
+        }
+        
+        showNotification(`Status cleared for runner ${result.runnerNumber}`, 3000);
+        await this.loadRaceResults(this.currentRaceId);
+        
+      } catch (error) {
+        console.error('Clear runner status error:', error);
+        showNotification(error.message || 'Failed to clear the runner status', 3000);
+      }
+    }
+    
+    /**
+     * Show the runner input form
+     */
+    showRunnerInput() {
+      this.elements.runnerInput.classList.remove('hidden');
+      this.elements.runnerNumber.value = '';
+      this.elements.runnerNumber.focus();
+    }
+    
+    /**
+     * Record a runner finish
+     */
+    async recordFinish() {
+      if (!this.currentRaceId) {
+        showNotification('No race selected', 3000);
+        return;
+      }
+      
+      if (!this.raceTimer.isRunning) {
+        showNotification('Race timer not running', 3000);
+        return;
+      }
+      
+      const runnerNumber = parseInt(this.elements.runnerNumber.value);
+      if (isNaN(runnerNumber) || runnerNumber <= 0) {
+        showNotification('Invalid runner number', 3000);
+        return;
+      }
+      
+      // Record the finish time
+      const finishTime = this.raceTimer.recordFinish();
+      
+      if (this.isRecordingSplits()) {
+        await this.recordSplit(runnerNumber, finishTime);
+        return;
+      }
+      
+      // Calculate race time
+      const raceTime = finishTime - this.raceTimer.startTime;
+      
+      // Create result object with a stable ID so repeat uploads are recognised
+      const result = {
+        clientId: generateUuid(),
+        runnerNumber,
+        finishTime,
+        raceTime
+      };
+      
+      // Add to local results
+      this.results.push(result);
+      
       // Update the results list
       this.updateResultsList();
       
+      // Journal the result locally for offline support
+      await window.offlineStorage.storeResult({
+        raceId: this.currentRaceId,
+        clientId: result.clientId,
+        runnerNumber,
+        finishTime,
+        ...window.clockSync.getTimestampInfo()
+      }, this.currentRace.name);
+      
       // Hide the runner input
       this.elements.runnerInput.classList.add('hidden');
       
-      // Enable upload and clear buttons
-      this.buttons.uploadResults.disabled = false;
-      this.buttons.clearResults.disabled = false;
+      // Enable upload and clear buttons
+      this.buttons.uploadResults.disabled = false;
+      this.buttons.clearResults.disabled = false;
+      
+      showNotification(`Runner ${runnerNumber} recorded`, 2000);
+    }
+    
+    /**
+     * Switch between typing the bib first and tapping the finish first
+     * @param {string} mode - 'bib' or 'tap'
+     */
+    setCaptureMode(mode) {
+      this.captureMode = mode === 'tap' ? 'tap' : 'bib';
+      localStorage.setItem('capture-mode', this.captureMode);
+      
+      const tapMode = this.captureMode === 'tap';
+      this.buttons.bibMode.classList.toggle('selected', !tapMode);
+      this.buttons.tapMode.classList.toggle('selected', tapMode);
+      this.buttons.recordFinish.classList.toggle('hidden', !this.isRecordingSplits() && (tapMode || this.isPairingMode()));
+      this.elements.runnerInput.classList.add('hidden');
+      this.renderFinishSlots();
+    }
+    
+    /**
+     * Check whether the current race records finishes with a separate timekeeper and bib collector
+     * @returns {boolean} Whether the race is in pairing mode
+     */
+    isPairingMode() {
+      return Boolean(this.currentRace && this.currentRace.pairingMode);
+    }
+    
+    /**
+     * Swap the normal finish capture for the split-role controls when the race uses pairing mode
+     */
+    applyPairingMode() {
+      const pairing = this.isPairingMode();
+      const splits = this.isRecordingSplits();
+      
+      // Splits are always recorded by bib, so tap-first and pairing are for the finish only
+      this.elements.captureModeToggle.classList.toggle('hidden', pairing || splits);
+      this.elements.pairingCapture.classList.toggle('hidden', !pairing || splits);
+      this.setCaptureMode(this.captureMode);
+      this.setPairingRole(this.pairingRole);
+    }
+    
+    /**
+     * Fill in the choice of timing point this device records at, remembered per race
+     */
+    renderTimingPointPicker() {
+      const timingPoints = this.currentRace.timingPoints || [];
+      const saved = Number(localStorage.getItem(`timing-point-${this.currentRaceId}`));
+      this.timingPointId = timingPoints.some(point => point.id === saved) ? saved : null;
+      
+      this.elements.timingPointPicker.classList.toggle('hidden', timingPoints.length === 0);
+      this.elements.timingPointSelect.innerHTML = [
+        ...timingPoints.map(point => `<option value="${point.id}">${this.escapeHtml(point.name)}</option>`),
+        '<option value="">Finish</option>'
+      ].join('');
+      this.elements.timingPointSelect.value = this.timingPointId ? String(this.timingPointId) : '';
+      this.updateRecordButton();
+    }
+    
+    /**
+     * Choose the timing point this device records at
+     * @param {string} value - The timing point ID, or '' for the finish
+     */
+    setTimingPoint(value) {
+      this.timingPointId = value ? Number(value) : null;
+      
+      if (this.timingPointId) {
+        localStorage.setItem(`timing-point-${this.currentRaceId}`, String(this.timingPointId));
+      } else {
+        localStorage.removeItem(`timing-point-${this.currentRaceId}`);
+      }
+      
+      this.updateRecordButton();
+      this.applyPairingMode();
+    }
+    
+    /**
+     * Check whether this device is recording splits at a timing point rather than finishes
+     * @returns {boolean} Whether a timing point other than the finish is chosen
+     */
+    isRecordingSplits() {
+      return Boolean(this.timingPointId);
+    }
+    
+    /**
+     * Get the timing point this device records at
+     * @returns {Object|null} The timing point, or null at the finish
+     */
+    getTimingPoint() {
+      return (this.currentRace.timingPoints || []).find(point => point.id === this.timingPointId) || null;
+    }
+    
+    /**
+     * Name the record button after the timing point being recorded
+     */
+    updateRecordButton() {
+      const timingPoint = this.getTimingPoint();
+      this.buttons.recordFinish.textContent = timingPoint ? `Record ${timingPoint.name}` : 'Record Finish';
+    }
+    
+    /**
+     * Choose whether this device records finish times or collects bibs
+     * @param {string} role - 'timekeeper' or 'bibs'
+     */
+    setPairingRole(role) {
+      this.pairingRole = role === 'bibs' ? 'bibs' : 'timekeeper';
+      localStorage.setItem('pairing-role', this.pairingRole);
+      
+      const collectingBibs = this.pairingRole === 'bibs';
+      this.buttons.timekeeperRole.classList.toggle('selected', !collectingBibs);
+      this.buttons.bibCollectorRole.classList.toggle('selected', collectingBibs);
+      this.buttons.pairTime.classList.toggle('hidden', collectingBibs);
+      this.forms.pairBib.classList.toggle('hidden', !collectingBibs);
+      this.renderPairingCapture();
+    }
+    
+    /**
+     * Record a time-only finish as the timekeeper
+     * The bib collector's device supplies the bib for the same position.
+     */
+    async recordPairTime() {
+      const finishTime = this.raceTimer.recordFinish();
+      
+      if (finishTime === null) {
+        showNotification('Race timer not running', 3000);
+        return;
+      }
+      
+      if (navigator.vibrate) {
+        navigator.vibrate(50);
+      }
+      
+      const data = {
+        clientId: generateUuid(),
+        finishTime,
+        ...window.clockSync.getTimestampInfo()
+      };
+      
+      // Count the tap straight away; persisting it must not hold up the next one
+      const entry = { entryId: null, type: 'pairTime', data };
+      this.pairingEntries.push(entry);
+      this.renderPairingCapture();
+      
+      const stored = await window.offlineStorage.storePairingEntry(this.currentRaceId, 'pairTime', data, this.currentRace.name);
+      Object.assign(entry, stored);
+      
+      this.buttons.uploadResults.disabled = false;
+      this.buttons.clearResults.disabled = false;
+    }
+    
+    /**
+     * Record the next bib in finishing order as the bib collector
+     * @param {string|null} value - The bib number entered, or null for a runner without a readable bib
+     */
+    async recordPairBib(value) {
+      const runnerNumber = value === null ? null : parseInt(value);
+      
+      if (runnerNumber !== null && (isNaN(runnerNumber) || runnerNumber <= 0)) {
+        showNotification('Invalid runner number', 3000);
+        return;
+      }
+      
+      // The collection time orders the bibs, and leaves room to slot in missed ones later
+      const entry = await window.offlineStorage.storePairingEntry(this.currentRaceId, 'pairBib', {
+        clientId: generateUuid(),
+        sequence: Date.now(),
+        runnerNumber
+      }, this.currentRace.name);
+      
+      this.pairingEntries.push(entry);
+      this.renderPairingCapture();
+      
+      this.elements.pairBibNumber.value = '';
+      this.elements.pairBibNumber.focus();
+      this.buttons.uploadResults.disabled = false;
+      this.buttons.clearResults.disabled = false;
+    }
+    
+    /**
+     * Show how many split-role entries this device is holding
+     */
+    renderPairingCapture() {
+      const times = this.pairingEntries.filter(entry => entry.type === 'pairTime').length;
+      const bibs = this.pairingEntries.filter(entry => entry.type === 'pairBib');
+      
+      if (this.pairingRole === 'bibs') {
+        const last = bibs[bibs.length - 1];
+        this.elements.pairingCaptureSummary.textContent = bibs.length === 0
+          ? 'Enter each bib in the order runners finished'
+          : `${bibs.length} bibs waiting to upload, last: ${last.data.runnerNumber || 'no bib'}`;
+      } else {
+        this.elements.pairingCaptureSummary.textContent = times === 0
+          ? 'Tap Finish as each runner crosses the line'
+          : `${times} finish times waiting to upload`;
+      }
+    }
+    
+    /**
+     * Record a finish time the moment the button is pressed, leaving the bib to be filled in later
+     */
+    async tapFinish() {
+      const finishTime = this.raceTimer.recordFinish();
+      
+      if (finishTime === null) {
+        showNotification('Race timer not running', 3000);
+        return;
+      }
+      
+      if (navigator.vibrate) {
+        navigator.vibrate(50);
+      }
+      
+      const data = {
+        clientId: generateUuid(),
+        runnerNumber: null,
+        finishTime,
+        captureMode: 'tap',
+        ...window.clockSync.getTimestampInfo()
+      };
+      
+      // Show the slot straight away; persisting it must not hold up the next tap
+      const entry = { entryId: null, data };
+      this.finishSlots.push(entry);
+      this.renderFinishSlots();
+      
+      const stored = await window.offlineStorage.addFinishSlot(this.currentRaceId, data, this.currentRace.name);
+      Object.assign(entry, stored);
+      
+      this.buttons.clearResults.disabled = false;
+    }
+    
+    /**
+     * Reload pending results, finish slots and split-role entries for the current race from the journal
+     * @param {number} startTime - The race start time on this device's clock, defaults to the running timer
+     */
+    async reloadPendingResults(startTime = this.raceTimer.startTime) {
+      const pendingResults = await window.offlineStorage.getPendingResults(this.currentRaceId);
+      const pendingSplits = await window.offlineStorage.getPendingSplits(this.currentRaceId);
+      this.results = [
+        ...pendingResults.map(result => ({
+          ...result,
+          raceTime: startTime ? result.finishTime - startTime : null
+        })),
+        ...pendingSplits.map(split => this.toPendingSplit(split, startTime))
+      ];
+      this.finishSlots = await window.offlineStorage.getFinishSlots(this.currentRaceId);
+      this.pairingEntries = await window.offlineStorage.getPairingEntries(this.currentRaceId);
+      
+      this.updateResultsList();
+      this.renderFinishSlots();
+      this.renderPairingCapture();
+    }
+    
+    /**
+     * Record a runner passing the timing point this device records at
+     * @param {number} runnerNumber - The runner's bib
+     * @param {number} splitTime - The device time the runner passed
+     */
+    async recordSplit(runnerNumber, splitTime) {
+      const timingPoint = this.getTimingPoint();
+      const split = {
+        clientId: generateUuid(),
+        timingPointId: timingPoint.id,
+        runnerNumber,
+        splitTime,
+        ...window.clockSync.getTimestampInfo()
+      };
+      
+      this.results.push(this.toPendingSplit(split));
+      this.updateResultsList();
+      
+      await window.offlineStorage.storeSplit({ raceId: this.currentRaceId, ...split }, this.currentRace.name);
+      
+      this.elements.runnerInput.classList.add('hidden');
+      this.buttons.uploadResults.disabled = false;
+      this.buttons.clearResults.disabled = false;
+      
+      showNotification(`Runner ${runnerNumber} recorded at ${timingPoint.name}`, 2000);
+    }
+    
+    /**
+     * Describe a split waiting to upload in the same terms as a pending finish
+     * @param {Object} split - The split as journaled
+     * @param {number|null} startTime - The race start on this device's clock
+     * @returns {Object} The runner number, time and race time, with the timing point's name
+     */
+    toPendingSplit(split, startTime = this.raceTimer.startTime) {
+      const timingPoint = (this.currentRace.timingPoints || []).find(point => point.id === split.timingPointId);
+      
+      return {
+        clientId: split.clientId,
+        runnerNumber: split.runnerNumber,
+        finishTime: split.splitTime,
+        raceTime: startTime ? split.splitTime - startTime : null,
+        timingPointName: timingPoint ? timingPoint.name : 'Timing point'
+      };
+    }
+    
+    /**
+     * Render the queue of tap-first finish slots
+     */
+    renderFinishSlots() {
+      const container = this.elements.finishSlots;
+      container.innerHTML = '';
+      
+      // Slots recorded before the race switched to pairing mode stay visible until they are dealt with
+      const showTapCapture = this.captureMode === 'tap' && !this.isPairingMode() && !this.isRecordingSplits();
+      this.elements.tapCapture.classList.toggle('hidden', !showTapCapture && this.finishSlots.length === 0);
+      
+      const unassigned = this.finishSlots.filter(slot => !slot.data.runnerNumber && !slot.data.unknown).length;
+      this.elements.finishSlotsSummary.textContent = this.finishSlots.length === 0
+        ? 'Tap Finish as each runner crosses the line'
+        : `${this.finishSlots.length} finish times, ${unassigned} waiting for a bib`;
+      
+      // Count bibs so a bib entered on two slots can be flagged
+      const bibCounts = {};
+      this.finishSlots.forEach(slot => {
+        if (slot.data.runnerNumber) {
+          bibCounts[slot.data.runnerNumber] = (bibCounts[slot.data.runnerNumber] || 0) + 1;
+        }
+      });
+      
+      this.finishSlots.forEach((slot, index) => {
+        const { runnerNumber, unknown, finishTime } = slot.data;
+        const raceTime = this.raceTimer.startTime ? finishTime - this.raceTimer.startTime : null;
+        
+        const row = document.createElement('div');
+        row.className = 'finish-slot';
+        if (!runnerNumber && !unknown) row.classList.add('unassigned');
+        if (unknown) row.classList.add('unknown');
+        if (runnerNumber && bibCounts[runnerNumber] > 1) row.classList.add('duplicate');
+        
+        row.innerHTML = `
+          <span class="slot-position">${index + 1}</span>
+          <span class="slot-time">${raceTime !== null ? this.raceTimer.formatTime(raceTime) : '--:--:--'}</span>
+          <input type="number" min="1" placeholder="${unknown ? 'Unknown' : 'Bib'}" value="${runnerNumber || ''}">
+          <button class="secondary-button slot-up" title="Move bib up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+          <button class="secondary-button slot-down" title="Move bib down" ${index === this.finishSlots.length - 1 ? 'disabled' : ''}>&darr;</button>
+          <button class="secondary-button slot-unknown" title="Bib unknown">?</button>
+          <button class="danger-button slot-delete" title="Delete finish time">&times;</button>
+        `;
+        
+        row.querySelector('input').addEventListener('change', (e) => this.assignSlotBib(slot, e.target.value));
+        row.querySelector('.slot-up').addEventListener('click', () => this.moveSlotBib(index, -1));
+        row.querySelector('.slot-down').addEventListener('click', () => this.moveSlotBib(index, 1));
+        row.querySelector('.slot-unknown').addEventListener('click', () => this.markSlotUnknown(slot));
+        row.querySelector('.slot-delete').addEventListener('click', () => this.deleteFinishSlot(slot));
+        
+        container.appendChild(row);
+      });
+      
+      // Keep the newest finish in view
+      container.scrollTop = container.scrollHeight;
+    }
+    
+    /**
+     * Assign a bib to a finish slot, making it an uploadable result
+     * @param {Object} slot - The slot's journal entry
+     * @param {string} value - The bib number entered
+     */
+    async assignSlotBib(slot, value) {
+      const runnerNumber = parseInt(value);
+      
+      if (value !== '' && (isNaN(runnerNumber) || runnerNumber <= 0)) {
+        showNotification('Invalid runner number', 3000);
+        this.renderFinishSlots();
+        return;
+      }
+      
+      slot.data.runnerNumber = value === '' ? null : runnerNumber;
+      slot.data.unknown = false;
+      await this.saveFinishSlots([slot]);
+    }
+    
+    /**
+     * Move a slot's bib one place up or down, keeping the finish times where they are
+     * @param {number} index - The slot's position in the queue
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    async moveSlotBib(index, direction) {
+      const slot = this.finishSlots[index];
+      const other = this.finishSlots[index + direction];
+      if (!slot || !other) return;
+      
+      [slot.data.runnerNumber, other.data.runnerNumber] = [other.data.runnerNumber, slot.data.runnerNumber];
+      [slot.data.unknown, other.data.unknown] = [other.data.unknown, slot.data.unknown];
+      await this.saveFinishSlots([slot, other]);
+    }
+    
+    /**
+     * Mark a slot's bib as unknown; it stays on the device and is not uploaded
+     * @param {Object} slot - The slot's journal entry
+     */
+    async markSlotUnknown(slot) {
+      slot.data.runnerNumber = null;
+      slot.data.unknown = true;
+      await this.saveFinishSlots([slot]);
+    }
+    
+    /**
+     * Delete a finish time recorded by mistake
+     * @param {Object} slot - The slot's journal entry
+     */
+    async deleteFinishSlot(slot) {
+      if (!confirm('Delete this finish time?')) {
+        return;
+      }
+      
+      if (slot.entryId) {
+        await window.offlineStorage.removeEntry(slot.entryId);
+      }
+      await this.reloadPendingResults();
+    }
+    
+    /**
+     * Persist changed slots and refresh the results that depend on them
+     * @param {Array} slots - The changed slot journal entries
+     */
+    async saveFinishSlots(slots) {
+      for (const slot of slots) {
+        if (slot.entryId) {
+          await window.offlineStorage.updateEntry(slot);
+        }
+      }
+      
+      await this.reloadPendingResults();
+      this.buttons.uploadResults.disabled = this.results.length === 0;
+    }
+    
+    /**
+     * Update the results list display
+     */
+    updateResultsList() {
+      if (!this.elements.resultsList) return;
+      
+      // Clear the list
+      this.elements.resultsList.innerHTML = '';
+      
+      if (this.results.length === 0) {
+        this.elements.resultsList.innerHTML = '<p>No results recorded yet</p>';
+        return;
+      }
+      
+      // Sort results by finish time (ascending)
+      const sortedResults = [...this.results].sort((a, b) => a.finishTime - b.finishTime);
+      
+      // Add results count
+      const resultsCount = document.createElement('div');
+      resultsCount.className = 'results-count';
+      resultsCount.textContent = `${sortedResults.length} runners recorded`;
+      this.elements.resultsList.appendChild(resultsCount);
+      
+      // Only show the most recent 10 results to avoid performance issues
+      const recentResults = sortedResults.slice(-10);
+      
+      // Add each result to the list
+      recentResults.forEach((result, index) => {
+        const resultItem = document.createElement('div');
+        resultItem.className = 'result-item';
+        
+        const position = index + 1;
+        const raceTimeFormatted = this.raceTimer.formatTimeVerbose(result.raceTime);
+        
+        resultItem.innerHTML = `
+          <div><strong>Runner ${result.runnerNumber}</strong>${result.timingPointName ? ` at ${this.escapeHtml(result.timingPointName)}` : ''}</div>
+          <div>${raceTimeFormatted}</div>
+        `;
+        
+        this.elements.resultsList.appendChild(resultItem);
+      });
+      
+      // If there are more than 10 results, show a message
+      if (sortedResults.length > 10) {
+        const moreResults = document.createElement('div');
+        moreResults.className = 'more-results';
+        moreResults.textContent = `... and ${sortedResults.length - 10} more`;
+        this.elements.resultsList.appendChild(moreResults);
+      }
+    }
+    
+    /**
+     * End the race
+     */
+    async endRace() {
+      if (!this.currentRaceId) {
+        showNotification('No race selected', 3000);
+        return;
+      }
+      
+      // Stop the timer
+      this.raceTimer.stop();
+      
+      try {
+        const accepted = await this.sendRaceEvent('end', {
+          endTime: Date.now(),
+          deviceId: window.offlineStorage.getDeviceId(),
+          ...window.clockSync.getTimestampInfo()
+        });
+        
+        // Update current race data
+        this.currentRace = {
+          ...this.currentRace,
+          status: 'completed'
+        };
+        
+        // Update button states
+        this.buttons.startTimer.disabled = true;
+        this.buttons.recordFinish.disabled = true;
+        this.buttons.tapFinish.disabled = true;
+        this.buttons.pairTime.disabled = true;
+        this.buttons.endRace.disabled = true;
+        
+        if (!accepted) {
+          showNotification('Race ended offline - it will sync when you reconnect', 3000);
+          return;
+        }
+        
+        showNotification('Race ended', 3000);
+        
+        // Ask to upload results if there are any and we're online
+        if ((this.results.length > 0 || this.pairingEntries.length > 0) && window.offlineStorage.isDeviceOnline()) {
+          if (confirm('Would you like to upload the race results now?')) {
+            this.uploadResults();
+          }
+        }
+        
+      } catch (error) {
+        console.error('End race error:', error);
+        showNotification(error.message || 'Failed to end race', 3000);
+        
+        // The race may already have ended on another device
+        if (error.code) {
+          this.loadRaceControl(this.currentRaceId);
+        }
+      }
+    }
+    
+    /**
+     * Upload race results to the server
+     */
+    async uploadResults() {
+      if (!this.currentRaceId) {
+        showNotification('No race selected', 3000);
+        return;
+      }
+      
+      if (this.results.length === 0 && this.pairingEntries.length === 0) {
+        showNotification('No results to upload', 3000);
+        return;
+      }
+      
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Results saved offline and will sync when online', 3000);
+          return;
+        }
+        
+        // Upload through the race's journal so only what was sent is cleared
+        await window.offlineStorage.syncRace(this.currentRaceId);
+        
+        // Keep anything recorded while the upload was in flight, and slots still without a bib
+        await this.reloadPendingResults();
+        
+        // Update button states
+        const hasPending = this.results.length > 0 || this.pairingEntries.length > 0;
+        this.buttons.uploadResults.disabled = !hasPending;
+        this.buttons.clearResults.disabled = !hasPending && this.finishSlots.length === 0;
+        
+      } catch (error) {
+        console.error('Upload results error:', error);
+        showNotification('Failed to upload results', 3000);
+      }
+    }
+    
+    /**
+     * Clear recorded results
+     */
+    async clearResults() {
+      if (this.results.length === 0 && this.finishSlots.length === 0 && this.pairingEntries.length === 0) {
+        return;
+      }
+      
+      if (confirm('Are you sure you want to clear all recorded results, including finish times without a bib?')) {
+        this.results = [];
+        this.finishSlots = [];
+        this.pairingEntries = [];
+        this.updateResultsList();
+        this.renderFinishSlots();
+        this.renderPairingCapture();
+        await window.offlineStorage.clearResults(this.currentRaceId);
+        
+        // Update button states
+        this.buttons.uploadResults.disabled = true;
+        this.buttons.clearResults.disabled = true;
+        
+        showNotification('Results cleared', 3000);
+      }
+    }
+    
+    /**
+     * Show a confirmation dialog for race deletion
+     * @param {number} raceId - The ID of the race to delete
+     * @param {string} raceName - The name of the race
+     */
+    confirmDeleteRace(raceId, raceName) {
+      // Create a modal overlay
+      const overlay = document.createElement('div');
+      overlay.className = 'modal-overlay';
+      
+      // Create the confirmation modal
+      const modal = document.createElement('div');
+      modal.className = 'modal-container';
+      modal.innerHTML = `
+        <h3>Delete Race</h3>
+        <p>Are you sure you want to delete the race "${raceName}"?</p>
+        <p class="warning">The race and its results will be moved to the trash, where a race director can restore them until they are purged.</p>
+        <div class="modal-buttons">
+          <button id="cancel-delete" class="secondary-button">Cancel</button>
+          <button id="confirm-delete" class="danger-button">Delete Race</button>
+        </div>
+      `;
+      
+      // Add the modal to the overlay
+      overlay.appendChild(modal);
+      
+      // Add the overlay to the document
+      document.body.appendChild(overlay);
+      
+      // Add event listeners
+      document.getElementById('cancel-delete').addEventListener('click', () => {
+        document.body.removeChild(overlay);
+      });
+      
+      document.getElementById('confirm-delete').addEventListener('click', () => {
+        this.deleteRace(raceId);
+        document.body.removeChild(overlay);
+      });
+    }
+    
+    /**
+     * Publish a completed race's results as final
+     * @param {Object} race - The race
+     */
+    async publishRace(race) {
+      if (!confirm(`Publish the results of ${race.name}? Devices can no longer upload results until the race is reopened.`)) {
+        return;
+      }
+      
+      await this.changeRaceState(race, 'publish', {}, 'Results published');
+    }
+    
+    /**
+     * Reopen a race after asking why: published results go back to completed, a completed race back to in progress
+     * @param {Object} race - The race
+     */
+    async reopenRace(race) {
+      const reason = prompt(race.status === 'published'
+        ? `Why are the results of ${race.name} being reopened?`
+        : `Why is ${race.name} being reopened? Its end time will be cleared so finishes can be recorded again.`);
+      
+      if (reason === null) {
+        return;
+      }
+      
+      await this.changeRaceState(race, 'reopen', { reason }, 'Race reopened');
+    }
+    
+    /**
+     * Correct the start time of a race that has started, asking for the time of day it really started and why
+     * @param {Object} race - The race
+     */
+    async correctStartTime(race) {
+      const start = new Date(parseInt(race.startTime) + (race.startClockOffset || 0));
+      const answer = prompt(`When did ${race.name} really start? (HH:MM:SS, currently ${start.toLocaleTimeString([], { hour12: false })})`);
+      
+      if (answer === null) {
+        return;
+      }
+      
+      const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(answer.trim());
+      if (!match) {
+        showNotification('Enter the start time as HH:MM:SS, such as 09:30:00', 3000);
+        return;
+      }
+      
+      // The corrected start is on the same day as the recorded one
+      const corrected = new Date(start);
+      corrected.setHours(Number(match[1]), Number(match[2]), Number(match[3] || 0), 0);
+      
+      const reason = prompt('Why is the start time being corrected?');
+      if (reason === null) {
+        return;
+      }
+      
+      await this.changeRaceState(race, 'start-time', { startTime: corrected.getTime(), reason }, 'Start time corrected');
+    }
+    
+    /**
+     * Send a lifecycle change for a race to the server and reload the races list
+     * @param {Object} race - The race
+     * @param {string} action - 'publish', 'reopen' or 'start-time'
+     * @param {Object} body - The change
+     * @param {string} successMessage - The notification to show once saved
+     */
+    async changeRaceState(race, action, body, successMessage) {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot change a race while offline', 3000);
+          return;
+        }
+        
+        const response = await fetch(`/api/races/${race.id}/${action}`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(body)
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to change the race');
+        }
+        
+        showNotification(successMessage, 3000);
+      
+      } catch (error) {
+        console.error('Change race error:', error);
+        showNotification(error.message || 'Failed to change the race', 3000);
+      }
+      
+      // Reload either way, as a refusal means the race has moved on since the list was loaded
+      this.loadRaces();
+    }
+    
+    /**
+     * Delete a race
+     * @param {number} raceId - The ID of the race to delete
+     */
+    async deleteRace(raceId) {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot delete race while offline', 3000);
+          return;
+        }
+        
+        const response = await fetch(`/api/races/${raceId}`, {
+          method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+          throw new Error('Failed to delete race');
+        }
+        
+        // Reload the races list
+        showNotification('Race moved to the trash', 3000);
+        this.loadRaces();
+        
+      } catch (error) {
+        console.error('Delete race error:', error);
+        showNotification('Failed to delete race', 3000);
+      }
+    }
+    
+    /**
+     * Load the trash screen with the deleted races
+     */
+    async loadTrash() {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot open the trash while offline', 3000);
+          return;
+        }
+        
+        await this.refreshTrash();
+        this.showScreen('trash-screen');
+      
+      } catch (error) {
+        console.error('Load trash error:', error);
+        showNotification('Failed to load the trash', 3000);
+      }
+    }
+    
+    /**
+     * Fetch and render the races in the trash
+     */
+    async refreshTrash() {
+      const response = await fetch('/api/trash');
+      
+      if (!response.ok) {
+        throw new Error('Failed to load the trash');
+      }
+      
+      const { retentionDays, races } = await response.json();
+      this.elements.trashHelp.textContent = `Deleted races are kept here for ${retentionDays} days, `
+        + 'after which a race director can delete them permanently.';
+      this.renderTrash(races);
+    }
+    
+    /**
+     * Render the table of races in the trash
+     * @param {Array} races - The deleted races, each with when it was deleted and can be purged
+     */
+    renderTrash(races) {
+      const container = this.elements.trashContainer;
+      container.innerHTML = '';
+      
+      if (races.length === 0) {
+        container.innerHTML = '<p>The trash is empty</p>';
+        return;
+      }
+      
+      const table = document.createElement('table');
+      table.className = 'results-table';
+      table.innerHTML = `
+        <thead>
+          <tr>
+            <th>Race</th>
+            <th>Results</th>
+            <th>Deleted</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      `;
+      
+      const tbody = table.querySelector('tbody');
+      
+      races.forEach(race => {
+        const purgeable = Date.now() >= race.purgeableAt;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+          <td>
+            ${this.escapeHtml(race.name)}
+            <div class="runner-club">${new Date(race.date).toLocaleDateString()}</div>
+          </td>
+          <td>${race.resultCount}</td>
+          <td>
+            ${new Date(race.deletedAt).toLocaleString()} by ${this.escapeHtml(race.deletedBy || 'unknown')}
+            <div class="runner-club">${purgeable ? 'Can be deleted permanently' : `Kept until ${new Date(race.purgeableAt).toLocaleDateString()}`}</div>
+          </td>
+          <td class="table-actions">
+            <button class="secondary-button restore-race-button">Restore</button>
+            <button class="danger-button purge-race-button" ${purgeable ? '' : 'disabled'}>Delete Permanently</button>
+          </td>
+        `;
+        
+        row.querySelector('.restore-race-button').addEventListener('click', () => this.restoreFromTrash(race));
+        row.querySelector('.purge-race-button').addEventListener('click', () => this.purgeRace(race));
+        
+        tbody.appendChild(row);
+      });
+      
+      container.appendChild(table);
+    }
+    
+    /**
+     * Restore a race from the trash
+     * @param {Object} race - The deleted race
+     */
+    async restoreFromTrash(race) {
+      try {
+        const response = await fetch(`/api/trash/${race.id}/restore`, {
+          method: 'PUT'
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to restore race');
+        }
+        
+        showNotification(`${race.name} restored`, 3000);
+        await this.refreshTrash();
+      
+      } catch (error) {
+        console.error('Restore race error:', error);
+        showNotification(error.message || 'Failed to restore race', 3000);
+      }
+    }
+    
+    /**
+     * Permanently delete a race from the trash once its retention period is over
+     * @param {Object} race - The deleted race
+     */
+    async purgeRace(race) {
+      if (!confirm(`Permanently delete ${race.name} and all its results? This cannot be undone.`)) {
+        return;
+      }
+      
+      try {
+        const response = await fetch(`/api/trash/${race.id}`, {
+          method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to delete race');
+        }
+        
+        showNotification(`${race.name} deleted permanently`, 3000);
+        await this.refreshTrash();
+      
+      } catch (error) {
+        console.error('Purge race error:', error);
+        showNotification(error.message || 'Failed to delete race', 3000);
+      }
+    }
+    
+    /**
+     * Load the user management screen
+     */
+    async loadUsers() {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot manage users while offline', 3000);
+          return;
+        }
+        
+        await this.refreshUsers();
+        this.showScreen('users-screen');
+      
+      } catch (error) {
+        console.error('Load users error:', error);
+        showNotification('Failed to load users', 3000);
+      }
+    }
+    
+    /**
+     * Load the backup and restore screen with the races that can be backed up
+     */
+    async loadBackup() {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot back up or restore while offline', 3000);
+          return;
+        }
+        
+        const response = await fetch('/api/races');
+        
+        if (!response.ok) {
+          throw new Error('Failed to load races');
+        }
+        
+        const races = await response.json();
+        const racesByDate = [...races].sort((a, b) => a.date.localeCompare(b.date));
+        this.elements.backupRaces.innerHTML = racesByDate.map(race => `
+          <label class="series-race-option">
+            <input type="checkbox" value="${race.id}">
+            ${this.escapeHtml(race.name)} (${new Date(race.date).toLocaleDateString()})
+          </label>
+        `).join('') || '<p>No races to back up</p>';
+        
+        this.restoreState = null;
+        this.elements.restoreFile.value = '';
+        this.elements.restoreReport.innerHTML = '';
+        this.buttons.restore.disabled = true;
+        this.showScreen('backup-screen');
+      
+      } catch (error) {
+        console.error('Load backup error:', error);
+        showNotification('Failed to load races', 3000);
+      }
+    }
+    
+    /**
+     * Download a backup archive of everything, or of the ticked races
+     * @param {boolean} selectedOnly - Whether to back up only the ticked races
+     */
+    downloadBackup(selectedOnly) {
+      const raceIds = Array.from(this.elements.backupRaces.querySelectorAll('input:checked')).map(input => input.value);
+      
+      if (selectedOnly && raceIds.length === 0) {
+        showNotification('Tick the races to back up', 3000);
+        return;
+      }
+      
+      // The archive is sent as an attachment, so the browser downloads it
+      window.location.href = selectedOnly ? `/api/backup?raceIds=${raceIds.join(',')}` : '/api/backup';
+    }
+    
+    /**
+     * Read the chosen archive and check what restoring it would do
+     */
+    async readRestoreFile() {
+      const file = this.elements.restoreFile.files[0];
+      if (!file) return;
+      
+      try {
+        this.restoreState = { archive: JSON.parse(await file.text()) };
+      } catch (error) {
+        this.restoreState = null;
+        this.buttons.restore.disabled = true;
+        showNotification('The file is not a backup archive', 3000);
+        return;
+      }
+      
+      // Every race is ticked to start with; those already here are then skipped unless replaced
+      this.restoreState.raceIds = Array.isArray(this.restoreState.archive.races)
+        ? this.restoreState.archive.races.map(race => race.id)
+        : [];
+      this.restoreState.replaceRaceIds = [];
+      
+      const report = await this.requestRestore(true);
+      if (report) {
+        this.renderRestoreReport(report);
+      }
+    }
+    
+    /**
+     * Restore the ticked races from the archive
+     */
+    async restoreBackup() {
+      if (!this.restoreState || this.restoreState.raceIds.length === 0) {
+        showNotification('Tick the races to restore', 3000);
+        return;
+      }
+      
+      const report = await this.requestRestore(false);
+      if (!report) return;
+      
+      const restored = report.races.filter(race => race.action !== 'skip').length;
+      showNotification(`${restored} race${restored === 1 ? '' : 's'} restored`, 3000);
+      this.renderRestoreReport(report);
+    }
+    
+    /**
+     * Send the archive to the server to check or restore it
+     * @param {boolean} dryRun - Whether to only check what would be restored
+     * @returns {Promise<Object|null>} The restore report, or null if the request failed
+     */
+    async requestRestore(dryRun) {
+      try {
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot restore while offline', 3000);
+          return null;
+        }
+        
+        const response = await fetch('/api/backup/restore', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            archive: this.restoreState.archive,
+            raceIds: this.restoreState.raceIds,
+            replaceRaceIds: this.restoreState.replaceRaceIds,
+            dryRun
+          })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+          showNotification(data.error || 'Failed to read the archive', 3000);
+          return null;
+        }
+        
+        return data;
+        
+      } catch (error) {
+        console.error('Restore error:', error);
+        showNotification('Failed to restore the archive', 3000);
+        return null;
+      }
+    }
+    
+    /**
+     * Render what restoring each race in the archive would do, or did
+     * Before restoring, races can be ticked to restore and ones already here ticked to be replaced.
+     * @param {Object} report - The restore report
+     */
+    renderRestoreReport(report) {
+      const actionNames = { import: 'Will be added', replace: 'Will replace the race here', skip: 'Skipped' };
+      const doneNames = { import: 'Added', replace: 'Replaced', skip: 'Skipped' };
+      const container = this.elements.restoreReport;
+      
+      const archiveRaces = this.restoreState.archive.races;
+      const reportRaces = new Map(report.races.map(race => [race.archiveRaceId, race]));
+      
+      container.innerHTML = `
+        <p>${report.exportedAt ? `Backed up ${new Date(report.exportedAt).toLocaleString()}. ` : ''}${archiveRaces.length} race${archiveRaces.length === 1 ? '' : 's'} in the archive.</p>
+        <table class="results-table">
+          <thead>
+            <tr>
+              <th>Restore</th>
+              <th>Race</th>
+              <th>Results</th>
+              <th>Outcome</th>
+              <th>Replace</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${archiveRaces.map(race => {
+              const planned = reportRaces.get(race.id);
+              return `
+                <tr>
+                  <td><input type="checkbox" class="restore-race" value="${race.id}" ${planned ? 'checked' : ''} ${report.committed ? 'disabled' : ''}></td>
+                  <td>${this.escapeHtml(race.name)} (${new Date(race.date).toLocaleDateString()})</td>
+                  <td>${(race.results || []).length}</td>
+                  <td>
+                    ${planned ? (report.committed ? doneNames : actionNames)[planned.action] : 'Not restored'}
+                    ${planned && planned.reason ? `<div class="runner-club">${this.escapeHtml(planned.reason)}</div>` : ''}
+                  </td>
+                  <td>
+                    ${planned && planned.existingRaceId ? `
+                      <input type="checkbox" class="replace-race" value="${race.id}"
+                        ${this.restoreState.replaceRaceIds.includes(race.id) ? 'checked' : ''} ${report.committed ? 'disabled' : ''}>
+                    ` : ''}
+                  </td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+        ${report.series.length > 0 ? `
+          <p>Series: ${report.series.map(series => `${this.escapeHtml(series.name)} (${series.action === 'create' ? 'added' : 'races added back'})`).join(', ')}</p>
+        ` : ''}
+      `;
+      
+      // Ticking a race re-checks the archive so the outcomes stay up to date
+      container.querySelectorAll('.restore-race, .replace-race').forEach(input => {
+        input.addEventListener('change', async () => {
+          this.restoreState.raceIds = Array.from(container.querySelectorAll('.restore-race:checked')).map(box => Number(box.value));
+          this.restoreState.replaceRaceIds = Array.from(container.querySelectorAll('.replace-race:checked')).map(box => Number(box.value));
+          
+          const updated = await this.requestRestore(true);
+          if (updated) {
+            this.renderRestoreReport(updated);
+          }
+        });
+      });
+      
+      this.buttons.restore.disabled = report.committed || !report.races.some(race => race.action !== 'skip');
+    }
+    
+    /**
+     * Fetch the accounts and redraw the users table
+     */
+    async refreshUsers() {
+      const response = await fetch('/api/users');
+      
+      if (!response.ok) {
+        throw new Error('Failed to load users');
+      }
+      
+      this.renderUsers(await response.json());
+    }
+    
+    /**
+     * Render the accounts table
+     * @param {Array} users - The accounts
+     */
+    renderUsers(users) {
+      const container = this.elements.usersContainer;
+      container.innerHTML = '';
+      
+      const roleNames = { director: 'Race Director', marshal: 'Marshal' };
+      
+      const table = document.createElement('table');
+      table.className = 'results-table';
+      table.innerHTML = `
+        <thead>
+          <tr>
+            <th>Username</th>
+            <th>Name</th>
+            <th>Role</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      `;
+      
+      const tbody = table.querySelector('tbody');
+      
+      users.forEach(user => {
+        const isSelf = this.user && user.id === this.user.id;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+          <td>${this.escapeHtml(user.username)}</td>
+          <td>${this.escapeHtml(user.displayName || '')}</td>
+          <td>${roleNames[user.role] || user.role}</td>
+          <td class="table-actions">
+            <button class="secondary-button reset-password">Set Password</button>
+            ${isSelf ? '' : '<button class="danger-button delete-user">Delete</button>'}
+          </td>
+        `;
+        
+        row.querySelector('.reset-password').addEventListener('click', () => this.resetUserPassword(user));
+        if (!isSelf) {
+          row.querySelector('.delete-user').addEventListener('click', () => this.deleteUser(user));
+        }
+        
+        tbody.appendChild(row);
+      });
+      
+      container.appendChild(table);
+    }
+    
+    /**
+     * Create an account from the user form
+     */
+    async createUser() {
+      try {
+        const response = await fetch('/api/users', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            username: document.getElementById('user-username').value,
+            displayName: document.getElementById('user-display-name').value,
+            role: document.getElementById('user-role').value,
+            password: document.getElementById('user-password').value
+          })
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to add user');
+        }
+        
+        this.forms.user.reset();
+        showNotification('User added', 3000);
+        await this.refreshUsers();
+      
+      } catch (error) {
+        console.error('Create user error:', error);
+        showNotification(error.message || 'Failed to add user', 3000);
+      }
+    }
+    
+    /**
+     * Set a new password for an account, signing it out on its other devices
+     * @param {Object} user - The account
+     */
+    async resetUserPassword(user) {
+      const password = prompt(`New password for ${user.username}:`);
+      
+      if (password === null) {
+        return;
+      }
+      
+      try {
+        const response = await fetch(`/api/users/${user.id}`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ password })
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to change the password');
+        }
+        
+        showNotification(`Password changed for ${user.username}`, 3000);
+      
+      } catch (error) {
+        console.error('Reset password error:', error);
+        showNotification(error.message || 'Failed to change the password', 3000);
+      }
+    }
+    
+    /**
+     * Delete an account after confirming
+     * @param {Object} user - The account
+     */
+    async deleteUser(user) {
+      if (!confirm(`Delete the account ${user.username}?`)) {
+        return;
+      }
+      
+      try {
+        const response = await fetch(`/api/users/${user.id}`, {
+          method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to delete user');
+        }
+        
+        showNotification('User deleted', 3000);
+        await this.refreshUsers();
+      
+      } catch (error) {
+        console.error('Delete user error:', error);
+        showNotification(error.message || 'Failed to delete user', 3000);
+      }
+    }
+    
+    /**
+     * Choose which marshals can run a race
+     * @param {Object} race - The race
+     */
+    async showMarshalAssignment(race) {
+      try {
+        const [usersResponse, assignedResponse] = await Promise.all([
+          fetch('/api/users'),
+          fetch(`/api/races/${race.id}/marshals`)
+        ]);
+        
+        if (!usersResponse.ok || !assignedResponse.ok) {
+          throw new Error('Failed to load marshals');
+        }
+        
+        const marshals = (await usersResponse.json()).filter(user => user.role === 'marshal');
+        const assigned = new Set((await assignedResponse.json()).map(user => user.id));
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        
+        const modal = document.createElement('div');
+        modal.className = 'modal-container';
+        modal.innerHTML = `
+          <h3>Marshals for ${this.escapeHtml(race.name)}</h3>
+          <div class="marshal-list">
+            ${marshals.length === 0 ? '<p>There are no marshal accounts yet. Add them under Manage Users.</p>' : ''}
+            ${marshals.map(marshal => `
+              <label>
+                <input type="checkbox" value="${marshal.id}" ${assigned.has(marshal.id) ? 'checked' : ''}>
+                ${this.escapeHtml(marshal.displayName || marshal.username)}
+              </label>
+            `).join('')}
+          </div>
+          <div class="modal-buttons">
+            <button class="secondary-button cancel-marshals">Cancel</button>
+            <button class="primary-button save-marshals">Save</button>
+          </div>
+        `;
+        
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+        
+        modal.querySelector('.cancel-marshals').addEventListener('click', () => {
+          document.body.removeChild(overlay);
+        });
+        
+        modal.querySelector('.save-marshals').addEventListener('click', async () => {
+          const userIds = Array.from(modal.querySelectorAll('input:checked')).map(input => Number(input.value));
+          
+          try {
+            const response = await fetch(`/api/races/${race.id}/marshals`, {
+              method: 'PUT',
+              headers: {
+                'Content-Type': 'application/json'
+              },
+              body: JSON.stringify({ userIds })
+            });
+            
+            if (!response.ok) {
+              const data = await response.json().catch(() => ({}));
+              throw new Error(data.error || 'Failed to save marshals');
+            }
+            
+            document.body.removeChild(overlay);
+            showNotification('Marshals saved', 3000);
+          
+          } catch (error) {
+            console.error('Save marshals error:', error);
+            showNotification(error.message || 'Failed to save marshals', 3000);
+          }
+        });
+      
+      } catch (error) {
+        console.error('Marshal assignment error:', error);
+        showNotification('Failed to load marshals', 3000);
+      }
+    }
+    
+    /**
+     * Load the championship series screen
+     */
+    async loadSeriesList() {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot load series while offline', 3000);
+          return;
+        }
+        
+        const response = await fetch('/api/series');
+        
+        if (!response.ok) {
+          throw new Error('Failed to load series');
+        }
+        
+        this.renderSeriesList(await response.json());
+        this.forms.series.classList.add('hidden');
+        this.showScreen('series-screen');
+      
+      } catch (error) {
+        console.error('Load series error:', error);
+        showNotification('Failed to load series', 3000);
+      }
+    }
+    
+    /**
+     * Render the list of series
+     * @param {Array} seriesList - The series
+     */
+    renderSeriesList(seriesList) {
+      const container = this.elements.seriesContainer;
+      container.innerHTML = '';
+      
+      if (seriesList.length === 0) {
+        container.innerHTML = '<p>No series yet</p>';
+        return;
+      }
+      
+      seriesList.forEach(series => {
+        const card = document.createElement('div');
+        card.className = 'race-card';
+        card.innerHTML = `
+          <h3>${this.escapeHtml(series.name)}</h3>
+          <p>${series.raceCount} race${series.raceCount === 1 ? '' : 's'}</p>
+          <div class="race-card-buttons">
+            <button class="primary-button standings-button">Standings</button>
+            ${this.hasRole('director') ? `
+              <button class="secondary-button edit-series-button">Edit</button>
+              <button class="danger-button delete-series-button">Delete</button>
+            ` : ''}
+          </div>
+        `;
+        
+        card.querySelector('.standings-button').addEventListener('click', () => this.loadStandings(series.id));
+        
+        if (this.hasRole('director')) {
+          card.querySelector('.edit-series-button').addEventListener('click', () => this.showSeriesForm(series.id));
+          card.querySelector('.delete-series-button').addEventListener('click', () => this.deleteSeries(series));
+        }
+        
+        container.appendChild(card);
+      });
+    }
+    
+    /**
+     * Show the series form, filled in when editing an existing series
+     * @param {number|null} seriesId - The series to edit, or null for a new one
+     */
+    async showSeriesForm(seriesId = null) {
+      try {
+        const [racesResponse, seriesResponse] = await Promise.all([
+          fetch('/api/races'),
+          seriesId ? fetch(`/api/series/${seriesId}`) : Promise.resolve(null)
+        ]);
+        
+        if (!racesResponse.ok || (seriesResponse && !seriesResponse.ok)) {
+          throw new Error('Failed to load the series');
+        }
+        
+        const races = await racesResponse.json();
+        const series = seriesResponse
+          ? await seriesResponse.json()
+          : { name: '', raceIds: [], scoreBy: 'overall', firstPlacePoints: 100, bestOf: null };
+        
+        this.editingSeriesId = seriesId;
+        document.getElementById('series-form-title').textContent = seriesId ? 'Edit Series' : 'New Series';
+        document.getElementById('series-name').value = series.name;
+        document.getElementById('series-score-by').value = series.scoreBy;
+        document.getElementById('series-first-points').value = series.firstPlacePoints;
+        document.getElementById('series-best-of').value = series.bestOf || '';
+        
+        // Oldest race first, as a series runs through the season
+        const racesByDate = [...races].sort((a, b) => a.date.localeCompare(b.date));
+        this.elements.seriesRaces.innerHTML = racesByDate.map(race => `
+          <label class="series-race-option">
+            <input type="checkbox" value="${race.id}" ${series.raceIds.includes(race.id) ? 'checked' : ''}>
+            ${this.escapeHtml(race.name)} (${new Date(race.date).toLocaleDateString()})
+          </label>
+        `).join('') || '<p>No races to choose from</p>';
+        
+        this.forms.series.classList.remove('hidden');
+        document.getElementById('series-name').focus();
+      
+      } catch (error) {
+        console.error('Series form error:', error);
+        showNotification('Failed to load the series', 3000);
+      }
+    }
+    
+    /**
+     * Save the series form
+     */
+    async saveSeries() {
+      const body = {
+        name: document.getElementById('series-name').value,
+        raceIds: Array.from(this.elements.seriesRaces.querySelectorAll('input:checked')).map(input => Number(input.value)),
+        scoreBy: document.getElementById('series-score-by').value,
+        firstPlacePoints: document.getElementById('series-first-points').value,
+        bestOf: document.getElementById('series-best-of').value
+      };
+      
+      try {
+        const response = await fetch(this.editingSeriesId ? `/api/series/${this.editingSeriesId}` : '/api/series', {
+          method: this.editingSeriesId ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(body)
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to save the series');
+        }
+        
+        showNotification('Series saved', 3000);
+        await this.loadSeriesList();
+      
+      } catch (error) {
+        console.error('Save series error:', error);
+        showNotification(error.message || 'Failed to save the series', 3000);
+      }
+    }
+    
+    /**
+     * Delete a series after confirming; its races are kept
+     * @param {Object} series - The series
+     */
+    async deleteSeries(series) {
+      if (!confirm(`Delete the series "${series.name}"? Its races and results are kept.`)) {
+        return;
+      }
+      
+      try {
+        const response = await fetch(`/api/series/${series.id}`, {
+          method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+          throw new Error('Failed to delete the series');
+        }
+        
+        showNotification('Series deleted', 3000);
+        await this.loadSeriesList();
+      
+      } catch (error) {
+        console.error('Delete series error:', error);
+        showNotification('Failed to delete the series', 3000);
+      }
+    }
+    
+    /**
+     * Load the standings screen for a series
+     * @param {number} seriesId - The series ID
+     */
+    async loadStandings(seriesId) {
+      this.currentSeriesId = seriesId;
+      
+      try {
+        await this.refreshStandings();
+        this.showScreen('standings-screen');
+      } catch (error) {
+        console.error('Load standings error:', error);
+        showNotification('Failed to load standings', 3000);
+      }
+    }
+    
+    /**
+     * Fetch the current series' standings and redraw them
+     */
+    async refreshStandings() {
+      const response = await fetch(`/api/series/${this.currentSeriesId}/standings`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to load standings');
+      }
+      
+      this.renderStandings(await response.json());
+    }
+    
+    /**
+     * Render a series' standings tables with each runner's points from every race
+     * Points that don't count towards a best-of total are shown in brackets.
+     * @param {Object} data - The series, its races and standings tables
+     */
+    renderStandings({ series, races, standings }) {
+      const scoreByNames = { overall: 'overall position', gender: 'gender position', category: 'age category position' };
+      const groupNames = { F: 'Female', M: 'Male', X: 'Other' };
+      
+      this.elements.standingsSeriesName.textContent = series.name;
+      this.elements.standingsRule.textContent =
+        `Scored by ${scoreByNames[series.scoreBy]}, ${series.firstPlacePoints} points for first place` +
+        (series.bestOf ? `, best ${series.bestOf} of ${races.length} races count` : ', every race counts');
+      
+      const container = this.elements.standingsContainer;
+      container.innerHTML = '';
+      
+      if (standings.length === 0) {
+        container.innerHTML = '<p>No results in this series yet</p>';
+        return;
+      }
+      
+      standings.forEach(({ group, standings: rows }) => {
+        if (series.scoreBy !== 'overall') {
+          const heading = document.createElement('h3');
+          heading.textContent = group ? groupNames[group] || group : 'Not specified';
+          container.appendChild(heading);
+        }
+        
+        const table = document.createElement('table');
+        table.className = 'results-table standings-table';
+        table.innerHTML = `
+          <thead>
+            <tr>
+              <th>Rank</th>
+              <th>Runner</th>
+              ${races.map(race => `<th title="${this.escapeHtml(race.date)}">${this.escapeHtml(race.name)}</th>`).join('')}
+              <th>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr>
+                <td>${row.rank}</td>
+                <td>
+                  ${this.escapeHtml(row.name)}
+                  ${row.club ? `<div class="runner-club">${this.escapeHtml(row.club)}</div>` : ''}
+                </td>
+                ${races.map(race => {
+                  const score = row.races[race.id];
+                  if (!score) return '<td></td>';
+                  return `<td title="Position ${score.position}">${score.counted ? score.points : `(${score.points})`}</td>`;
+                }).join('')}
+                <td><strong>${row.total}</strong></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        `;
+        
+        container.appendChild(table);
+      });
+    }
+    
+    /**
+     * Load the runner profiles screen, searching by the name entered
+     */
+    async loadRunners() {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot load runner profiles while offline', 3000);
+          return;
+        }
+        
+        const search = this.elements.runnerSearchName.value.trim();
+        const response = await fetch(`/api/runners?search=${encodeURIComponent(search)}`);
+        
+        if (!response.ok) {
+          throw new Error('Failed to load runners');
+        }
+        
+        this.renderRunners(await response.json());
+        this.showScreen('runners-screen');
+      
+      } catch (error) {
+        console.error('Load runners error:', error);
+        showNotification('Failed to load runner profiles', 3000);
+      }
+    }
+    
+    /**
+     * Render the list of runners
+     * @param {Array} runners - The runners, each with the number of races they have entered
+     */
+    renderRunners(runners) {
+      const container = this.elements.runnersContainer;
+      container.innerHTML = '';
+      
+      if (runners.length === 0) {
+        container.innerHTML = '<p>No runners found</p>';
+        return;
+      }
+      
+      runners.forEach(runner => {
+        const card = document.createElement('div');
+        card.className = 'race-card';
+        card.innerHTML = `
+          <h3>${this.escapeHtml(runner.name)}</h3>
+          ${runner.club ? `<p>${this.escapeHtml(runner.club)}</p>` : ''}
+          <p>${runner.raceCount} race${runner.raceCount === 1 ? '' : 's'}</p>
+          <div class="race-card-buttons">
+            <button class="primary-button profile-button">View Profile</button>
+          </div>
+        `;
+        
+        card.querySelector('.profile-button').addEventListener('click', () => this.loadRunnerProfile(runner.id));
+        container.appendChild(card);
+      });
+    }
+    
+    /**
+     * Load a runner's profile, returning to the current screen afterwards
+     * @param {number} runnerId - The runner ID
+     */
+    async loadRunnerProfile(runnerId) {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot load runner profiles while offline', 3000);
+          return;
+        }
+        
+        const response = await fetch(`/api/runners/${runnerId}`);
+        
+        if (!response.ok) {
+          throw new Error('Failed to load runner profile');
+        }
+        
+        this.renderRunnerProfile(await response.json());
+        
+        if (this.currentScreen !== 'runner-profile-screen') {
+          this.profileReturnScreen = this.currentScreen;
+        }
+        this.showScreen('runner-profile-screen');
+      
+      } catch (error) {
+        console.error('Load runner profile error:', error);
+        showNotification('Failed to load the runner profile', 3000);
+      }
+    }
+    
+    /**
+     * Render a runner's personal bests, race history and progression at each distance
+     * @param {Object} profile - The runner with their races, personalBests and progression
+     */
+    renderRunnerProfile(profile) {
+      const genderNames = { F: 'Female', M: 'Male', X: 'Other' };
+      
+      this.elements.runnerProfileName.textContent = profile.name;
+      this.elements.runnerProfileDetails.textContent = [profile.club, genderNames[profile.gender]].filter(Boolean).join(' · ');
+      
+      const container = this.elements.runnerProfileContainer;
+      container.innerHTML = '';
+      
+      if (profile.races.length === 0) {
+        container.innerHTML = '<p>No results for this runner yet</p>';
+        return;
+      }
+      
+      if (profile.personalBests.length > 0) {
+        const bests = document.createElement('div');
+        bests.innerHTML = `
+          <h3>Personal Bests</h3>
+          <table class="results-table">
+            <thead>
+              <tr>
+                <th>Distance</th>
+                <th>Time</th>
+                <th>Pace</th>
+                <th>Race</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${profile.personalBests.map(best => `
+                <tr>
+                  <td>${this.formatDistance(best.distance, best.distanceUnit)}</td>
+                  <td>${this.formatTimeDisplay(best.raceTime)}</td>
+                  <td>${this.formatPace(best.pacePerKm)}/km</td>
+                  <td>${this.escapeHtml(best.raceName)} (${new Date(best.date).toLocaleDateString()})</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `;
+        container.appendChild(bests);
+      }
+      
+      const history = document.createElement('div');
+      history.innerHTML = `
+        <h3>Races</h3>
+        <table class="results-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Race</th>
+              <th>Position</th>
+              <th>Time</th>
+              <th>Pace</th>
+              <th>Age Grade</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${profile.races.map(race => `
+              <tr class="${race.personalBest ? 'personal-best' : ''}">
+                <td>${new Date(race.date).toLocaleDateString()}</td>
+                <td>
+                  ${this.escapeHtml(race.raceName)}
+                  ${race.distance ? `<div class="runner-club">${this.escapeHtml(this.formatDistance(race.distance, race.distanceUnit))}${race.courseType ? ` ${this.escapeHtml(race.courseType)}` : ''}</div>` : ''}
+                </td>
+                <td>
+                  ${race.status
+                    ? `<span class="result-status" title="${RUNNER_STATUSES[race.status]}">${race.status}</span>`
+                    : `${race.position} of ${race.finishers}`}
+                  ${race.category && race.categoryPosition ? `<div class="runner-club">${this.escapeHtml(race.category)} (${race.categoryPosition})</div>` : ''}
+                </td>
+                <td>
+                  ${race.status ? '' : this.formatTimeDisplay(race.raceTime)}
+                  ${race.personalBest ? '<span class="personal-best-label">PB</span>' : ''}
+                </td>
+                <td>${race.pacePerKm ? `${this.formatPace(race.pacePerKm)}/km` : ''}</td>
+                <td>${race.ageGrade !== null ? `${race.ageGrade.toFixed(2)}%` : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+      container.appendChild(history);
+      
+      // Progression is only worth showing where the runner has raced a distance more than once
+      profile.progression.filter(({ finishes }) => finishes.length > 1).forEach(({ distance, distanceUnit, finishes }) => {
+        const section = document.createElement('div');
+        section.innerHTML = `
+          <h3>Progression at ${this.escapeHtml(this.formatDistance(distance, distanceUnit))}</h3>
+          <table class="results-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Race</th>
+                <th>Time</th>
+                <th>Against Previous Best</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${finishes.map(finish => `
+                <tr>
+                  <td>${new Date(finish.date).toLocaleDateString()}</td>
+                  <td>${this.escapeHtml(finish.raceName)}</td>
+                  <td>${this.formatTimeDisplay(finish.raceTime)}</td>
+                  <td class="${finish.change < 0 ? 'time-improved' : ''}">
+                    ${finish.change === null ? 'First race at this distance' : finish.change === 0
+                      ? 'Equalled'
+                      : `${this.formatTimeDisplay(Math.abs(finish.change))} ${finish.change < 0 ? 'faster' : 'slower'}`}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `;
+        container.appendChild(section);
+      });
+    }
+    
+    /**
+     * Load the finish pairing screen for a race
+     * @param {number} raceId - The ID of the race to pair finishes for
+     */
+    async loadPairing(raceId) {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot load finish pairing while offline', 3000);
+          return;
+        }
+        
+        const raceResponse = await fetch(`/api/races/${raceId}`);
+        
+        if (!raceResponse.ok) {
+          throw new Error('Failed to load race details');
+        }
+        
+        const race = await raceResponse.json();
+        this.currentRaceId = raceId;
+        this.elements.pairingRaceName.textContent = `${race.name} - Finish Pairing`;
+        
+        await this.refreshPairing();
+        
+        this.showScreen('pairing-screen');
+        
+      } catch (error) {
+        console.error('Load pairing error:', error);
+        showNotification('Failed to load finish pairing', 3000);
+      }
+    }
+    
+    /**
+     * Fetch the uploaded finish times and bibs waiting to be merged and render them
+     */
+    async refreshPairing() {
+      const response = await fetch(`/api/races/${this.currentRaceId}/pairing`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to load finish pairing');
+      }
+      
+      const state = await response.json();
+      this.renderPairing(state);
+    }
+    
+    /**
+     * Render finish times and bibs side by side in finishing order
+     * @param {Object} state - The pairing state from the server
+     */
+    renderPairing(state) {
+      const container = this.elements.pairingContainer;
+      container.innerHTML = '';
+      
+      this.elements.pairingEnabled.checked = state.enabled;
+      
+      const summary = document.createElement('div');
+      summary.className = `pairing-summary ${state.mismatch ? 'mismatch' : 'matched'}`;
+      if (state.timeCount === 0 && state.bibCount === 0) {
+        summary.textContent = 'No finish times or bibs are waiting to be merged';
+      } else if (state.mismatch) {
+        summary.textContent = `${state.timeCount} finish times but ${state.bibCount} bibs. ` +
+          'Delete extra entries or insert a missing bib before merging.';
+      } else {
+        summary.textContent = `${state.timeCount} finish times and bibs ready to merge`;
+      }
+      container.appendChild(summary);
+      
+      this.buttons.mergePairing.disabled = state.mismatch || state.timeCount === 0;
+      
+      if (state.pairs.length === 0) {
+        return;
+      }
+      
+      const table = document.createElement('table');
+      table.className = 'results-table pairing-table';
+      table.innerHTML = `
+        <thead>
+          <tr>
+            <th>Position</th>
+            <th>Finish Time</th>
+            <th>Bib</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      `;
+      
+      const tbody = table.querySelector('tbody');
+      
+      state.pairs.forEach(pair => {
+        const bibLabel = !pair.bib
+          ? '<span class="missing">Missing</span>'
+          : pair.bib.runnerNumber || '<span class="placeholder">No bib</span>';
+        
+        const row = document.createElement('tr');
+        row.innerHTML = `
+          <td>${pair.position}</td>
+          <td>${pair.time ? new Date(pair.time.finishTime).toLocaleTimeString() : '<span class="missing">Missing</span>'}</td>
+          <td>${bibLabel}</td>
+          <td class="table-actions">
+            <button class="secondary-button insert-gap" title="Insert a missing bib at this position">Insert No Bib</button>
+            ${pair.time ? '<button class="danger-button delete-time">Delete Time</button>' : ''}
+            ${pair.bib ? '<button class="danger-button delete-bib">Delete Bib</button>' : ''}
+          </td>
+        `;
+        
+        row.querySelector('.insert-gap').addEventListener('click', () => this.insertPairingGap(pair.position));
+        if (pair.time) {
+          row.querySelector('.delete-time').addEventListener('click', () => this.deletePairingItem('times', pair.time.id));
+        }
+        if (pair.bib) {
+          row.querySelector('.delete-bib').addEventListener('click', () => this.deletePairingItem('bibs', pair.bib.id));
+        }
+        
+        tbody.appendChild(row);
+      });
+      
+      container.appendChild(table);
+    }
+    
+    /**
+     * Turn split-role finish recording on or off for the current race
+     * @param {boolean} enabled - Whether the race should use pairing mode
+     */
+    async setRacePairingMode(enabled) {
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/pairing`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ enabled })
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to update pairing mode');
+        }
+        
+        showNotification(enabled ? 'Finish pairing turned on' : 'Finish pairing turned off', 3000);
+        
+      } catch (error) {
+        console.error('Pairing mode error:', error);
+        showNotification(error.message || 'Failed to update pairing mode', 3000);
+        this.elements.pairingEnabled.checked = !enabled;
+      }
+    }
+    
+    /**
+     * Insert a placeholder for a runner whose bib was not collected
+     * The finish time at that position is kept but produces no result.
+     * @param {number} position - The position to insert the placeholder at
+     */
+    async insertPairingGap(position) {
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/pairing/gaps`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ position })
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to insert missing bib');
+        }
+        
+        await this.refreshPairing();
+        
+      } catch (error) {
+        console.error('Insert pairing gap error:', error);
+        showNotification(error.message || 'Failed to insert missing bib', 3000);
+      }
+    }
+    
+    /**
+     * Delete an uploaded finish time or bib that should not be paired
+     * @param {string} kind - 'times' or 'bibs'
+     * @param {number} id - The ID of the time or bib
+     */
+    async deletePairingItem(kind, id) {
+      if (!confirm(kind === 'times' ? 'Delete this finish time?' : 'Delete this bib?')) {
+        return;
+      }
+      
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/pairing/${kind}/${id}`, {
+          method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to delete entry');
+        }
+        
+        await this.refreshPairing();
+        
+      } catch (error) {
+        console.error('Delete pairing entry error:', error);
+        showNotification(error.message || 'Failed to delete entry', 3000);
+      }
+    }
+    
+    /**
+     * Merge the paired finish times and bibs into the race results
+     */
+    async mergePairing() {
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/pairing/merge`, {
+          method: 'POST'
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+          showNotification(data.error || 'Failed to merge finishes', 5000);
+          await this.refreshPairing();
+          return;
+        }
+        
+        showNotification(data.message, 3000);
+        await this.refreshPairing();
+        
+      } catch (error) {
+        console.error('Merge pairing error:', error);
+        showNotification('Failed to merge finishes', 3000);
+      }
+    }
+    
+    /**
+     * Load the reconciliation screen for a race
+     * @param {number} raceId - The ID of the race to reconcile results for
+     */
+    async loadReconciliation(raceId) {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot reconcile results while offline', 3000);
+          return;
+        }
+        
+        const raceResponse = await fetch(`/api/races/${raceId}`);
+        
+        if (!raceResponse.ok) {
+          throw new Error('Failed to load race details');
+        }
+        
+        const race = await raceResponse.json();
+        this.currentRaceId = raceId;
+        this.elements.reconcileRaceName.textContent = `${race.name} - Reconcile Results`;
+        
+        await this.refreshReconciliation();
+        
+        this.showScreen('reconcile-screen');
+        
+      } catch (error) {
+        console.error('Load reconciliation error:', error);
+        showNotification('Failed to load reconciliation', 3000);
+      }
+    }
+    
+    /**
+     * Fetch the current race's duplicate and conflicting results and render them
+     */
+    async refreshReconciliation() {
+      const response = await fetch(`/api/races/${this.currentRaceId}/reconciliation`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to load reconciliation');
+      }
+      
+      const reconciliation = await response.json();
+      this.renderReconciliation(reconciliation);
+    }
+    
+    /**
+     * Render the rule settings and each bib recorded more than once or by only one device
+     * @param {Object} reconciliation - The reconciliation from the server
+     */
+    renderReconciliation(reconciliation) {
+      const { rule, primaryDeviceId, devices, groups, summary } = reconciliation;
+      
+      this.elements.reconcileRule.value = rule;
+      this.elements.reconcilePrimaryGroup.classList.toggle('hidden', rule !== 'primary');
+      this.elements.reconcilePrimaryDevice.innerHTML = `
+        <option value="">Choose a device</option>
+        ${devices.filter(device => device.deviceId).map(device => `
+          <option value="${this.escapeHtml(device.deviceId)}">${this.escapeHtml(device.deviceId)} (${device.count} results)</option>
+        `).join('')}
+      `;
+      this.elements.reconcilePrimaryDevice.value = primaryDeviceId || '';
+      
+      const container = this.elements.reconcileContainer;
+      container.innerHTML = '';
+      
+      const summaryElement = document.createElement('div');
+      summaryElement.className = 'reconcile-summary';
+      summaryElement.textContent = groups.length === 0
+        ? `No duplicate results across ${devices.length} device${devices.length === 1 ? '' : 's'}`
+        : `${summary.unresolved} to review, ${summary.nearDuplicates} conflicting, ${summary.duplicates} duplicates, ` +
+          `${summary.singleDevice} recorded on one device only`;
+      container.appendChild(summaryElement);
+      
+      // The results can't be published until every conflict is decided
+      if (summary.unresolved > 0) {
+        const blocking = document.createElement('p');
+        blocking.className = 'reconcile-blocking';
+        blocking.textContent = 'Accept or override the time for every bib where devices disagree before publishing the results.';
+        container.appendChild(blocking);
+      }
+      
+      const labels = {
+        'near-duplicate': 'Devices disagree',
+        duplicate: 'Recorded more than once',
+        'single-device': 'Only recorded on one device'
+      };
+      
+      groups.forEach(group => {
+        const card = document.createElement('div');
+        card.className = 'reconcile-group';
+        if (group.needsReview) card.classList.add('needs-review');
+        
+        const spread = group.spread > 0 ? ` (${(group.spread / 1000).toFixed(1)}s apart)` : '';
+        card.innerHTML = `
+          <h3>Bib ${group.runnerNumber}</h3>
+          <p>${labels[group.kind]}${spread}${group.resolvedResultId ? ' - decided' : ''}</p>
+          <div class="reconcile-options"></div>
+        `;
+        
+        const options = card.querySelector('.reconcile-options');
+        group.results.forEach(result => {
+          const option = document.createElement('label');
+          option.className = 'reconcile-option';
+          option.innerHTML = `
+            <input type="radio" name="reconcile-${group.runnerNumber}" value="${result.id}"
+              ${result.id === group.chosenResultId ? 'checked' : ''}>
+            <span>${new Date(result.normalisedFinishTime).toLocaleTimeString()}</span>
+            <span></span>
+            ${result.id === group.suggestedResultId ? '<span class="suggested">Rule\'s choice</span>' : ''}
+          `;
+          option.querySelector('span:nth-of-type(2)').textContent = result.uploadedBy || 'Unknown device';
+          options.appendChild(option);
+        });
+        
+        if (group.results.length > 1) {
+          const buttons = document.createElement('div');
+          buttons.className = 'button-container';
+          buttons.innerHTML = `
+            <button class="primary-button accept-choice">Accept</button>
+            ${group.resolvedResultId ? '<button class="secondary-button reset-choice">Use Rule</button>' : ''}
+          `;
+          
+          buttons.querySelector('.accept-choice').addEventListener('click', () => {
+            const selected = card.querySelector('input[type="radio"]:checked');
+            this.resolveConflict(group.runnerNumber, Number(selected.value));
+          });
+          if (group.resolvedResultId) {
+            buttons.querySelector('.reset-choice').addEventListener('click', () => this.clearConflictDecision(group.runnerNumber));
+          }
+          
+          card.appendChild(buttons);
+        }
+        
+        container.appendChild(card);
+      });
+    }
+    
+    /**
+     * Save the rule used to pick between results recorded on several devices
+     */
+    async saveReconciliationRule() {
+      const rule = this.elements.reconcileRule.value;
+      const primaryDeviceId = this.elements.reconcilePrimaryDevice.value;
+      
+      this.elements.reconcilePrimaryGroup.classList.toggle('hidden', rule !== 'primary');
+      
+      // Wait for a device to be chosen before switching to the primary device rule
+      if (rule === 'primary' && !primaryDeviceId) {
+        return;
+      }
+      
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/reconciliation`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ rule, primaryDeviceId: rule === 'primary' ? primaryDeviceId : null })
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to save rule');
+        }
+        
+        await this.refreshReconciliation();
+        
+      } catch (error) {
+        console.error('Save reconciliation rule error:', error);
+        showNotification(error.message || 'Failed to save rule', 3000);
+      }
+    }
+    
+    /**
+     * Keep one result for a bib, accepting or overriding the rule's choice
+     * @param {number} runnerNumber - The bib number
+     * @param {number} resultId - The result to keep
+     */
+    async resolveConflict(runnerNumber, resultId) {
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/reconciliation/${runnerNumber}`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ resultId })
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to save decision');
+        }
+        
+        showNotification(`Result for bib ${runnerNumber} saved`, 2000);
+        await this.refreshReconciliation();
+        
+      } catch (error) {
+        console.error('Resolve conflict error:', error);
+        showNotification(error.message || 'Failed to save decision', 3000);
+      }
+    }
+    
+    /**
+     * Forget the decision for a bib so the race's rule applies again
+     * @param {number} runnerNumber - The bib number
+     */
+    async clearConflictDecision(runnerNumber) {
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/reconciliation/${runnerNumber}`, {
+          method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to clear decision');
+        }
+        
+        await this.refreshReconciliation();
+        
+      } catch (error) {
+        console.error('Clear conflict decision error:', error);
+        showNotification(error.message || 'Failed to clear decision', 3000);
+      }
+    }
+    
+    /**
+     * Load the entrants management screen for a race
+     * @param {number} raceId - The ID of the race to manage entrants for
+     */
+    async loadEntrants(raceId) {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot load entrants while offline', 3000);
+          return;
+        }
+        
+        const raceResponse = await fetch(`/api/races/${raceId}`);
+        
+        if (!raceResponse.ok) {
+          throw new Error('Failed to load race details');
+        }
+        
+        const race = await raceResponse.json();
+        this.currentRaceId = raceId;
+        this.elements.entrantsRaceName.textContent = `${race.name} - Entrants`;
+        
+        this.resetEntrantForm();
+        await this.refreshEntrants();
+        
+        this.showScreen('entrants-screen');
+        
+      } catch (error) {
+        console.error('Load entrants error:', error);
+        showNotification('Failed to load entrants', 3000);
+      }
+    }
+    
+    /**
+     * Fetch the current race's entrants and render them
+     */
+    async refreshEntrants() {
+      const response = await fetch(`/api/races/${this.currentRaceId}/entrants`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to load entrants');
+      }
+      
+      const entrants = await response.json();
+      this.renderEntrantsTable(entrants);
+    }
+    
+    /**
+     * Render the entrants table
+     * @param {Array} entrants - The entrants to display
+     */
+    renderEntrantsTable(entrants) {
+      const container = this.elements.entrantsContainer;
+      container.innerHTML = '';
+      
+      if (entrants.length === 0) {
+        container.innerHTML = '<p>No entrants registered for this race</p>';
+        return;
+      }
+      
+      const total = document.createElement('div');
+      total.className = 'total-runners';
+      total.textContent = `Total Entrants: ${entrants.length}`;
+      container.appendChild(total);
+      
+      const table = document.createElement('table');
+      table.className = 'results-table';
+      table.innerHTML = `
+        <thead>
+          <tr>
+            <th>Bib</th>
+            <th>Name</th>
+            <th>Gender</th>
+            <th>Date of Birth</th>
+            <th>Emergency Contact</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      `;
+      
+      const tbody = table.querySelector('tbody');
+      
+      entrants.forEach(entrant => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+          <td>${entrant.bibNumber}</td>
+          <td>
+            ${this.escapeHtml(entrant.name)}
+            ${entrant.club ? `<div class="runner-club">${this.escapeHtml(entrant.club)}</div>` : ''}
+          </td>
+          <td>${entrant.gender || ''}</td>
+          <td>${entrant.dateOfBirth ? new Date(entrant.dateOfBirth).toLocaleDateString() : ''}</td>
+          <td>${this.escapeHtml(entrant.emergencyContact || '')}</td>
+          <td class="table-actions">
+            <button class="secondary-button edit-entrant">Edit</button>
+            <button class="danger-button delete-entrant">Delete</button>
+          </td>
+        `;
+        
+        row.querySelector('.edit-entrant').addEventListener('click', () => this.editEntrant(entrant));
+        row.querySelector('.delete-entrant').addEventListener('click', () => this.deleteEntrant(entrant));
+        
+        tbody.appendChild(row);
+      });
+      
+      container.appendChild(table);
+    }
+    
+    /**
+     * Fill the entrant form with an existing entrant for editing
+     * @param {Object} entrant - The entrant to edit
+     */
+    editEntrant(entrant) {
+      document.getElementById('entrant-id').value = entrant.id;
+      document.getElementById('entrant-bib').value = entrant.bibNumber;
+      document.getElementById('entrant-name').value = entrant.name;
+      document.getElementById('entrant-club').value = entrant.club || '';
+      document.getElementById('entrant-gender').value = entrant.gender || '';
+      document.getElementById('entrant-dob').value = entrant.dateOfBirth || '';
+      document.getElementById('entrant-emergency').value = entrant.emergencyContact || '';
+      
+      this.buttons.saveEntrant.textContent = 'Save Changes';
+      this.buttons.cancelEntrantEdit.classList.remove('hidden');
+      document.getElementById('entrant-name').focus();
+    }
+    
+    /**
+     * Clear the entrant form back to "add" mode
+     */
+    resetEntrantForm() {
+      this.forms.entrant.reset();
+      document.getElementById('entrant-id').value = '';
+      this.buttons.saveEntrant.textContent = 'Add Entrant';
+      this.buttons.cancelEntrantEdit.classList.add('hidden');
+    }
+    
+    /**
+     * Create or update an entrant from the entrant form
+     */
+    async saveEntrant() {
+      const entrantId = document.getElementById('entrant-id').value;
+      const entrant = {
+        bibNumber: parseInt(document.getElementById('entrant-bib').value),
+        name: document.getElementById('entrant-name').value.trim(),
+        club: document.getElementById('entrant-club').value.trim(),
+        gender: document.getElementById('entrant-gender').value,
+        dateOfBirth: document.getElementById('entrant-dob').value,
+        emergencyContact: document.getElementById('entrant-emergency').value.trim()
+      };
+      
+      if (isNaN(entrant.bibNumber) || entrant.bibNumber <= 0 || !entrant.name) {
+        showNotification('Bib number and name are required', 3000);
+        return;
+      }
+      
+      try {
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot save entrants while offline', 3000);
+          return;
+        }
+        
+        const url = entrantId
+          ? `/api/races/${this.currentRaceId}/entrants/${entrantId}`
+          : `/api/races/${this.currentRaceId}/entrants`;
+        
+        const response = await fetch(url, {
+          method: entrantId ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(entrant)
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+          showNotification(data.error || 'Failed to save entrant', 3000);
+          return;
+        }
+        
+        this.resetEntrantForm();
+        await this.refreshEntrants();
+        showNotification(`${data.name} saved`, 2000);
+        
+      } catch (error) {
+        console.error('Save entrant error:', error);
+        showNotification('Failed to save entrant', 3000);
+      }
+    }
+    
+    /**
+     * Delete an entrant after confirmation
+     * @param {Object} entrant - The entrant to delete
+     */
+    async deleteEntrant(entrant) {
+      if (!confirm(`Remove ${entrant.name} (bib ${entrant.bibNumber}) from this race?`)) {
+        return;
+      }
+      
+      try {
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot delete entrants while offline', 3000);
+          return;
+        }
+        
+        const response = await fetch(`/api/races/${this.currentRaceId}/entrants/${entrant.id}`, {
+          method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to delete entrant');
+        }
+        
+        await this.refreshEntrants();
+        showNotification('Entrant deleted', 2000);
+        
+      } catch (error) {
+        console.error('Delete entrant error:', error);
+        showNotification(error.message || 'Failed to delete entrant', 3000);
+      }
+    }
+    
+    /**
+     * Load the start waves screen for a race
+     * @param {Object} race - The race
+     */
+    async loadWaves(race) {
+      try {
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot load waves while offline', 3000);
+          return;
+        }
+        
+        this.currentRaceId = race.id;
+        this.elements.wavesRaceName.textContent = `${race.name} - Start Waves`;
+        // Waves are fixed once the race starts, as runners would otherwise move to a wave without a start
+        this.wavesLocked = race.status !== 'pending';
+        this.elements.wavesLocked.classList.toggle('hidden', !this.wavesLocked);
+        this.forms.wave.classList.toggle('hidden', this.wavesLocked);
+        this.resetWaveForm();
+        await this.refreshWaves();
+        this.showScreen('waves-screen');
+        
+      } catch (error) {
+        console.error('Load waves error:', error);
+        showNotification('Failed to load waves', 3000);
+      }
+    }
+    
+    /**
+     * Reload and render the current race's start waves
+     */
+    async refreshWaves() {
+      const response = await fetch(`/api/races/${this.currentRaceId}/waves`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to load waves');
+      }
       
-      showNotification(`Runner ${runnerNumber} recorded`, 2000);
+      this.renderWaves(await response.json());
     }
     
     /**
-     * Update the results list display
+     * Render the start waves list
+     * @param {Array} waves - The waves in start order
      */
-    updateResultsList() {
-      if (!this.elements.resultsList) return;
-      
-      // Clear the list
-      this.elements.resultsList.innerHTML = '';
+    renderWaves(waves) {
+      const container = this.elements.wavesContainer;
+      container.innerHTML = '';
       
-      if (this.results.length === 0) {
-        this.elements.resultsList.innerHTML = '<p>No results recorded yet</p>';
+      if (waves.length === 0) {
+        container.innerHTML = '<p>No waves - every runner starts with the race</p>';
         return;
       }
       
-      // Sort results by finish time (ascending)
-      const sortedResults = [...this.results].sort((a, b) => a.finishTime - b.finishTime);
-      
-      // Add results count
-      const resultsCount = document.createElement('div');
-      resultsCount.className = 'results-count';
-      resultsCount.textContent = `${sortedResults.length} runners recorded`;
-      this.elements.resultsList.appendChild(resultsCount);
-      
-      // Only show the most recent 10 results to avoid performance issues
-      const recentResults = sortedResults.slice(-10);
-      
-      // Add each result to the list
-      recentResults.forEach((result, index) => {
-        const resultItem = document.createElement('div');
-        resultItem.className = 'result-item';
-        
-        const position = index + 1;
-        const raceTimeFormatted = this.raceTimer.formatTimeVerbose(result.raceTime);
-        
-        resultItem.innerHTML = `
-          <div><strong>Runner ${result.runnerNumber}</strong></div>
-          <div>${raceTimeFormatted}</div>
+      waves.forEach(wave => {
+        const started = Boolean(wave.startTime);
+        const card = document.createElement('div');
+        card.className = 'race-card';
+        card.innerHTML = `
+          <h3>${this.escapeHtml(wave.name)}</h3>
+          <p>${this.escapeHtml(this.describeWave(wave))}</p>
+          <p>${started ? `Started ${new Date(parseInt(wave.startTime) + (wave.startClockOffset || 0)).toLocaleTimeString()}` : 'Not started'}</p>
+          ${this.wavesLocked ? '' : `<div class="race-card-buttons">
+            <button class="secondary-button edit-wave-button">Edit</button>
+            ${started ? '' : '<button class="danger-button delete-wave-button">Delete</button>'}
+          </div>`}
         `;
         
-        this.elements.resultsList.appendChild(resultItem);
+        if (!this.wavesLocked) {
+          card.querySelector('.edit-wave-button').addEventListener('click', () => this.editWave(wave));
+        }
+        if (!this.wavesLocked && !started) {
+          card.querySelector('.delete-wave-button').addEventListener('click', () => this.deleteWave(wave));
+        }
+        
+        container.appendChild(card);
       });
-      
-      // If there are more than 10 results, show a message
-      if (sortedResults.length > 10) {
-        const moreResults = document.createElement('div');
-        moreResults.className = 'more-results';
-        moreResults.textContent = `... and ${sortedResults.length - 10} more`;
-        this.elements.resultsList.appendChild(moreResults);
-      }
     }
     
     /**
-     * End the race
+     * Fill the wave form with a wave for editing
+     * @param {Object} wave - The wave to edit
      */
-    async endRace() {
-      if (!this.currentRaceId) {
-        showNotification('No race selected', 3000);
-        return;
-      }
+    editWave(wave) {
+      document.getElementById('wave-id').value = wave.id;
+      document.getElementById('wave-name').value = wave.name;
+      document.getElementById('wave-bibs').value = wave.bibs || '';
+      document.getElementById('wave-categories').value = wave.categories || '';
+      this.buttons.saveWave.textContent = 'Save Wave';
+      this.buttons.cancelWaveEdit.classList.remove('hidden');
+      document.getElementById('wave-name').focus();
+    }
+    
+    /**
+     * Clear the wave form back to adding a new wave
+     */
+    resetWaveForm() {
+      this.forms.wave.reset();
+      document.getElementById('wave-id').value = '';
+      this.buttons.saveWave.textContent = 'Add Wave';
+      this.buttons.cancelWaveEdit.classList.add('hidden');
+    }
+    
+    /**
+     * Create or update a wave from the wave form
+     */
+    async saveWave() {
+      const waveId = document.getElementById('wave-id').value;
+      const wave = {
+        name: document.getElementById('wave-name').value.trim(),
+        bibs: document.getElementById('wave-bibs').value,
+        categories: document.getElementById('wave-categories').value
+      };
       
       try {
-        // Check if we're online first
         if (!window.offlineStorage.isDeviceOnline()) {
-          // If offline, just stop the timer locally
-          this.raceTimer.stop();
-          showNotification('Race timer stopped', 3000);
+          showNotification('Cannot save waves while offline', 3000);
           return;
         }
         
-        // Stop the timer
-        this.raceTimer.stop();
+        const url = waveId
+          ? `/api/races/${this.currentRaceId}/waves/${waveId}`
+          : `/api/races/${this.currentRaceId}/waves`;
         
-        const response = await fetch(`/api/races/${this.currentRaceId}/end`, {
-          method: 'PUT',
+        const response = await fetch(url, {
+          method: waveId ? 'PUT' : 'POST',
           headers: {
             'Content-Type': 'application/json'
-          }
+          },
+          body: JSON.stringify(wave)
         });
         
+        const data = await response.json();
+        
         if (!response.ok) {
-          throw new Error('Failed to end race');
+          showNotification(data.error || 'Failed to save wave', 3000);
+          return;
         }
         
-        // Update current race data
-        const updatedRace = await response.json();
-        this.currentRace = {
-          ...this.currentRace,
-          status: updatedRace.status
-        };
-        
-        // Update button states
-        this.buttons.startTimer.disabled = true;
-        this.buttons.recordFinish.disabled = true;
-        this.buttons.endRace.disabled = true;
+        this.resetWaveForm();
+        await this.refreshWaves();
+        showNotification(`${data.name} saved`, 2000);
         
-        showNotification('Race ended', 3000);
+      } catch (error) {
+        console.error('Save wave error:', error);
+        showNotification('Failed to save wave', 3000);
+      }
+    }
+    
+    /**
+     * Delete a wave that hasn't started, after confirmation
+     * @param {Object} wave - The wave to delete
+     */
+    async deleteWave(wave) {
+      if (!confirm(`Delete the wave "${wave.name}"? Its runners will start with another wave.`)) {
+        return;
+      }
+      
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/waves/${wave.id}`, {
+          method: 'DELETE'
+        });
         
-        // Ask to upload results if there are any and we're online
-        if (this.results.length > 0 && window.offlineStorage.isDeviceOnline()) {
-          if (confirm('Would you like to upload the race results now?')) {
-            this.uploadResults();
-          }
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to delete wave');
         }
         
+        await this.refreshWaves();
+        showNotification('Wave deleted', 2000);
+        
       } catch (error) {
-        console.error('End race error:', error);
-        showNotification('Failed to end race', 3000);
+        console.error('Delete wave error:', error);
+        showNotification(error.message || 'Failed to delete wave', 3000);
       }
     }
     
     /**
-     * Upload race results to the server
+     * Load the timing points screen for a race
+     * @param {Object} race - The race
      */
-    async uploadResults() {
-      if (!this.currentRaceId) {
-        showNotification('No race selected', 3000);
-        return;
+    async loadTimingPoints(race) {
+      try {
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot load timing points while offline', 3000);
+          return;
+        }
+        
+        this.currentRaceId = race.id;
+        this.elements.timingPointsRaceName.textContent = `${race.name} - Timing Points`;
+        this.resetTimingPointForm();
+        await this.refreshTimingPoints();
+        this.showScreen('timing-points-screen');
+        
+      } catch (error) {
+        console.error('Load timing points error:', error);
+        showNotification('Failed to load timing points', 3000);
       }
+    }
+    
+    /**
+     * Reload and render the current race's timing points
+     */
+    async refreshTimingPoints() {
+      const response = await fetch(`/api/races/${this.currentRaceId}/timing-points`);
       
-      if (this.results.length === 0) {
-        showNotification('No results to upload', 3000);
-        return;
+      if (!response.ok) {
+        throw new Error('Failed to load timing points');
       }
       
+      this.renderTimingPoints(await response.json());
+    }
+    
+    /**
+     * Render the timing points list, ending with the finish
+     * @param {Array} timingPoints - The timing points in course order
+     */
+    renderTimingPoints(timingPoints) {
+      const container = this.elements.timingPointsContainer;
+      container.innerHTML = '';
+      
+      timingPoints.forEach((timingPoint, index) => {
+        const card = document.createElement('div');
+        card.className = 'race-card';
+        card.innerHTML = `
+          <h3>${index + 1}. ${this.escapeHtml(timingPoint.name)}</h3>
+          <div class="race-card-buttons">
+            <button class="secondary-button edit-timing-point-button">Rename</button>
+            <button class="danger-button delete-timing-point-button">Delete</button>
+          </div>
+        `;
+        
+        card.querySelector('.edit-timing-point-button').addEventListener('click', () => this.editTimingPoint(timingPoint));
+        card.querySelector('.delete-timing-point-button').addEventListener('click', () => this.deleteTimingPoint(timingPoint));
+        
+        container.appendChild(card);
+      });
+      
+      const finish = document.createElement('div');
+      finish.className = 'race-card';
+      finish.innerHTML = `<h3>${timingPoints.length + 1}. Finish</h3>`;
+      container.appendChild(finish);
+    }
+    
+    /**
+     * Fill the timing point form with a timing point for renaming
+     * @param {Object} timingPoint - The timing point to rename
+     */
+    editTimingPoint(timingPoint) {
+      document.getElementById('timing-point-id').value = timingPoint.id;
+      document.getElementById('timing-point-name').value = timingPoint.name;
+      this.buttons.saveTimingPoint.textContent = 'Save Timing Point';
+      this.buttons.cancelTimingPointEdit.classList.remove('hidden');
+      document.getElementById('timing-point-name').focus();
+    }
+    
+    /**
+     * Clear the timing point form back to adding a new timing point
+     */
+    resetTimingPointForm() {
+      this.forms.timingPoint.reset();
+      document.getElementById('timing-point-id').value = '';
+      this.buttons.saveTimingPoint.textContent = 'Add Timing Point';
+      this.buttons.cancelTimingPointEdit.classList.add('hidden');
+    }
+    
+    /**
+     * Add or rename a timing point from the timing point form
+     */
+    async saveTimingPoint() {
+      const timingPointId = document.getElementById('timing-point-id').value;
+      
       try {
-        // Check if we're online first
         if (!window.offlineStorage.isDeviceOnline()) {
-          showNotification('Results saved offline and will sync when online', 3000);
+          showNotification('Cannot save timing points while offline', 3000);
           return;
         }
         
-        const response = await fetch(`/api/races/${this.currentRaceId}/results`, {
-          method: 'POST',
+        const url = timingPointId
+          ? `/api/races/${this.currentRaceId}/timing-points/${timingPointId}`
+          : `/api/races/${this.currentRaceId}/timing-points`;
+        
+        const response = await fetch(url, {
+          method: timingPointId ? 'PUT' : 'POST',
           headers: {
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({
-            results: this.results.map(result => ({
-              runnerNumber: result.runnerNumber,
-              finishTime: result.finishTime
-            })),
-            deviceId: window.offlineStorage.getDeviceId()
-          })
+          body: JSON.stringify({ name: document.getElementById('timing-point-name').value.trim() })
         });
         
+        const data = await response.json();
+        
         if (!response.ok) {
-          throw new Error('Failed to upload results');
+          showNotification(data.error || 'Failed to save timing point', 3000);
+          return;
         }
         
-        // Clear local results
-        this.results = [];
-        this.updateResultsList();
-        window.offlineStorage.clearResults();
-        
-        // Update button states
-        this.buttons.uploadResults.disabled = true;
-        this.buttons.clearResults.disabled = true;
-        
-        showNotification('Results uploaded successfully', 3000);
+        this.resetTimingPointForm();
+        await this.refreshTimingPoints();
+        showNotification(`${data.name} saved`, 2000);
         
       } catch (error) {
-        console.error('Upload results error:', error);
-        showNotification('Failed to upload results', 3000);
+        console.error('Save timing point error:', error);
+        showNotification('Failed to save timing point', 3000);
       }
     }
     
     /**
-     * Clear recorded results
+     * Delete a timing point with no splits recorded at it, after confirmation
+     * @param {Object} timingPoint - The timing point to delete
      */
-    clearResults() {
-      if (this.results.length === 0) {
+    async deleteTimingPoint(timingPoint) {
+      if (!confirm(`Delete the timing point "${timingPoint.name}"?`)) {
         return;
       }
       
-      if (confirm('Are you sure you want to clear all recorded results?')) {
-        this.results = [];
-        this.updateResultsList();
-        window.offlineStorage.clearResults();
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/timing-points/${timingPoint.id}`, {
+          method: 'DELETE'
+        });
         
-        // Update button states
-        this.buttons.uploadResults.disabled = true;
-        this.buttons.clearResults.disabled = true;
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to delete timing point');
+        }
         
-        showNotification('Results cleared', 3000);
+        await this.refreshTimingPoints();
+        showNotification('Timing point deleted', 2000);
+        
+      } catch (error) {
+        console.error('Delete timing point error:', error);
+        showNotification(error.message || 'Failed to delete timing point', 3000);
       }
     }
     
     /**
-     * Show a confirmation dialog for race deletion
-     * @param {number} raceId - The ID of the race to delete
-     * @param {string} raceName - The name of the race
+     * Show the CSV import screen for the current race
      */
-    confirmDeleteRace(raceId, raceName) {
-      // Create a modal overlay
-      const overlay = document.createElement('div');
-      overlay.className = 'modal-overlay';
+    showImportEntrants() {
+      this.importState = { csv: null, headers: [], mapping: {} };
+      this.elements.importRaceName.textContent = `${this.elements.entrantsRaceName.textContent} - Import`;
+      this.elements.importFile.value = '';
+      this.elements.importReplace.checked = false;
+      this.elements.importMapping.classList.add('hidden');
+      this.elements.importMappingFields.innerHTML = '';
+      this.elements.importReport.innerHTML = '';
+      this.buttons.checkImport.disabled = true;
+      this.buttons.commitImport.disabled = true;
       
-      // Create the confirmation modal
-      const modal = document.createElement('div');
-      modal.className = 'modal-container';
-      modal.innerHTML = `
-        <h3>Delete Race</h3>
-        <p>Are you sure you want to delete the race "${raceName}"?</p>
-        <p class="warning">This will permanently delete all race data and results. This action cannot be undone.</p>
-        <div class="modal-buttons">
-          <button id="cancel-delete" class="secondary-button">Cancel</button>
-          <button id="confirm-delete" class="danger-button">Delete Race</button>
-        </div>
-      `;
+      this.showScreen('import-entrants-screen');
+    }
+    
+    /**
+     * Read the chosen CSV file and run a first check with a suggested column mapping
+     */
+    async readImportFile() {
+      const file = this.elements.importFile.files[0];
+      if (!file) return;
       
-      // Add the modal to the overlay
-      overlay.appendChild(modal);
+      this.importState.csv = await file.text();
+      this.importState.mapping = null;
       
-      // Add the overlay to the document
-      document.body.appendChild(overlay);
+      const report = await this.requestImport(true);
+      if (!report) return;
       
-      // Add event listeners
-      document.getElementById('cancel-delete').addEventListener('click', () => {
-        document.body.removeChild(overlay);
-      });
+      this.importState.headers = report.headers;
+      this.importState.mapping = report.mapping;
+      this.renderImportMapping();
+      this.renderImportReport(report);
+      this.buttons.checkImport.disabled = false;
+    }
+    
+    /**
+     * Re-check the file with the column mapping chosen on screen
+     */
+    async checkImport() {
+      this.importState.mapping = this.readImportMapping();
       
-      document.getElementById('confirm-delete').addEventListener('click', () => {
-        this.deleteRace(raceId);
-        document.body.removeChild(overlay);
-      });
+      const report = await this.requestImport(true);
+      if (report) {
+        this.renderImportReport(report);
+      }
+    }
+    
+    /**
+     * Import the checked file for real
+     */
+    async commitImport() {
+      this.importState.mapping = this.readImportMapping();
+      
+      const report = await this.requestImport(false);
+      if (!report) return;
+      
+      if (report.committed) {
+        showNotification(`${report.imported} entrants imported`, 3000);
+        this.loadEntrants(this.currentRaceId);
+      } else {
+        this.renderImportReport(report);
+      }
+    }
+    
+    /**
+     * Send the CSV to the server for checking or importing
+     * @param {boolean} dryRun - Whether to only validate the file
+     * @returns {Promise<Object|null>} The import report, or null if the request failed
+     */
+    async requestImport(dryRun) {
+      try {
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot import entrants while offline', 3000);
+          return null;
+        }
+        
+        const response = await fetch(`/api/races/${this.currentRaceId}/entrants/import`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            csv: this.importState.csv,
+            mapping: this.importState.mapping || undefined,
+            replaceExisting: this.elements.importReplace.checked,
+            dryRun
+          })
+        });
+        
+        const data = await response.json();
+        
+        // A 422 still carries the row-by-row report
+        if (!response.ok && response.status !== 422) {
+          showNotification(data.error || 'Failed to check the import file', 3000);
+          return null;
+        }
+        
+        return data;
+        
+      } catch (error) {
+        console.error('Import entrants error:', error);
+        showNotification('Failed to check the import file', 3000);
+        return null;
+      }
     }
     
     /**
-     * Delete a race
-     * @param {number} raceId - The ID of the race to delete
+     * Render a column picker for each entrant field
      */
-    async deleteRace(raceId) {
-      try {
-        // Check if we're online first
-        if (!window.offlineStorage.isDeviceOnline()) {
-          showNotification('Cannot delete race while offline', 3000);
-          return;
-        }
+    renderImportMapping() {
+      const fieldLabels = {
+        bibNumber: 'Bib Number',
+        name: 'Name',
+        club: 'Club',
+        gender: 'Gender',
+        dateOfBirth: 'Date of Birth',
+        emergencyContact: 'Emergency Contact'
+      };
+      
+      const container = this.elements.importMappingFields;
+      container.innerHTML = '';
+      
+      Object.keys(fieldLabels).forEach(field => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
         
-        const response = await fetch(`/api/races/${raceId}`, {
-          method: 'DELETE'
-        });
+        const options = this.importState.headers.map(header => `
+          <option value="${this.escapeHtml(header)}" ${this.importState.mapping[field] === header ? 'selected' : ''}>
+            ${this.escapeHtml(header)}
+          </option>
+        `).join('');
         
-        if (!response.ok) {
-          throw new Error('Failed to delete race');
-        }
+        group.innerHTML = `
+          <label for="import-map-${field}">${fieldLabels[field]}:</label>
+          <select id="import-map-${field}" data-field="${field}">
+            <option value="">(not imported)</option>
+            ${options}
+          </select>
+        `;
         
-        // Reload the races list
-        showNotification('Race deleted successfully', 3000);
-        this.loadRaces();
+        // Any change to the mapping needs a fresh check before importing
+        group.querySelector('select').addEventListener('change', () => {
+          this.buttons.commitImport.disabled = true;
+        });
         
-      } catch (error) {
-        console.error('Delete race error:', error);
-        showNotification('Failed to delete race', 3000);
+        container.appendChild(group);
+      });
+      
+      this.elements.importMapping.classList.remove('hidden');
+    }
+    
+    /**
+     * Read the column mapping from the pickers
+     * @returns {Object} Map of entrant field to CSV header
+     */
+    readImportMapping() {
+      const mapping = {};
+      this.elements.importMappingFields.querySelectorAll('select').forEach(select => {
+        if (select.value) {
+          mapping[select.dataset.field] = select.value;
+        }
+      });
+      return mapping;
+    }
+    
+    /**
+     * Show the row-by-row validation report
+     * @param {Object} report - The report returned by the import endpoint
+     */
+    renderImportReport(report) {
+      const container = this.elements.importReport;
+      container.innerHTML = '';
+      
+      const summary = document.createElement('div');
+      summary.className = `import-summary ${report.errors.length > 0 ? 'has-errors' : 'no-errors'}`;
+      summary.textContent = report.errors.length > 0
+        ? `${report.totalRows} rows checked, ${report.errors.length} problems found. Nothing has been imported.`
+        : `${report.validRows} entrants ready to import`;
+      container.appendChild(summary);
+      
+      if (report.errors.length > 0) {
+        const table = document.createElement('table');
+        table.innerHTML = `
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>Problem</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${report.errors.map(error => `
+              <tr>
+                <td>${error.row}</td>
+                <td>${this.escapeHtml(error.message)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        `;
+        container.appendChild(table);
       }
+      
+      this.buttons.commitImport.disabled = report.errors.length > 0 || report.validRows === 0;
     }
     
     /**
@@ -732,45 +4469,31 @@ document.addEventListener('DOMContentLoaded', () => {
         const race = await raceResponse.json();
         this.currentRaceId = raceId; // Store the current race ID
         
-        // Fetch race results
-        const resultsResponse = await fetch(`/api/races/${raceId}/results`);
-        
-        if (!resultsResponse.ok) {
-          throw new Error('Failed to load race results');
+        // Reloading the same race, as after a correction, stays on the page being looked at
+        const page = this.resultsRaceId === raceId && this.resultsList ? this.resultsList.page : 1;
+        if (this.resultsRaceId !== raceId) {
+          this.elements.resultsCategoryFilter.value = '';
         }
-        
-        const results = await resultsResponse.json();
+        this.resultsRaceId = raceId;
         
         // Update the race name display
         this.elements.resultsRaceName.textContent = race.name;
+        const course = [this.formatDistance(race.distance, race.distanceUnit), race.courseType, race.description].filter(Boolean);
+        this.elements.resultsCourse.textContent = course.join(' · ');
+        this.elements.resultsCourse.classList.toggle('hidden', course.length === 0);
+        this.resultsDistanceUnit = race.distanceUnit;
+        this.elements.resultsDistance.classList.toggle('hidden', Boolean(race.distance));
+        this.buttons.setStatus.classList.toggle('hidden', !this.canControlRace(raceId));
         
         // Clear the results container
         this.elements.resultsTableContainer.innerHTML = '';
         
-        if (results.length === 0) {
-          this.elements.resultsTableContainer.innerHTML = '<p>No results available for this race</p>';
-        } else {
-          // Sort results by race time (ascending)
-          const sortedResults = [...results].sort((a, b) => a.raceTime - b.raceTime);
-          
-          // Create pagination controls and table container
-          const resultsContainer = document.createElement('div');
-          resultsContainer.className = 'results-container';
-          
-          // Add total runners count
-          const totalRunners = document.createElement('div');
-          totalRunners.className = 'total-runners';
-          totalRunners.textContent = `Total Runners: ${sortedResults.length}`;
-          resultsContainer.appendChild(totalRunners);
-          
-          // Create the results table with pagination
-          this.createPaginatedResultsTable(resultsContainer, sortedResults);
-          
-          this.elements.resultsTableContainer.appendChild(resultsContainer);
+        if (!await this.loadResultsPage(page)) {
+          return;
         }
         
-        // Add delete button if race is completed
-        if (race.status === 'completed') {
+        // Add delete button if race is over
+        if (this.hasRole('director') && ['completed', 'published'].includes(race.status)) {
           const deleteButtonContainer = document.createElement('div');
           deleteButtonContainer.className = 'delete-button-container';
           
@@ -794,19 +4517,210 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
     
+    /**
+     * Fetch a page of the current race's results with the chosen gender and category filters and sort order
+     * The server filters, sorts and pages the results, non-finishers always following the finishers.
+     * @param {number} page - The page to show
+     * @param {number|null} runnerNumber - A runner to find, showing the page they are on instead
+     * @returns {Promise<boolean>} Whether the results were loaded
+     */
+    async loadResultsPage(page, runnerNumber = null) {
+      try {
+        const query = new URLSearchParams({ sort: this.elements.resultsSort.value, page, limit: RESULTS_PAGE_SIZE });
+        if (this.elements.resultsGenderFilter.value) query.set('gender', this.elements.resultsGenderFilter.value);
+        if (this.elements.resultsCategoryFilter.value) query.set('category', this.elements.resultsCategoryFilter.value);
+        if (runnerNumber !== null) query.set('find', runnerNumber);
+        
+        const response = await fetch(`/api/races/${this.resultsRaceId}/results?${query}`);
+        
+        if (!response.ok) {
+          throw new Error('Failed to load race results');
+        }
+        
+        const list = await response.json();
+        
+        // Filters can leave fewer pages than the one asked for
+        const pages = Math.max(1, Math.ceil(list.total / list.limit));
+        if (list.results.length === 0 && list.page > pages) {
+          return this.loadResultsPage(pages);
+        }
+        
+        this.resultsList = list;
+        
+        // Offer the categories that appear in this race's results
+        const categoryFilter = this.elements.resultsCategoryFilter;
+        const selectedCategory = categoryFilter.value;
+        categoryFilter.innerHTML = '<option value="">All</option>' +
+          list.categories.map(category => `<option value="${this.escapeHtml(category)}">${this.escapeHtml(category)}</option>`).join('');
+        categoryFilter.value = list.categories.includes(selectedCategory) ? selectedCategory : '';
+        
+        // Flag bibs whose devices disagree and still need a decision
+        const needsReview = list.needsReview;
+        this.elements.resultsReview.classList.toggle('hidden', needsReview === 0);
+        this.elements.resultsReviewText.textContent =
+          `${needsReview} bib${needsReview === 1 ? ' has' : 's have'} conflicting times from different devices. These results are not final.`;
+        
+        this.renderResults();
+        
+        if (runnerNumber !== null) {
+          this.highlightResult(runnerNumber);
+        }
+        return true;
+        
+      } catch (error) {
+        console.error('Load results page error:', error);
+        showNotification('Failed to load race results', 3000);
+        return false;
+      }
+    }
+    
+    /**
+     * Highlight a runner's row on the current page of results, or say they weren't found
+     * @param {number} runnerNumber - The runner's bib
+     */
+    highlightResult(runnerNumber) {
+      const row = this.resultsList.found
+        ? this.elements.resultsTableContainer.querySelector(`tr[data-runner-number="${runnerNumber}"]`)
+        : null;
+      
+      if (!row) {
+        showNotification(`Runner ${runnerNumber} not found`, 3000);
+        return;
+      }
+      
+      row.classList.add('highlighted');
+      setTimeout(() => {
+        row.classList.remove('highlighted');
+      }, 3000);
+    }
+    
+    /**
+     * Render the loaded page of results
+     */
+    renderResults() {
+      const list = this.resultsList;
+      
+      // Keep the delete button, which follows the table, when redrawing
+      const container = this.elements.resultsTableContainer;
+      const previous = container.querySelector('.results-container, .no-results');
+      if (previous) previous.remove();
+      
+      if (list.total === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'no-results';
+        empty.textContent = list.raceTotal === 0
+          ? 'No results available for this race'
+          : 'No results match these filters';
+        container.prepend(empty);
+        return;
+      }
+      
+      // Create pagination controls and table container
+      const resultsContainer = document.createElement('div');
+      resultsContainer.className = 'results-container';
+      
+      // Add total runners count
+      const totalRunners = document.createElement('div');
+      totalRunners.className = 'total-runners';
+      totalRunners.textContent = list.total === list.raceTotal
+        ? `Total Runners: ${list.total}`
+        : `Showing ${list.total} of ${list.raceTotal} runners`;
+      resultsContainer.appendChild(totalRunners);
+      
+      // The pagination controls are looked up by ID, so the container must be in the page first
+      container.prepend(resultsContainer);
+      
+      // Create the results table with pagination
+      this.createPaginatedResultsTable(resultsContainer, list);
+    }
+    
+    /**
+     * Ask for the current race's distance, which age grades and paces are calculated from
+     */
+    async setRaceDistance() {
+      const answer = prompt('Race distance in kilometres:');
+      
+      if (answer === null) {
+        return;
+      }
+      
+      const kilometres = parseFloat(answer);
+      if (!(kilometres > 0)) {
+        showNotification('Enter the distance in kilometres, such as 10 or 21.1', 3000);
+        return;
+      }
+      
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/distance`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ distance: kilometres, distanceUnit: 'km' })
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to set the distance');
+        }
+        
+        showNotification('Distance saved', 3000);
+        await this.loadRaceResults(this.currentRaceId);
+      
+      } catch (error) {
+        console.error('Set distance error:', error);
+        showNotification(error.message || 'Failed to set the distance', 3000);
+      }
+    }
+    
+    /**
+     * Show the live leaderboard for a race
+     * @param {number} raceId - The ID of the race to follow
+     */
+    showLeaderboard(raceId) {
+      this.currentRaceId = raceId;
+      this.showScreen('leaderboard-screen');
+      this.leaderboard.open(raceId);
+    }
+    
+    /**
+     * Download or open the current race's results in an export format
+     * @param {string} format - One of csv, json or html
+     */
+    exportResults(format) {
+      if (!this.currentRaceId) {
+        showNotification('No race selected', 3000);
+        return;
+      }
+      
+      if (!window.offlineStorage.isDeviceOnline()) {
+        showNotification('Cannot export results while offline', 3000);
+        return;
+      }
+      
+      const url = `/api/races/${this.currentRaceId}/results?format=${format}`;
+      
+      if (format === 'html') {
+        // The printable sheet opens in its own tab
+        window.open(url, '_blank');
+      } else {
+        // CSV and JSON are sent as attachments, so the browser downloads them
+        window.location.href = url;
+      }
+    }
+    
     /**
      * Create a paginated results table
+     * Only the page the server sent is held, so moving between pages or finding a runner fetches another.
      * @param {HTMLElement} container - The container to append the table to
-     * @param {Array} results - The results to display
-     * @param {number} itemsPerPage - Number of items per page (default: 25)
+     * @param {Object} list - A page of results from the server, with results, total, page and limit
      */
-    createPaginatedResultsTable(container, results, itemsPerPage = 25) {
+    createPaginatedResultsTable(container, list) {
       // Store the data and pagination state
       const paginationState = {
-        results,
-        currentPage: 1,
-        itemsPerPage,
-        totalPages: Math.ceil(results.length / itemsPerPage)
+        results: list.results,
+        currentPage: list.page,
+        totalPages: Math.max(1, Math.ceil(list.total / list.limit))
       };
       
       // Create the table element
@@ -816,9 +4730,15 @@ document.addEventListener('DOMContentLoaded', () => {
         <thead>
           <tr>
             <th>Position</th>
+            <th>Bib</th>
             <th>Runner</th>
+            <th>Gender</th>
+            <th>Category</th>
             <th>Race Time</th>
+            <th>Pace</th>
+            <th>Age Grade</th>
             <th>Finish Time</th>
+            <th></th>
           </tr>
         </thead>
         <tbody></tbody>
@@ -852,30 +4772,94 @@ document.addEventListener('DOMContentLoaded', () => {
       paginationControls.appendChild(paginationNav);
       container.appendChild(paginationControls);
       
+      // Speeds are shown in miles per hour for races measured in miles
+      const inMiles = this.resultsDistanceUnit === 'mi';
+      
+      // Only race directors can correct results; marshals on the race can also set runner statuses
+      const canEdit = this.hasRole('director');
+      const canSetStatus = this.canControlRace(this.currentRaceId);
+      
       // Function to render the current page
       const renderPage = (state) => {
         const tbody = table.querySelector('tbody');
         tbody.innerHTML = '';
         
-        const startIndex = (state.currentPage - 1) * state.itemsPerPage;
-        const endIndex = Math.min(startIndex + state.itemsPerPage, state.results.length);
-        
-        for (let i = startIndex; i < endIndex; i++) {
-          const result = state.results[i];
-          const position = i + 1;
-          const raceTimeFormatted = this.formatTimeDisplay(result.raceTime);
-          const finishTimeFormatted = new Date(result.finishTime).toLocaleTimeString();
+        state.results.forEach(result => {
+          const raceTimeFormatted = result.status ? '' : this.formatTimeDisplay(result.raceTime);
+          const finishTimeFormatted = result.finishTime ? new Date(result.finishTime).toLocaleTimeString() : '';
           
           const row = document.createElement('tr');
+          row.dataset.runnerNumber = result.runnerNumber;
+          if (result.needsReview) row.classList.add('needs-review');
+          if (result.status) row.classList.add('non-finisher');
+          if (result.missedTimingPoints && result.missedTimingPoints.length > 0) row.classList.add('missed-timing-point');
           row.innerHTML = `
-            <td>${position}</td>
+            <td>${result.status ? `<span class="result-status" title="${RUNNER_STATUSES[result.status]}">${result.status}</span>` : result.position}</td>
             <td>${result.runnerNumber}</td>
-            <td>${raceTimeFormatted}</td>
+            <td>
+              ${result.runnerId
+                ? `<a href="#" class="runner-link">${this.escapeHtml(result.name)}</a>`
+                : result.name ? this.escapeHtml(result.name) : `Runner ${result.runnerNumber}`}
+              ${result.club ? `<div class="runner-club">${this.escapeHtml(result.club)}</div>` : ''}
+              ${result.wave ? `<div class="runner-wave">${this.escapeHtml(result.wave)}</div>` : ''}
+              ${result.note ? `<div class="result-note">${this.escapeHtml(result.note)}</div>` : ''}
+              ${result.status ? `<div class="result-note">${RUNNER_STATUSES[result.status]}${result.statusReason ? `: ${this.escapeHtml(result.statusReason)}` : ''}</div>` : ''}
+              ${result.missedTimingPoints && result.missedTimingPoints.length > 0
+                ? `<div class="result-missed">Missed ${this.escapeHtml(result.missedTimingPoints.join(', '))}</div>`
+                : ''}
+            </td>
+            <td>${result.gender || ''}${result.genderPosition ? ` (${result.genderPosition})` : ''}</td>
+            <td>${result.category ? this.escapeHtml(result.category) : ''}${result.categoryPosition ? ` (${result.categoryPosition})` : ''}</td>
+            <td>
+              ${raceTimeFormatted}
+              ${this.renderSplits(result.splits)}
+            </td>
+            <td>
+              ${result.pacePerKm ? `
+                <div>${this.formatPace(result.pacePerKm)}/km</div>
+                <div>${this.formatPace(result.pacePerMile)}/mi</div>
+                <div class="result-speed">${inMiles ? `${result.speedMph.toFixed(2)} mph` : `${result.speedKph.toFixed(2)} km/h`}</div>
+              ` : ''}
+            </td>
+            <td>${result.ageGrade !== null && result.ageGrade !== undefined ? `${result.ageGrade.toFixed(2)}%` : ''}</td>
             <td>${finishTimeFormatted}</td>
+            <td class="table-actions">
+              ${canEdit && !result.status ? `
+                <button class="secondary-button edit-result">Edit</button>
+                <button class="secondary-button result-history">History</button>
+                <button class="danger-button delete-result">Delete</button>
+              ` : ''}
+              ${canSetStatus ? `
+                <button class="secondary-button result-status-button">${result.status ? 'Clear Status' : 'Status'}</button>
+              ` : ''}
+            </td>
           `;
           
+          if (result.runnerId) {
+            row.querySelector('.runner-link').addEventListener('click', event => {
+              event.preventDefault();
+              this.loadRunnerProfile(result.runnerId);
+            });
+          }
+          
+          if (canSetStatus) {
+            row.querySelector('.result-status-button').addEventListener('click', () => {
+              if (result.status) {
+                this.clearRunnerStatus(result);
+              } else {
+                this.showRunnerStatusForm(result.runnerNumber, (runnerNumber, runnerStatus) => this.updateRunnerStatus(runnerNumber, runnerStatus));
+              }
+            });
+          }
+          
+          if (canEdit && !result.status) {
+            row.querySelector('.edit-result').addEventListener('click', () => this.editResultRow(row, result));
+            row.querySelector('.result-history').addEventListener('click', () => this.showResultHistory(result));
+            row.querySelector('.delete-result').addEventListener('click', () => this.deleteResult(result));
+          }
+          
           tbody.appendChild(row);
-        }
+        });
         
         // Update pagination controls
         document.getElementById('page-indicator').textContent = `Page ${state.currentPage} of ${state.totalPages}`;
@@ -889,55 +4873,283 @@ document.addEventListener('DOMContentLoaded', () => {
       // Add event listeners for pagination
       document.getElementById('prev-page').addEventListener('click', () => {
         if (paginationState.currentPage > 1) {
-          paginationState.currentPage--;
-          renderPage(paginationState);
+          this.loadResultsPage(paginationState.currentPage - 1);
         }
       });
       
       document.getElementById('next-page').addEventListener('click', () => {
         if (paginationState.currentPage < paginationState.totalPages) {
-          paginationState.currentPage++;
-          renderPage(paginationState);
+          this.loadResultsPage(paginationState.currentPage + 1);
         }
       });
       
-      // Add event listener for search
+      // Add event listener for search; the server finds the page the runner is on
       document.getElementById('search-button').addEventListener('click', () => {
         const searchInput = document.getElementById('runner-search');
         const runnerNumber = parseInt(searchInput.value);
         
         if (!isNaN(runnerNumber) && runnerNumber > 0) {
-          // Find the runner in the results
-          const runnerIndex = results.findIndex(result => result.runnerNumber === runnerNumber);
-          
-          if (runnerIndex >= 0) {
-            // Calculate the page the runner is on
-            const runnerPage = Math.floor(runnerIndex / paginationState.itemsPerPage) + 1;
-            paginationState.currentPage = runnerPage;
-            renderPage(paginationState);
-            
-            // Highlight the row
-            setTimeout(() => {
-              const tbody = table.querySelector('tbody');
-              const rows = tbody.querySelectorAll('tr');
-              const rowIndex = runnerIndex % paginationState.itemsPerPage;
-              
-              if (rows[rowIndex]) {
-                rows[rowIndex].classList.add('highlighted');
-                setTimeout(() => {
-                  rows[rowIndex].classList.remove('highlighted');
-                }, 3000);
-              }
-            }, 100);
-          } else {
-            showNotification(`Runner ${runnerNumber} not found`, 3000);
-          }
+          this.loadResultsPage(paginationState.currentPage, runnerNumber);
         } else {
           showNotification('Please enter a valid runner number', 3000);
         }
       });
     }
     
+    /**
+     * Show the form for adding a finish that was missed at the line
+     */
+    showManualResultForm() {
+      this.forms.manualResult.reset();
+      this.forms.manualResult.classList.remove('hidden');
+      document.getElementById('manual-bib').focus();
+    }
+    
+    /**
+     * Add a missed finish from the manual result form
+     */
+    async addManualResult() {
+      const raceTime = this.parseTimeInput(document.getElementById('manual-race-time').value);
+      
+      if (raceTime === null) {
+        showNotification('Enter the race time as h:mm:ss or mm:ss', 3000);
+        return;
+      }
+      
+      await this.saveResultChange(`/api/races/${this.currentRaceId}/results/manual`, 'POST', {
+        runnerNumber: parseInt(document.getElementById('manual-bib').value),
+        raceTime,
+        note: document.getElementById('manual-note').value,
+        reason: document.getElementById('manual-reason').value
+      }, 'Finish added');
+    }
+    
+    /**
+     * Turn a results table row into inputs for correcting the result
+     * @param {HTMLElement} row - The table row
+     * @param {Object} result - The result shown in the row
+     */
+    editResultRow(row, result) {
+      row.innerHTML = `
+        <td>${result.position}</td>
+        <td><input type="number" class="edit-bib" min="1" value="${result.runnerNumber}"></td>
+        <td>
+          <input type="text" class="edit-note" placeholder="Note" value="${this.escapeHtml(result.note || '')}">
+          <input type="text" class="edit-reason" placeholder="Reason for the change">
+        </td>
+        <td></td>
+        <td></td>
+        <td><input type="text" class="edit-time" value="${result.raceTime !== null ? this.raceTimer.formatTime(result.raceTime) : ''}"></td>
+        <td></td>
+        <td></td>
+        <td>${new Date(result.finishTime).toLocaleTimeString()}</td>
+        <td class="table-actions">
+          <button class="primary-button save-result">Save</button>
+          <button class="secondary-button cancel-result">Cancel</button>
+        </td>
+      `;
+      
+      row.querySelector('.save-result').addEventListener('click', () => {
+        const changes = {
+          runnerNumber: parseInt(row.querySelector('.edit-bib').value),
+          note: row.querySelector('.edit-note').value,
+          reason: row.querySelector('.edit-reason').value
+        };
+        
+        // Only send the time if it was changed, so an unchanged time keeps its milliseconds
+        const timeText = row.querySelector('.edit-time').value;
+        if (result.raceTime === null || timeText !== this.raceTimer.formatTime(result.raceTime)) {
+          changes.raceTime = this.parseTimeInput(timeText);
+          if (changes.raceTime === null) {
+            showNotification('Enter the race time as h:mm:ss or mm:ss', 3000);
+            return;
+          }
+        }
+        
+        this.saveResultChange(`/api/races/${this.currentRaceId}/results/${result.id}`, 'PUT', changes, 'Result updated');
+      });
+      row.querySelector('.cancel-result').addEventListener('click', () => this.loadRaceResults(this.currentRaceId));
+    }
+    
+    /**
+     * Delete a single result after asking why
+     * @param {Object} result - The result to delete
+     */
+    async deleteResult(result) {
+      const reason = prompt(`Why is the result for runner ${result.runnerNumber} being deleted?`);
+      
+      if (reason === null) {
+        return;
+      }
+      
+      await this.saveResultChange(`/api/races/${this.currentRaceId}/results/${result.id}`, 'DELETE', { reason }, 'Result deleted');
+    }
+    
+    /**
+     * Send a result correction to the server and reload the results
+     * @param {string} url - The result route
+     * @param {string} method - The HTTP method
+     * @param {Object} body - The change
+     * @param {string} successMessage - The notification to show once saved
+     */
+    async saveResultChange(url, method, body, successMessage) {
+      try {
+        // Check if we're online first
+        if (!window.offlineStorage.isDeviceOnline()) {
+          showNotification('Cannot change results while offline', 3000);
+          return;
+        }
+        
+        const response = await fetch(url, {
+          method,
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(body)
+        });
+        
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to save the change');
+        }
+        
+        showNotification(successMessage, 3000);
+        this.forms.manualResult.classList.add('hidden');
+        await this.loadRaceResults(this.currentRaceId);
+        
+      } catch (error) {
+        console.error('Result change error:', error);
+        showNotification(error.message || 'Failed to save the change', 3000);
+      }
+    }
+    
+    /**
+     * Show every recorded change to a result
+     * @param {Object} result - The result to show the history of
+     */
+    async showResultHistory(result) {
+      try {
+        const response = await fetch(`/api/races/${this.currentRaceId}/results/${result.id}/history`);
+        
+        if (!response.ok) {
+          throw new Error('Failed to load history');
+        }
+        
+        const history = await response.json();
+        const describe = snapshot => snapshot
+          ? `Bib ${snapshot.runnerNumber}, ${new Date(snapshot.finishTime).toLocaleTimeString()}` +
+            (snapshot.note ? `, "${this.escapeHtml(snapshot.note)}"` : '')
+          : '';
+        const actions = { create: 'Added manually', update: 'Changed', delete: 'Deleted' };
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        
+        const modal = document.createElement('div');
+        modal.className = 'modal-container';
+        modal.innerHTML = `
+          <h3>History for Runner ${result.runnerNumber}</h3>
+          <div class="history-list">
+            ${history.length === 0 ? '<p>This result has not been changed since it was uploaded.</p>' : ''}
+            ${history.map(entry => `
+              <div class="history-entry">
+                <div><strong>${actions[entry.action] || entry.action}</strong></div>
+                ${entry.before ? `<div>From: ${describe(entry.before)}</div>` : ''}
+                ${entry.after ? `<div>To: ${describe(entry.after)}</div>` : ''}
+                ${entry.reason ? `<div>Reason: ${this.escapeHtml(entry.reason)}</div>` : ''}
+                <div class="history-meta">
+                  ${new Date(entry.changedAt).toLocaleString()} by ${this.escapeHtml(entry.changedBy || 'unknown')}
+                </div>
+              </div>
+            `).join('')}
+          </div>
+          <div class="modal-buttons">
+            <button class="secondary-button close-history">Close</button>
+          </div>
+        `;
+        
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+        
+        modal.querySelector('.close-history').addEventListener('click', () => {
+          document.body.removeChild(overlay);
+        });
+        
+      } catch (error) {
+        console.error('Result history error:', error);
+        showNotification('Failed to load history', 3000);
+      }
+    }
+    
+    /**
+     * Parse a race time typed as h:mm:ss or mm:ss, with optional fractions of a second
+     * @param {string} text - The typed time
+     * @returns {number|null} The time in milliseconds, or null if it can't be read
+     */
+    parseTimeInput(text) {
+      const parts = String(text).trim().split(':');
+      if (parts.length < 2 || parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+        return null;
+      }
+      
+      const seconds = parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+      return Math.round(seconds * 1000);
+    }
+    
+    /**
+     * Escape a value for safe insertion into HTML
+     * @param {string} value - The raw text
+     * @returns {string} The escaped text
+     */
+    escapeHtml(value) {
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Render a runner's splits for the results table, each with its cumulative and lap time
+     * @param {Array} splits - The splits from the results API, ending with the finish
+     * @returns {string} The splits' HTML, or nothing in races without timing points
+     */
+    renderSplits(splits) {
+      if (!splits || splits.length === 0) return '';
+      
+      return `<div class="result-splits">${splits.map(split => `
+        <div>${this.escapeHtml(split.name)}: ${this.formatTimeDisplay(split.time)} (lap ${this.formatTimeDisplay(split.lapTime)})</div>
+      `).join('')}</div>`;
+    }
+    
+    /**
+     * Format a pace as minutes and seconds
+     * @param {number|null} paceInMs - Time in milliseconds per km or mile
+     * @returns {string} The pace, such as '4:05'
+     */
+    formatPace(paceInMs) {
+      if (paceInMs === null || paceInMs === undefined) return '';
+      
+      const totalSeconds = Math.round(paceInMs / 1000);
+      const minutes = Math.floor(totalSeconds / 60);
+      const seconds = totalSeconds % 60;
+      return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Describe a race distance in the unit it was set in
+     * @param {number|null} distance - The distance in metres
+     * @param {string|null} unit - 'm', 'km' or 'mi'
+     * @returns {string} The distance, such as '10 km', or '' without one
+     */
+    formatDistance(distance, unit) {
+      if (!distance) return '';
+      
+      const metres = { m: 1, km: 1000, mi: 1609.344 }[unit] || 1;
+      return `${Math.round(distance / metres * 100) / 100} ${unit || 'm'}`;
+    }
+    
     /**
      * Format time in milliseconds to a readable format
      * @param {number} timeInMs - Time in milliseconds
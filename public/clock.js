@@ -0,0 +1,108 @@
+/**
+ * Clock Sync
+ * Measures the offset between this device's clock and the server's clock
+ */
+class ClockSync {
+    constructor() {
+      this.storageKey = 'clock-calibration';
+      this.warningThreshold = 1000; // Warn when the clock is out by more than a second
+      this.sampleCount = 5;
+      
+      // Keep the last calibration so devices that go offline still report an offset
+      const saved = localStorage.getItem(this.storageKey);
+      this.calibration = saved ? JSON.parse(saved) : null;
+      
+      window.addEventListener('online', () => this.calibrate());
+      if (navigator.onLine) {
+        this.calibrate();
+      }
+    }
+    
+    /**
+     * Measure the clock offset with several NTP-style round trips to the server
+     * The offset is server time minus the device time halfway through the round trip.
+     * The sample with the shortest round trip is kept, and half of that round trip
+     * is the uncertainty of the measurement.
+     * @returns {Promise<Object|null>} The calibration, or the previous one if the server can't be reached
+     */
+    async calibrate() {
+      const samples = [];
+      
+      for (let i = 0; i < this.sampleCount; i++) {
+        try {
+          const sentAt = Date.now();
+          const response = await fetch('/api/time', { cache: 'no-store' });
+          const receivedAt = Date.now();
+          
+          if (!response.ok) continue;
+          
+          const { serverTime } = await response.json();
+          samples.push({
+            offset: serverTime - (sentAt + receivedAt) / 2,
+            roundTrip: receivedAt - sentAt
+          });
+        } catch (error) {
+          break;
+        }
+      }
+      
+      if (samples.length === 0) {
+        return this.calibration;
+      }
+      
+      const best = samples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+      this.calibration = {
+        offset: Math.round(best.offset),
+        uncertainty: Math.ceil(best.roundTrip / 2),
+        measuredAt: Date.now()
+      };
+      
+      localStorage.setItem(this.storageKey, JSON.stringify(this.calibration));
+      document.dispatchEvent(new CustomEvent('clockcalibrated', { detail: this.calibration }));
+      
+      return this.calibration;
+    }
+    
+    /**
+     * Get the offset and uncertainty to attach to a timestamp recorded on this device
+     * @returns {Object} clockOffset and clockUncertainty in milliseconds, null if never calibrated
+     */
+    getTimestampInfo() {
+      return {
+        clockOffset: this.calibration ? this.calibration.offset : null,
+        clockUncertainty: this.calibration ? this.calibration.uncertainty : null
+      };
+    }
+    
+    /**
+     * Convert a server timestamp to this device's clock
+     * @param {number} serverTime - Time in milliseconds on the server clock
+     * @returns {number} The same moment on this device's clock
+     */
+    toDeviceTime(serverTime) {
+      return serverTime - (this.calibration ? this.calibration.offset : 0);
+    }
+    
+    /**
+     * Describe a clock problem worth warning the marshal about
+     * @returns {string|null} The warning text, or null if the clock looks fine
+     */
+    getWarning() {
+      if (!this.calibration) {
+        return 'This device\'s clock has not been checked against the server yet.';
+      }
+      
+      const { offset, uncertainty } = this.calibration;
+      if (Math.abs(offset) <= this.warningThreshold) {
+        return null;
+      }
+      
+      const seconds = (Math.abs(offset) / 1000).toFixed(1);
+      const direction = offset > 0 ? 'behind' : 'ahead of';
+      return `This device's clock is ${seconds}s ${direction} the server (±${uncertainty}ms). ` +
+             'Finish times will be corrected when they are uploaded.';
+    }
+  }
+  
+  // Initialize clock sync
+  window.clockSync = new ClockSync();
@@ -0,0 +1,177 @@
+/**
+ * Race Journal
+ * Persists unsynced race events for any number of races in IndexedDB
+ */
+class RaceJournal {
+    constructor(dbName = 'race-control-journal') {
+      this.dbName = dbName;
+      this.storeName = 'entries';
+      this.dbPromise = null;
+    }
+    
+    /**
+     * Open the journal database, creating it on first use
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    open() {
+      if (!this.dbPromise) {
+        this.dbPromise = new Promise((resolve, reject) => {
+          const request = indexedDB.open(this.dbName, 1);
+          
+          request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(this.storeName, { keyPath: 'entryId' });
+            store.createIndex('raceId', 'raceId');
+          };
+          
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      
+      return this.dbPromise;
+    }
+    
+    /**
+     * Run work against the entries store inside a single transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the object store and may return a request whose result is wanted
+     * @returns {Promise<*>} The result of the returned request, once the transaction completes
+     */
+    async withStore(mode, work) {
+      const db = await this.open();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(this.storeName, mode);
+        const request = work(transaction.objectStore(this.storeName));
+        
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+    
+    /**
+     * Add an event to a race's journal
+     * @param {number} raceId - The race the event belongs to
+     * @param {string} type - The event type: 'start', 'waveStart', 'finish', 'split', 'runnerStatus', 'end', 'pairTime' or 'pairBib'
+     * @param {Object} data - The event payload
+     * @param {string} raceName - The race name, for display in the sync panel
+     * @returns {Promise<Object>} The stored journal entry
+     */
+    async add(raceId, type, data, raceName = '') {
+      const entry = {
+        entryId: generateUuid(),
+        raceId: Number(raceId),
+        raceName,
+        type,
+        data,
+        recordedAt: Date.now()
+      };
+      
+      await this.withStore('readwrite', store => {
+        store.put(entry);
+      });
+      
+      return entry;
+    }
+    
+    /**
+     * Save changes to an existing entry
+     * @param {Object} entry - The updated journal entry
+     */
+    async update(entry) {
+      await this.withStore('readwrite', store => {
+        store.put(entry);
+      });
+    }
+    
+    /**
+     * Get the journal entries for one race, oldest first
+     * @param {number} raceId - The race ID
+     * @returns {Promise<Array>} The race's entries
+     */
+    async getEntries(raceId) {
+      const entries = await this.withStore('readonly', store => {
+        return store.index('raceId').getAll(Number(raceId));
+      });
+      
+      return entries.sort((a, b) => a.recordedAt - b.recordedAt);
+    }
+    
+    /**
+     * Get every journal entry across all races, oldest first
+     * @returns {Promise<Array>} All entries
+     */
+    async getAllEntries() {
+      const entries = await this.withStore('readonly', store => store.getAll());
+      return entries.sort((a, b) => a.recordedAt - b.recordedAt);
+    }
+    
+    /**
+     * Remove specific entries, typically once they have been synced
+     * @param {Array<string>} entryIds - The IDs of the entries to remove
+     */
+    async remove(entryIds) {
+      if (entryIds.length === 0) return;
+      
+      await this.withStore('readwrite', store => {
+        entryIds.forEach(entryId => store.delete(entryId));
+      });
+    }
+    
+    /**
+     * Remove a race's entries, optionally only those of one type
+     * @param {number} raceId - The race ID
+     * @param {string} type - Optional event type to limit the removal to
+     */
+    async clearRace(raceId, type = null) {
+      const entries = await this.getEntries(raceId);
+      await this.remove(
+        entries.filter(entry => !type || entry.type === type).map(entry => entry.entryId)
+      );
+    }
+    
+    /**
+     * Summarise pending entries per race
+     * @returns {Promise<Array>} One summary per race with counts of each event type
+     */
+    async getSummary() {
+      const entries = await this.getAllEntries();
+      const summaries = new Map();
+      
+      entries.forEach(entry => {
+        if (!summaries.has(entry.raceId)) {
+          summaries.set(entry.raceId, {
+            raceId: entry.raceId,
+            raceName: entry.raceName,
+            starts: 0,
+            waveStarts: 0,
+            finishes: 0,
+            unassigned: 0,
+            splits: 0,
+            statuses: 0,
+            ends: 0,
+            pairTimes: 0,
+            pairBibs: 0
+          });
+        }
+        
+        const summary = summaries.get(entry.raceId);
+        if (entry.raceName) summary.raceName = entry.raceName;
+        if (entry.type === 'start') summary.starts++;
+        if (entry.type === 'waveStart') summary.waveStarts++;
+        if (entry.type === 'finish' && entry.data.runnerNumber) summary.finishes++;
+        if (entry.type === 'finish' && !entry.data.runnerNumber) summary.unassigned++;
+        if (entry.type === 'split') summary.splits++;
+        if (entry.type === 'runnerStatus') summary.statuses++;
+        if (entry.type === 'end') summary.ends++;
+        if (entry.type === 'pairTime') summary.pairTimes++;
+        if (entry.type === 'pairBib') summary.pairBibs++;
+      });
+      
+      return Array.from(summaries.values());
+    }
+  }
+  
+  // Export the journal
+  window.RaceJournal = RaceJournal;
@@ -0,0 +1,195 @@
+/**
+ * Live Leaderboard
+ * Follows a race's live feed and keeps a read-only leaderboard up to date
+ */
+class LiveLeaderboard {
+    constructor(elements, formatTime) {
+      this.elements = elements;
+      this.formatTime = formatTime;
+      this.raceId = null;
+      this.race = null;
+      this.results = new Map(); // Keyed by bib, as the feed sends one result per runner
+      this.source = null;
+      this.retryTimer = null;
+      this.retryDelay = 1000;
+      this.maxRetryDelay = 30000;
+      this.clockInterval = null;
+      this.latestRunner = null;
+    }
+    
+    /**
+     * Start following a race
+     * @param {number} raceId - The race to follow
+     */
+    open(raceId) {
+      this.close();
+      this.raceId = raceId;
+      this.race = null;
+      this.results = new Map();
+      this.render();
+      this.connect();
+      
+      this.clockInterval = setInterval(() => this.updateClock(), 1000);
+    }
+    
+    /**
+     * Stop following the race and drop the connection
+     */
+    close() {
+      if (this.source) {
+        this.source.close();
+        this.source = null;
+      }
+      clearTimeout(this.retryTimer);
+      clearInterval(this.clockInterval);
+      this.retryTimer = null;
+      this.clockInterval = null;
+    }
+    
+    /**
+     * Connect to the race's live feed
+     * Each connection opens with a snapshot, so a reconnection catches up on anything missed.
+     */
+    connect() {
+      this.setStatus('connecting');
+      
+      const source = new EventSource(`/api/races/${this.raceId}/live`);
+      this.source = source;
+      
+      source.addEventListener('open', () => {
+        this.retryDelay = 1000;
+        this.setStatus('live');
+      });
+      
+      source.addEventListener('snapshot', (e) => {
+        const { race, results } = JSON.parse(e.data);
+        this.race = race;
+        this.results = new Map(results.map(result => [result.runnerNumber, result]));
+        this.render();
+      });
+      
+      source.addEventListener('start', (e) => {
+        Object.assign(this.race, JSON.parse(e.data));
+        this.render();
+      });
+      
+      source.addEventListener('end', (e) => {
+        Object.assign(this.race, JSON.parse(e.data));
+        this.render();
+      });
+      
+      source.addEventListener('result', (e) => {
+        const result = JSON.parse(e.data);
+        this.results.set(result.runnerNumber, result);
+        this.latestRunner = result.runnerNumber;
+        this.render();
+      });
+      
+      source.addEventListener('error', () => {
+        this.setStatus('reconnecting');
+        
+        // The browser retries by itself unless the server refused the connection outright
+        if (source.readyState === EventSource.CLOSED && this.source === source) {
+          source.close();
+          this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+          this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+        }
+      });
+    }
+    
+    /**
+     * Show the state of the connection
+     * @param {string} status - 'connecting', 'live' or 'reconnecting'
+     */
+    setStatus(status) {
+      const labels = {
+        connecting: 'Connecting...',
+        live: 'Live',
+        reconnecting: 'Connection lost - reconnecting...'
+      };
+      
+      this.elements.status.textContent = labels[status];
+      this.elements.status.className = `live-status ${status}`;
+    }
+    
+    /**
+     * Show the elapsed race time, or the race state when it isn't running
+     */
+    updateClock() {
+      const clock = this.elements.clock;
+      
+      if (!this.race || !this.race.startTime) {
+        clock.textContent = this.race ? 'Not started' : '';
+        return;
+      }
+      
+      if (this.race.status === 'completed' || this.race.status === 'published') {
+        clock.textContent = 'Finished';
+        return;
+      }
+      
+      // Bring the server's start time onto this device's clock before measuring from it
+      const startTime = window.clockSync ? window.clockSync.toDeviceTime(this.race.startTime) : this.race.startTime;
+      clock.textContent = this.formatTime(Math.max(0, Date.now() - startTime));
+    }
+    
+    /**
+     * Render the leaderboard in race time order, as runners in later waves may finish after faster runners
+     */
+    render() {
+      this.elements.raceName.textContent = this.race ? this.race.name : '';
+      this.updateClock();
+      
+      const container = this.elements.table;
+      container.innerHTML = '';
+      
+      const results = Array.from(this.results.values())
+        .sort((a, b) => (a.raceTime === null) - (b.raceTime === null) || a.raceTime - b.raceTime || a.finishTime - b.finishTime);
+      
+      if (results.length === 0) {
+        container.innerHTML = '<p>No finishers yet</p>';
+        return;
+      }
+      
+      const table = document.createElement('table');
+      table.className = 'results-table leaderboard-table';
+      table.innerHTML = `
+        <thead>
+          <tr>
+            <th>Position</th>
+            <th>Bib</th>
+            <th>Runner</th>
+            <th>Race Time</th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      `;
+      
+      const tbody = table.querySelector('tbody');
+      
+      results.forEach((result, index) => {
+        const row = document.createElement('tr');
+        if (result.runnerNumber === this.latestRunner) row.classList.add('latest-result');
+        
+        // Non-finishers have no race time, so they sort to the end and show their status instead of a position
+        row.innerHTML = `
+          <td>${result.status || index + 1}</td>
+          <td>${result.runnerNumber}</td>
+          <td>
+            <span class="runner-name"></span>
+            <div class="runner-club"></div>
+          </td>
+          <td>${result.raceTime !== null ? this.formatTime(result.raceTime) : ''}${result.needsReview ? ' <span class="provisional">Provisional</span>' : ''}</td>
+        `;
+        row.querySelector('.runner-name').textContent = result.name || `Runner ${result.runnerNumber}`;
+        row.querySelector('.runner-club').textContent = result.club || '';
+        
+        tbody.appendChild(row);
+      });
+      
+      container.appendChild(table);
+    }
+  }
+  
+  // Export the leaderboard
+  window.LiveLeaderboard = LiveLeaderboard;
@@ -1,12 +1,19 @@
 /**
  * Offline Storage Manager
- * Handles local storage of race data when offline
+ * Journals race data per race while offline and syncs each race's queue
  */
+
+// Refusals meaning the race had already started or ended when a journaled start or end arrived
+const SUPERSEDED_EVENT_CODES = ['RACE_ALREADY_STARTED', 'RACE_ALREADY_ENDED', 'WAVE_ALREADY_STARTED'];
+
 class OfflineStorage {
     constructor() {
-      this.storageKey = 'race-control-data';
+      // Single-race localStorage slot used before the journal existed
+      this.legacyStorageKey = 'race-control-data';
+      this.journal = new RaceJournal();
       this.connectionStatusElement = document.getElementById('connection-status');
       this.syncStatusElement = document.getElementById('sync-status');
+      this.syncRaceListElement = document.getElementById('sync-race-list');
       
       // Generate a unique device ID if not already present
       this.deviceId = localStorage.getItem('device-id');
@@ -23,8 +30,8 @@ class OfflineStorage {
       window.addEventListener('online', () => this.handleConnectionChange(true));
       window.addEventListener('offline', () => this.handleConnectionChange(false));
       
-      // Check for any unsynchronized data on startup
-      this.checkUnsyncedData();
+      // Move any old single-race data into the journal, then check for unsynchronized data
+      this.ready = this.migrateLegacyData().then(() => this.checkUnsyncedData());
     }
   
     /**
@@ -44,6 +51,28 @@ class OfflineStorage {
       return this.deviceId;
     }
   
+    /**
+     * Import results left in the old localStorage slot into the journal
+     */
+    async migrateLegacyData() {
+      const data = localStorage.getItem(this.legacyStorageKey);
+      if (!data) return;
+      
+      try {
+        const legacy = JSON.parse(data);
+        for (const result of legacy.results || []) {
+          await this.journal.add(legacy.raceId, 'finish', {
+            clientId: result.clientId || generateUuid(),
+            runnerNumber: result.runnerNumber,
+            finishTime: result.finishTime
+          });
+        }
+        localStorage.removeItem(this.legacyStorageKey);
+      } catch (error) {
+        console.error('Legacy data migration error:', error);
+      }
+    }
+  
     /**
      * Handle connection status changes
      * @param {boolean} isOnline - Whether the device is online
@@ -56,6 +85,13 @@ class OfflineStorage {
       if (isOnline) {
         // Show notification
         showNotification(isOnline ? 'You are back online' : 'You are offline', 3000);
+        
+        // Replay anything journaled while offline
+        this.ready
+          .then(() => this.checkUnsyncedData())
+          .then(hasUnsyncedData => {
+            if (hasUnsyncedData) this.syncAll();
+          });
       }
     }
   
@@ -70,63 +106,205 @@ class OfflineStorage {
     }
   
     /**
-     * Check if there's any unsynced data and update UI accordingly
+     * Check if there's any unsynced data and update the sync panel accordingly
+     * @returns {Promise<boolean>} Whether any race has unsynced data
+     */
+    async checkUnsyncedData() {
+      const summaries = await this.journal.getSummary();
+      this.renderSyncPanel(summaries);
+      return summaries.length > 0;
+    }
+  
+    /**
+     * List pending data per race on the home screen
+     * @param {Array} summaries - Pending entry counts per race
      */
-    checkUnsyncedData() {
-      const data = this.getStoredData();
-      const hasUnsyncedData = data && data.results && data.results.length > 0;
+    renderSyncPanel(summaries) {
+      if (!this.syncStatusElement) return;
       
-      if (this.syncStatusElement) {
-        if (hasUnsyncedData && this.isOnline) {
-          this.syncStatusElement.classList.remove('hidden');
-        } else {
-          this.syncStatusElement.classList.add('hidden');
-        }
+      if (summaries.length === 0) {
+        this.syncStatusElement.classList.add('hidden');
+        return;
       }
       
-      return hasUnsyncedData;
+      this.syncStatusElement.classList.remove('hidden');
+      
+      if (!this.syncRaceListElement) return;
+      this.syncRaceListElement.innerHTML = '';
+      
+      summaries.forEach(summary => {
+        const parts = [];
+        if (summary.starts > 0) parts.push('race start');
+        if (summary.waveStarts > 0) parts.push(`${summary.waveStarts} wave start${summary.waveStarts === 1 ? '' : 's'}`);
+        if (summary.finishes > 0) parts.push(`${summary.finishes} finish${summary.finishes === 1 ? '' : 'es'}`);
+        if (summary.unassigned > 0) parts.push(`${summary.unassigned} without a bib`);
+        if (summary.splits > 0) parts.push(`${summary.splits} split${summary.splits === 1 ? '' : 's'}`);
+        if (summary.statuses > 0) parts.push(`${summary.statuses} runner status${summary.statuses === 1 ? '' : 'es'}`);
+        if (summary.pairTimes > 0) parts.push(`${summary.pairTimes} finish time${summary.pairTimes === 1 ? '' : 's'}`);
+        if (summary.pairBibs > 0) parts.push(`${summary.pairBibs} collected bib${summary.pairBibs === 1 ? '' : 's'}`);
+        if (summary.ends > 0) parts.push('race end');
+        
+        const item = document.createElement('div');
+        item.className = 'sync-race-item';
+        item.innerHTML = `
+          <div>
+            <strong></strong>
+            <div class="sync-race-detail">${parts.join(', ')}</div>
+          </div>
+          <button class="secondary-button" ${this.isOnline ? '' : 'disabled'}>Sync</button>
+        `;
+        item.querySelector('strong').textContent = summary.raceName || `Race ${summary.raceId}`;
+        item.querySelector('button').addEventListener('click', () => this.syncRace(summary.raceId));
+        
+        this.syncRaceListElement.appendChild(item);
+      });
     }
   
     /**
-     * Store race data locally
-     * @param {Object} raceData - The race data to store
+     * Store a race result in the race's journal
+     * @param {Object} result - The race result to store
+     * @param {string} raceName - The race name, for display in the sync panel
      */
-    storeRaceData(raceData) {
-      localStorage.setItem(this.storageKey, JSON.stringify(raceData));
-      this.checkUnsyncedData();
+    async storeResult(result, raceName = '') {
+      const { raceId, ...data } = result;
+      await this.journal.add(raceId, 'finish', data, raceName);
+      await this.checkUnsyncedData();
     }
   
     /**
-     * Get stored race data
-     * @returns {Object|null} The stored race data or null if none exists
+     * Store a split recorded at one of the race's timing points in the race's journal
+     * @param {Object} split - The split to store, with its raceId
+     * @param {string} raceName - The race name, for display in the sync panel
      */
-    getStoredData() {
-      const data = localStorage.getItem(this.storageKey);
-      return data ? JSON.parse(data) : null;
+    async storeSplit(split, raceName = '') {
+      const { raceId, ...data } = split;
+      await this.journal.add(raceId, 'split', data, raceName);
+      await this.checkUnsyncedData();
     }
   
     /**
-     * Store a race result locally
-     * @param {Object} result - The race result to store
+     * Queue a race start, wave start, end or runner status event until it can be sent to the server
+     * @param {number} raceId - The race ID
+     * @param {string} type - 'start', 'waveStart', 'end' or 'runnerStatus'
+     * @param {Object} data - The event's timestamp and provenance
+     * @param {string} raceName - The race name, for display in the sync panel
      */
-    storeResult(result) {
-      let data = this.getStoredData() || { raceId: result.raceId, results: [] };
-      
-      // Make sure we're storing for the same race
-      if (data.raceId !== result.raceId) {
-        data = { raceId: result.raceId, results: [] };
-      }
-      
-      data.results.push(result);
-      this.storeRaceData(data);
+    async queueRaceEvent(raceId, type, data, raceName = '') {
+      await this.journal.add(raceId, type, data, raceName);
+      await this.checkUnsyncedData();
     }
   
     /**
-     * Clear all stored results
+     * Get the unsynced start, wave start and end events recorded for a race
+     * @param {number} raceId - The race ID
+     * @returns {Promise<Array>} The pending journal entries, oldest first
      */
-    clearResults() {
-      localStorage.removeItem(this.storageKey);
-      this.checkUnsyncedData();
+    async getPendingRaceEvents(raceId) {
+      const entries = await this.journal.getEntries(raceId);
+      return entries.filter(entry => ['start', 'waveStart', 'end'].includes(entry.type));
+    }
+  
+    /**
+     * Store a tap-first finish slot, which may not have a bib yet
+     * @param {number} raceId - The race ID
+     * @param {Object} data - The slot's finish time and any assigned bib
+     * @param {string} raceName - The race name, for display in the sync panel
+     * @returns {Promise<Object>} The stored journal entry
+     */
+    async addFinishSlot(raceId, data, raceName = '') {
+      const entry = await this.journal.add(raceId, 'finish', data, raceName);
+      await this.checkUnsyncedData();
+      return entry;
+    }
+  
+    /**
+     * Store a time-only or bib-only finish recorded in split-role mode
+     * @param {number} raceId - The race ID
+     * @param {string} type - 'pairTime' from the timekeeper or 'pairBib' from the bib collector
+     * @param {Object} data - The finish time or bib, with its clientId
+     * @param {string} raceName - The race name, for display in the sync panel
+     * @returns {Promise<Object>} The stored journal entry
+     */
+    async storePairingEntry(raceId, type, data, raceName = '') {
+      const entry = await this.journal.add(raceId, type, data, raceName);
+      await this.checkUnsyncedData();
+      return entry;
+    }
+  
+    /**
+     * Get the unsynced split-role entries recorded for a race on this device
+     * @param {number} raceId - The race ID
+     * @returns {Promise<Array>} The pending pairTime and pairBib entries, oldest first
+     */
+    async getPairingEntries(raceId) {
+      const entries = await this.journal.getEntries(raceId);
+      return entries.filter(entry => entry.type === 'pairTime' || entry.type === 'pairBib');
+    }
+  
+    /**
+     * Get the unsynced results recorded for a race
+     * Finish slots still waiting for a bib are not results yet and are left out.
+     * @param {number} raceId - The race ID
+     * @returns {Promise<Array>} The pending results, oldest first
+     */
+    async getPendingResults(raceId) {
+      const entries = await this.journal.getEntries(raceId);
+      return entries
+        .filter(entry => entry.type === 'finish' && entry.data.runnerNumber)
+        .map(entry => entry.data);
+    }
+  
+    /**
+     * Get the unsynced splits recorded for a race
+     * @param {number} raceId - The race ID
+     * @returns {Promise<Array>} The pending splits, oldest first
+     */
+    async getPendingSplits(raceId) {
+      const entries = await this.journal.getEntries(raceId);
+      return entries
+        .filter(entry => entry.type === 'split')
+        .map(entry => entry.data);
+    }
+  
+    /**
+     * Get the tap-first finish slots for a race, assigned or not
+     * @param {number} raceId - The race ID
+     * @returns {Promise<Array>} The slot journal entries in finishing order
+     */
+    async getFinishSlots(raceId) {
+      const entries = await this.journal.getEntries(raceId);
+      return entries
+        .filter(entry => entry.type === 'finish' && entry.data.captureMode === 'tap')
+        .sort((a, b) => a.data.finishTime - b.data.finishTime);
+    }
+  
+    /**
+     * Save a change to a journal entry, such as a bib assigned to a finish slot
+     * @param {Object} entry - The updated journal entry
+     */
+    async updateEntry(entry) {
+      await this.journal.update(entry);
+      await this.checkUnsyncedData();
+    }
+  
+    /**
+     * Remove a single journal entry
+     * @param {string} entryId - The entry ID
+     */
+    async removeEntry(entryId) {
+      await this.journal.remove([entryId]);
+      await this.checkUnsyncedData();
+    }
+  
+    /**
+     * Clear the stored results, splits, finish slots and split-role entries for a race
+     * @param {number} raceId - The race ID
+     */
+    async clearResults(raceId) {
+      for (const type of ['finish', 'split', 'pairTime', 'pairBib']) {
+        await this.journal.clearRace(raceId, type);
+      }
+      await this.checkUnsyncedData();
     }
   
     /**
@@ -138,46 +316,238 @@ class OfflineStorage {
     }
   
     /**
-     * Synchronize stored results with the server
-     * @returns {Promise} A promise that resolves when synchronization is complete
+     * Synchronize every race with pending data, one race at a time
+     * @returns {Promise<boolean>} Whether every race synchronized
+     */
+    async syncAll() {
+      const summaries = await this.journal.getSummary();
+      if (summaries.length === 0) {
+        showNotification('No data to synchronize', 3000);
+        return false;
+      }
+      
+      let allSynced = true;
+      for (const summary of summaries) {
+        const synced = await this.syncRace(summary.raceId);
+        allSynced = allSynced && synced;
+      }
+      return allSynced;
+    }
+  
+    /**
+     * Synchronize one race's journal with the server
+     * Start and wave start events are replayed first, then finishes, splits, split-role entries and
+     * runner statuses, then end events.
+     * @param {number} raceId - The race to synchronize
+     * @returns {Promise<boolean>} Whether synchronization succeeded
      */
-    async syncResults() {
+    async syncRace(raceId) {
       if (!this.isOnline) {
         showNotification('Cannot sync while offline', 3000);
         return false;
       }
       
-      const data = this.getStoredData();
-      if (!data || !data.results || data.results.length === 0) {
+      const entries = await this.journal.getEntries(raceId);
+      const hasSyncableData = entries.some(entry => entry.type !== 'finish' || entry.data.runnerNumber);
+      if (!hasSyncableData) {
         showNotification('No data to synchronize', 3000);
         return false;
       }
       
+      const raceName = entries.find(entry => entry.raceName)?.raceName || `Race ${raceId}`;
+      const starts = entries.filter(entry => entry.type === 'start');
+      const waveStarts = entries.filter(entry => entry.type === 'waveStart');
+      // Finish slots without a bib stay on the device until one is assigned
+      const finishes = entries.filter(entry => entry.type === 'finish' && entry.data.runnerNumber);
+      const splits = entries.filter(entry => entry.type === 'split');
+      const statuses = entries.filter(entry => entry.type === 'runnerStatus');
+      const pairTimes = entries.filter(entry => entry.type === 'pairTime');
+      const pairBibs = entries.filter(entry => entry.type === 'pairBib');
+      const ends = entries.filter(entry => entry.type === 'end');
+      let syncMessage = `${raceName} synchronized successfully`;
+      // Starts and ends the server already had from another device
+      let superseded = 0;
+      
       try {
-        const response = await fetch(`/api/races/${data.raceId}/results`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            results: data.results,
-            deviceId: this.deviceId
-          })
-        });
+        for (const entry of starts) {
+          if (!await this.sendRaceEvent(raceId, 'start', entry)) superseded++;
+        }
         
-        if (!response.ok) {
-          throw new Error('Failed to synchronize results');
+        for (const entry of waveStarts) {
+          if (!await this.sendRaceEvent(raceId, `waves/${entry.data.waveId}/start`, entry)) superseded++;
         }
         
-        this.clearResults();
-        showNotification('Results synchronized successfully', 3000);
+        if (finishes.length > 0) {
+          const response = await fetch(`/api/races/${raceId}/results`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+              results: finishes.map(entry => entry.data),
+              deviceId: this.deviceId
+            })
+          });
+          
+          await this.checkSyncResponse(response, 'Failed to synchronize results');
+          
+          await this.journal.remove(finishes.map(entry => entry.entryId));
+          
+          const summary = await response.json();
+          syncMessage = `${raceName}: ${summary.message}`;
+        }
+        
+        if (splits.length > 0) {
+          const response = await fetch(`/api/races/${raceId}/splits`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+              splits: splits.map(entry => entry.data),
+              deviceId: this.deviceId
+            })
+          });
+          
+          await this.checkSyncResponse(response, 'Failed to synchronize splits');
+          
+          await this.journal.remove(splits.map(entry => entry.entryId));
+          
+          // A finish line device reports its finishes; a checkpoint device its splits
+          if (finishes.length === 0) {
+            const summary = await response.json();
+            syncMessage = `${raceName}: ${summary.message}`;
+          }
+        }
+        
+        if (pairTimes.length > 0) {
+          await this.sendPairingEntries(raceId, 'times', pairTimes);
+        }
+        
+        if (pairBibs.length > 0) {
+          await this.sendPairingEntries(raceId, 'bibs', pairBibs);
+        }
+        
+        for (const entry of statuses) {
+          await this.sendRaceEvent(raceId, `statuses/${entry.data.runnerNumber}`, entry);
+        }
+        
+        for (const entry of ends) {
+          if (!await this.sendRaceEvent(raceId, 'end', entry)) superseded++;
+        }
+        
+        if (superseded > 0) {
+          syncMessage += ` - ${superseded} start or end time${superseded === 1 ? ' was' : 's were'} already recorded by another device`;
+        }
+        
+        showNotification(syncMessage, 3000);
         return true;
       } catch (error) {
         console.error('Sync error:', error);
-        showNotification('Failed to synchronize results', 3000);
+        // Anything not yet accepted stays in the journal, so it can be sent again after signing in
+        if (error.status === 401) {
+          showNotification(`Sign in to synchronize ${raceName}`, 3000);
+        } else if (error.status === 403) {
+          showNotification(`You are not assigned to ${raceName}`, 3000);
+        } else if (error.status === 409) {
+          // The race isn't in a state to take the data yet, or any more; it waits here until it is
+          showNotification(`${raceName}: ${error.message}`, 3000);
+        } else {
+          showNotification(`Failed to synchronize ${raceName}`, 3000);
+        }
         return false;
+      } finally {
+        await this.checkUnsyncedData();
       }
     }
+  
+    /**
+     * Throw if the server refused part of a sync, keeping the status and the server's reason for the error message
+     * @param {Response} response - The server's response
+     * @param {string} message - The error message when the server gives no reason
+     */
+    async checkSyncResponse(response, message) {
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || message);
+        error.status = response.status;
+        error.code = data.code || null;
+        throw error;
+      }
+    }
+  
+    /**
+     * Replay a journaled start, wave start, end or runner status event and remove it once accepted
+     * A start or end the server already has from another device is removed too, as the first one recorded stands.
+     * @param {number} raceId - The race ID
+     * @param {string} action - 'start', 'end', 'waves/<waveId>/start' or 'statuses/<runnerNumber>'
+     * @param {Object} entry - The journal entry
+     * @returns {Promise<boolean>} True if the server accepted the event, false if it already had one
+     */
+    async sendRaceEvent(raceId, action, entry) {
+      const response = await fetch(`/api/races/${raceId}/${action}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(entry.data)
+      });
+      
+      try {
+        await this.checkSyncResponse(response, `Failed to synchronize race ${action}`);
+      } catch (error) {
+        if (!SUPERSEDED_EVENT_CODES.includes(error.code)) {
+          throw error;
+        }
+        await this.journal.remove([entry.entryId]);
+        return false;
+      }
+      
+      await this.journal.remove([entry.entryId]);
+      return true;
+    }
+  
+    /**
+     * Upload split-role finish times or bibs and remove them once accepted
+     * @param {number} raceId - The race ID
+     * @param {string} kind - 'times' or 'bibs'
+     * @param {Array} entries - The journal entries to upload
+     */
+    async sendPairingEntries(raceId, kind, entries) {
+      const response = await fetch(`/api/races/${raceId}/pairing/${kind}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          [kind]: entries.map(entry => entry.data),
+          deviceId: this.deviceId
+        })
+      });
+      
+      await this.checkSyncResponse(response, `Failed to synchronize finish ${kind}`);
+      
+      await this.journal.remove(entries.map(entry => entry.entryId));
+    }
+  }
+  
+  /**
+   * Generate a random (version 4) UUID
+   * Falls back to getRandomValues where crypto.randomUUID is unavailable,
+   * such as when the app is served over plain HTTP on the local network.
+   * @returns {string} A UUID string
+   */
+  function generateUuid() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
   }
   
   /**
@@ -1,10 +1,15 @@
-const CACHE_NAME = 'race-control-v1';
+// Assets are served cache-first, so bump the version with every change to one of them;
+// installed clients keep the old files until it changes
+const CACHE_NAME = 'race-control-v30';
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
   '/style.css',
   '/app.js',
   '/timer.js',
+  '/journal.js',
+  '/clock.js',
+  '/leaderboard.js',
   '/offline.js',
   '/manifest.json'
 ];
@@ -42,6 +47,11 @@ self.addEventListener('fetch', event => {
     return;
   }
   
+  // Leave live feeds to the browser; a stream can't be cached or answered offline
+  if (event.request.headers.get('Accept') === 'text/event-stream') {
+    return;
+  }
+  
   // For API requests, try network first, then fallback to offline handling
   if (event.request.url.includes('/api/')) {
     event.respondWith(
@@ -1,217 +1,3867 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const sqlite3 = require('sqlite3').verbose();
+const { parseCsv } = require('./lib/csv');
+const { toFileName } = require('./lib/format');
+const { EXPORT_FORMATS, renderResultsCsv, renderResultsJson, renderResultsHtml } = require('./lib/export');
+const { RECONCILIATION_RULES, reconcileResults } = require('./lib/reconcile');
+const live = require('./lib/live');
+const { ageOnDate, ageCategory, ageGrade, rankByCategory } = require('./lib/agegrade');
+const { validateSeries, scoreSeries } = require('./lib/series');
+const { validateWave, assignWave, waveStartTime } = require('./lib/waves');
+const { validateTimingPoint, buildSplits } = require('./lib/splits');
+const { validateRunnerStatus, compareStatuses } = require('./lib/statuses');
+const { validateCourse, paceAndSpeed } = require('./lib/course');
+const { ENTRANT_GENDERS, runnerKey, buildRunnerHistory } = require('./lib/runners');
+const { RACE_STATES, checkTransition, availableActions } = require('./lib/lifecycle');
+const { RACE_SORTS, RESULT_SORTS, readPage, readSort, readRaceFilters, readResultFilters, escapeLike, listResults } = require('./lib/listing');
+const {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  RACE_COLUMNS,
+  ARCHIVE_TABLES,
+  CLIENT_ID_TABLES,
+  validateArchive,
+  pickColumns
+} = require('./lib/backup');
+const { checkSchema } = require('./db/migrator');
+const {
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  hashSessionToken,
+  readSessionToken,
+  sessionCookie,
+  validateUser
+} = require('./lib/auth');
 const app = express();
 const PORT = 8080;
 
 // Open database connection
-const db = new sqlite3.Database(path.join(__dirname, 'db', 'race-control.db'));
+const DB_PATH = path.join(__dirname, 'db', 'race-control.db');
+const db = new sqlite3.Database(DB_PATH);
 
-// Middleware to parse JSON and serve static files
-app.use(express.json());
+// A restore holds its transaction on a connection of its own, so wait for its locks rather than fail
+const BUSY_TIMEOUT_MS = 10000;
+db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+// Middleware to parse JSON and serve static files; backup archives hold whole seasons, so get more room
+app.use('/api/backup', express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '2mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Route to get all races
-app.get('/api/races', (req, res) => {
-  db.all('SELECT * FROM races ORDER BY date DESC', (err, rows) => {
+/**
+ * Attach the signed-in user to API requests as req.user, or null for the public
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - Continues to the route
+ */
+function authenticate(req, res, next) {
+  req.user = null;
+
+  const token = readSessionToken(req);
+  if (!token) {
+    return next();
+  }
+
+  db.get(
+    `SELECT u.id, u.username, u.role, u.displayName, s.id as sessionId
+    FROM sessions s
+    JOIN users u ON u.id = s.userId
+    WHERE s.tokenHash = ? AND s.expiresAt > ?`,
+    [hashSessionToken(token), Date.now()],
+    (err, user) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      req.user = user || null;
+      next();
+    }
+  );
+}
+
+app.use('/api', authenticate);
+
+/**
+ * Only let signed-in users with one of the given roles through
+ * @param {...string} roles - The roles allowed
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Sign in to do this' });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Your account is not allowed to do this' });
+    }
+    next();
+  };
+}
+
+const requireDirector = requireRole('director');
+
+/**
+ * Let directors through, and marshals assigned to the race named in the route
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - Continues to the route
+ */
+function requireRaceAccess(req, res, next) {
+  requireRole('director', 'marshal')(req, res, () => {
+    if (req.user.role === 'director') {
+      return next();
+    }
+
+    db.get(
+      'SELECT 1 FROM race_marshals WHERE raceId = ? AND userId = ?',
+      [req.params.id, req.user.id],
+      (err, assignment) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        if (!assignment) {
+          return res.status(403).json({ error: 'You are not assigned to this race' });
+        }
+        next();
+      }
+    );
+  });
+}
+
+/**
+ * Only let a request through when the race's state allows the action, answering 409 with an error code otherwise
+ * The race is attached as req.race and the state the action moves it to, if any, as req.nextStatus.
+ * @param {string} action - One of the lifecycle's RACE_ACTIONS
+ * @returns {Function} Express middleware
+ */
+function requireRaceState(action) {
+  return (req, res, next) => {
+    db.get('SELECT * FROM races WHERE id = ?', [req.params.id], (err, race) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!race) {
+        return res.status(404).json({ error: 'Race not found' });
+      }
+
+      const { to, error, code } = checkTransition(race.status, action);
+      if (error) {
+        return res.status(409).json({ error, code, status: race.status });
+      }
+
+      req.race = race;
+      req.nextStatus = to;
+      next();
+    });
+  };
+}
+
+// Races in the trash are hidden from every race route; only the trash routes, which name the race
+// as :raceId, can reach them
+app.param('id', (req, res, next, raceId) => {
+  db.get('SELECT deletedAt FROM races WHERE id = ?', [raceId], (err, race) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (race && race.deletedAt) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+    next();
+  });
+});
+
+// Failed sign-ins per username, so passwords can't be guessed at speed
+const LOGIN_ATTEMPT_LIMIT = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const failedLogins = new Map();
+
+/**
+ * Describe an account for the client, without its password hash
+ * @param {Object} user - The user row
+ * @returns {Object} The account's public details
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    displayName: user.displayName || null
+  };
+}
+
+// Route to sign in with a local account
+app.post('/api/auth/login', (req, res) => {
+  const username = String(req.body.username || '').trim().toLowerCase();
+  const password = String(req.body.password || '');
+  const now = Date.now();
+
+  const attempts = failedLogins.get(username);
+  if (attempts && attempts.count >= LOGIN_ATTEMPT_LIMIT && now - attempts.since < LOGIN_LOCKOUT_MS) {
+    return res.status(429).json({ error: 'Too many failed sign-ins. Try again in 15 minutes.' });
+  }
+
+  db.get('SELECT * FROM users WHERE username = ?', [username], async (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    const valid = user ? await verifyPassword(password, user.passwordHash).catch(() => false) : false;
+    if (!valid) {
+      const previous = attempts && now - attempts.since < LOGIN_LOCKOUT_MS ? attempts : { count: 0, since: now };
+      failedLogins.set(username, { count: previous.count + 1, since: previous.since });
+      return res.status(401).json({ error: 'Incorrect username or password' });
+    }
+
+    failedLogins.delete(username);
+
+    const token = createSessionToken();
+    const expiresAt = now + SESSION_TTL_MS;
+
+    db.serialize(() => {
+      db.run('DELETE FROM sessions WHERE expiresAt <= ?', [now]);
+      db.run(
+        'INSERT INTO sessions (tokenHash, userId, createdAt, expiresAt) VALUES (?, ?, ?, ?)',
+        [hashSessionToken(token), user.id, now, expiresAt],
+        err => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+
+          res.set('Set-Cookie', sessionCookie(token, req.secure));
+          res.json({ user: toPublicUser(user), token, expiresAt });
+        }
+      );
+    });
+  });
+});
+
+// Route to sign out, ending the current session
+app.post('/api/auth/logout', (req, res) => {
+  res.set('Set-Cookie', sessionCookie(null, req.secure));
+
+  if (!req.user) {
+    return res.json({ success: true });
+  }
+
+  db.run('DELETE FROM sessions WHERE id = ?', [req.user.sessionId], err => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json({ success: true });
+  });
+});
+
+// Route to get the signed-in user and, for marshals, the races they are assigned to
+app.get('/api/auth/me', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  if (!req.user) {
+    return res.json({ user: null });
+  }
+
+  db.all('SELECT raceId FROM race_marshals WHERE userId = ?', [req.user.id], (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json({ user: { ...toPublicUser(req.user), races: rows.map(row => row.raceId) } });
+  });
+});
+
+// Route to list the accounts
+app.get('/api/users', requireDirector, (req, res) => {
+  db.all('SELECT id, username, role, displayName, createdAt FROM users ORDER BY username ASC', (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json(rows);
+  });
+});
+
+// Route to create an account
+app.post('/api/users', requireDirector, (req, res) => {
+  const { user, error } = validateUser(req.body, true);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  hashPassword(user.password).then(passwordHash => {
+    db.run(
+      'INSERT INTO users (username, passwordHash, role, displayName, createdAt) VALUES (?, ?, ?, ?, ?)',
+      [user.username, passwordHash, user.role, user.displayName || null, Date.now()],
+      function(err) {
+        if (err) {
+          if (err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: `The username ${user.username} is already taken` });
+          }
+          return res.status(500).json({ error: err.message });
+        }
+        res.status(201).json(toPublicUser({ id: this.lastID, ...user }));
+      }
+    );
+  }, err => res.status(500).json({ error: err.message }));
+});
+
+// Route to change an account's role, display name or password
+// A new password signs the account out everywhere else
+app.put('/api/users/:userId', requireDirector, (req, res) => {
+  const userId = Number(req.params.userId);
+  const { user, error } = validateUser(req.body, false);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (userId === req.user.id && user.role && user.role !== 'director') {
+    return res.status(400).json({ error: 'You cannot remove your own director role' });
+  }
+
+  const hashing = user.password ? hashPassword(user.password) : Promise.resolve(null);
+
+  hashing.then(passwordHash => {
+    const fields = [];
+    const params = [];
+    if (user.username) { fields.push('username = ?'); params.push(user.username); }
+    if (user.role) { fields.push('role = ?'); params.push(user.role); }
+    if (user.displayName !== undefined) { fields.push('displayName = ?'); params.push(user.displayName); }
+    if (passwordHash) { fields.push('passwordHash = ?'); params.push(passwordHash); }
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'Nothing to change' });
+    }
+
+    db.run(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`, [...params, userId], function(err) {
+      if (err) {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+          return res.status(409).json({ error: `The username ${user.username} is already taken` });
+        }
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (!passwordHash) {
+        return res.json({ success: true });
+      }
+
+      db.run('DELETE FROM sessions WHERE userId = ? AND id != ?', [userId, req.user.sessionId], err => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        res.json({ success: true });
+      });
+    });
+  }, err => res.status(500).json({ error: err.message }));
+});
+
+// Route to delete an account, along with its sessions and race assignments
+app.delete('/api/users/:userId', requireDirector, (req, res) => {
+  const userId = Number(req.params.userId);
+
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+    db.run('DELETE FROM sessions WHERE userId = ?', [userId]);
+    db.run('DELETE FROM race_marshals WHERE userId = ?', [userId]);
+    db.run('DELETE FROM users WHERE id = ?', [userId], function(err) {
+      if (err || this.changes === 0) {
+        db.run('ROLLBACK');
+        return err
+          ? res.status(500).json({ error: err.message })
+          : res.status(404).json({ error: 'User not found' });
+      }
+
+      db.run('COMMIT', err => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        res.json({ success: true });
+      });
+    });
+  });
+});
+
+// Route to list the marshals assigned to a race
+app.get('/api/races/:id/marshals', requireDirector, (req, res) => {
+  db.all(
+    `SELECT u.id, u.username, u.displayName
+    FROM race_marshals m
+    JOIN users u ON u.id = m.userId
+    WHERE m.raceId = ?
+    ORDER BY u.username ASC`,
+    [req.params.id],
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.json(rows);
+    }
+  );
+});
+
+// Route to replace the marshals assigned to a race
+app.put('/api/races/:id/marshals', requireDirector, (req, res) => {
+  const raceId = req.params.id;
+  const userIds = req.body.userIds;
+
+  if (!Array.isArray(userIds) || !userIds.every(Number.isInteger)) {
+    return res.status(400).json({ error: 'A userIds array is required' });
+  }
+
+  const placeholders = userIds.map(() => '?').join(', ');
+  const marshalQuery = userIds.length > 0
+    ? `SELECT id FROM users WHERE role = 'marshal' AND id IN (${placeholders})`
+    : 'SELECT id FROM users WHERE 0';
+
+  db.all(marshalQuery, userIds, (err, marshals) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (marshals.length !== new Set(userIds).size) {
+      return res.status(400).json({ error: 'Only marshal accounts can be assigned to a race' });
+    }
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      db.run('DELETE FROM race_marshals WHERE raceId = ?', [raceId]);
+
+      const stmt = db.prepare('INSERT INTO race_marshals (raceId, userId) VALUES (?, ?)');
+      marshals.forEach(marshal => stmt.run(raceId, marshal.id));
+
+      stmt.finalize(err => {
+        if (err) {
+          db.run('ROLLBACK');
+          return res.status(500).json({ error: err.message });
+        }
+
+        db.run('COMMIT', err => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          res.json({ raceId, userIds: marshals.map(marshal => marshal.id) });
+        });
+      });
+    });
+  });
+});
+
+// Route to get the server time, used by devices to calibrate their clocks
+app.get('/api/time', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ serverTime: Date.now() });
+});
+
+// The SQL each race sort orders by; races are in lifecycle order when sorted by status
+const RACE_ORDER_BY = {
+  date: 'date',
+  name: 'name COLLATE NOCASE',
+  status: `CASE status ${RACE_STATES.map((status, index) => `WHEN '${status}' THEN ${index}`).join(' ')} END`
+};
+
+// Route to list races, optionally filtered by status, date range and name, sorted and paged
+// Without a page or limit every matching race is sent as a list; with one, a page is sent with the total
+app.get('/api/races', (req, res) => {
+  const { filters, error: filterError } = readRaceFilters(req.query);
+  const { sort, error: sortError } = readSort(req.query, RACE_SORTS, 'date');
+  const { page, error: pageError } = readPage(req.query);
+
+  if (filterError || sortError || pageError) {
+    return res.status(400).json({ error: filterError || sortError || pageError });
+  }
+
+  const conditions = ['deletedAt IS NULL'];
+  const params = [];
+  if (filters.statuses.length > 0) {
+    conditions.push(`status IN (${filters.statuses.map(() => '?').join(', ')})`);
+    params.push(...filters.statuses);
+  }
+  if (filters.from) {
+    conditions.push('date >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('date <= ?');
+    params.push(filters.to);
+  }
+  if (filters.search) {
+    conditions.push(`name LIKE ? ESCAPE '\\'`);
+    params.push(`%${escapeLike(filters.search)}%`);
+  }
+
+  const where = conditions.join(' AND ');
+  const direction = sort.order === 'desc' ? 'DESC' : 'ASC';
+  const limit = page ? ' LIMIT ? OFFSET ?' : '';
+
+  db.all(
+    `SELECT * FROM races WHERE ${where} ORDER BY ${RACE_ORDER_BY[sort.field]} ${direction}, id ${direction}${limit}`,
+    page ? [...params, page.limit, page.offset] : params,
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      const races = rows.map(race => ({ ...race, actions: availableActions(race.status) }));
+      if (!page) {
+        return res.json(races);
+      }
+
+      db.get(`SELECT COUNT(*) as total FROM races WHERE ${where}`, params, (err, row) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        res.json({ races, total: row.total, page: page.page, limit: page.limit, ...sort });
+      });
+    }
+  );
+});
+
+// Tables holding rows that belong to a race, removed along with it
+const RACE_CHILD_TABLES = [
+  'results', 'entrants', 'pairing_times', 'pairing_bibs', 'result_resolutions', 'result_audit', 'race_marshals',
+  'series_races', 'race_waves', 'race_timing_points', 'splits', 'runner_statuses', 'race_audit'
+];
+
+// How long a race stays in the trash before a director can purge it
+const RACE_TRASH_RETENTION_DAYS = 30;
+const RACE_TRASH_RETENTION_MS = RACE_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Route to delete a race, moving it to the trash with everything recorded for it
+app.delete('/api/races/:id', requireDirector, (req, res) => {
+  db.run(
+    'UPDATE races SET deletedAt = ?, deletedBy = ? WHERE id = ? AND deletedAt IS NULL',
+    [Date.now(), req.user.username, req.params.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Race not found' });
+      }
+      res.json({ success: true, message: 'Race moved to the trash', retentionDays: RACE_TRASH_RETENTION_DAYS });
+    }
+  );
+});
+
+// Route to list the races in the trash, newest first, with when each can be purged
+app.get('/api/trash', requireDirector, (req, res) => {
+  db.all(
+    `SELECT r.*, (SELECT COUNT(*) FROM results WHERE raceId = r.id) as resultCount
+    FROM races r
+    WHERE r.deletedAt IS NOT NULL
+    ORDER BY r.deletedAt DESC`,
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.json({
+        retentionDays: RACE_TRASH_RETENTION_DAYS,
+        races: rows.map(race => ({ ...race, purgeableAt: race.deletedAt + RACE_TRASH_RETENTION_MS }))
+      });
+    }
+  );
+});
+
+// Route to restore a race from the trash
+app.put('/api/trash/:raceId/restore', requireDirector, (req, res) => {
+  db.run(
+    'UPDATE races SET deletedAt = NULL, deletedBy = NULL WHERE id = ? AND deletedAt IS NOT NULL',
+    [req.params.raceId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Race not found in the trash' });
+      }
+      res.json({ success: true, message: 'Race restored' });
+    }
+  );
+});
+
+// Route to permanently delete a race from the trash once its retention period is over
+app.delete('/api/trash/:raceId', requireDirector, (req, res) => {
+  const raceId = req.params.raceId;
+
+  db.get('SELECT deletedAt FROM races WHERE id = ? AND deletedAt IS NOT NULL', [raceId], (err, race) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!race) {
+      return res.status(404).json({ error: 'Race not found in the trash' });
+    }
+
+    const purgeableAt = race.deletedAt + RACE_TRASH_RETENTION_MS;
+    if (Date.now() < purgeableAt) {
+      return res.status(409).json({
+        error: `Races stay in the trash for ${RACE_TRASH_RETENTION_DAYS} days; this one can be purged from ${new Date(purgeableAt).toISOString()}`,
+        purgeableAt
+      });
+    }
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+
+      // First delete everything recorded for this race, then the race itself
+      deleteRaceRows(db, raceId, [], err => {
+        if (err) {
+          db.run('ROLLBACK');
+          return res.status(500).json({ error: err.message });
+        }
+
+        db.run('DELETE FROM races WHERE id = ?', [raceId], err => {
+          if (err) {
+            db.run('ROLLBACK');
+            return res.status(500).json({ error: err.message });
+          }
+
+          db.run('COMMIT', err => {
+            if (err) {
+              return res.status(500).json({ error: err.message });
+            }
+            res.json({ success: true, message: 'Race deleted permanently' });
+          });
+        });
+      });
+    });
+  });
+});
+
+// Route to create a new race
+app.post('/api/races', requireDirector, (req, res) => {
+  const { name, date } = req.body;
+  if (!name || !date) {
+    return res.status(400).json({ error: 'Name and date are required' });
+  }
+
+  const { course, error } = validateCourse(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.run(
+    `INSERT INTO races (name, date, distance, distanceUnit, courseType, description, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [name, date, course.distance, course.distanceUnit, course.courseType, course.description, 'pending'],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.json({ id: this.lastID, name, date, ...course, status: 'pending' });
+    }
+  );
+});
+
+// Route to set a race's distance, which age grades and paces are calculated from
+app.put('/api/races/:id/distance', requireDirector, requireRaceState('amend'), (req, res) => {
+  const { course, error } = validateCourse({ distance: req.body.distance, distanceUnit: req.body.distanceUnit });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.run(
+    'UPDATE races SET distance = ?, distanceUnit = ? WHERE id = ?',
+    [course.distance, course.distanceUnit, req.params.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Race not found' });
+      }
+      res.json({ id: req.params.id, distance: course.distance, distanceUnit: course.distanceUnit });
+    }
+  );
+});
+
+// How far ahead of the server clock a device timestamp may be before it is rejected
+const MAX_DEVICE_CLOCK_AHEAD_MS = 5 * 60 * 1000;
+
+/**
+ * Read a device's measured clock offset (server time minus device time) and its uncertainty
+ * @param {Object} source - An object that may carry clockOffset and clockUncertainty
+ * @returns {Object} clockOffset and clockUncertainty as whole milliseconds, or null when not supplied
+ */
+function readClockOffset(source) {
+  const toMs = value => (value === undefined || value === null || !Number.isFinite(Number(value)))
+    ? null
+    : Math.round(Number(value));
+
+  return {
+    clockOffset: toMs(source.clockOffset),
+    clockUncertainty: toMs(source.clockUncertainty)
+  };
+}
+
+/**
+ * Read a device-supplied race event time and its provenance from a request body
+ * Falls back to the server clock when the device sends no timestamp.
+ * @param {Object} body - The request body
+ * @param {string} field - The name of the timestamp field, e.g. 'startTime'
+ * @returns {Object} Either { event } with time, deviceId and recordedOffline, or { error }
+ */
+function readRaceEvent(body, field) {
+  const now = Date.now();
+  const deviceId = typeof body.deviceId === 'string' ? body.deviceId : null;
+
+  if (body[field] === undefined || body[field] === null) {
+    return { event: { time: now, deviceId, recordedOffline: false, clockOffset: 0, clockUncertainty: 0 } };
+  }
+
+  const time = Number(body[field]);
+  if (!Number.isInteger(time) || time <= 0) {
+    return { error: `${field} must be a timestamp in milliseconds` };
+  }
+  const { clockOffset, clockUncertainty } = readClockOffset(body);
+  if (time + (clockOffset || 0) > now + MAX_DEVICE_CLOCK_AHEAD_MS) {
+    return { error: `${field} is in the future; check the device clock` };
+  }
+
+  return { event: { time, deviceId, recordedOffline: Boolean(body.recordedOffline), clockOffset, clockUncertainty } };
+}
+
+/**
+ * Check a start or end event against the race's state
+ * A device replaying an event the server already accepted from it, as after a lost response, is let
+ * through without changing anything.
+ * @param {string} raceId - The race ID
+ * @param {string} action - 'start' or 'end'
+ * @param {Object} event - The event from readRaceEvent
+ * @param {Function} callback - Called with (err, race, check), check being { replay }, { to } or { error, code }
+ */
+function checkRaceEvent(raceId, action, event, callback) {
+  db.get('SELECT * FROM races WHERE id = ?', [raceId], (err, race) => {
+    if (err || !race) {
+      return callback(err, null);
+    }
+
+    const field = action === 'start' ? 'start' : 'end';
+    if (race[`${field}Time`] === event.time && race[`${field}DeviceId`] === event.deviceId) {
+      return callback(null, race, { replay: true });
+    }
+
+    callback(null, race, checkTransition(race.status, action));
+  });
+}
+
+// Route to start a race
+// The device's own start time is authoritative, including starts recorded offline and replayed later.
+// A race that has started can't be started again, as that would move every race time; its start time
+// is corrected instead.
+app.put('/api/races/:id/start', requireRaceAccess, (req, res) => {
+  const raceId = req.params.id;
+  const { event, error } = readRaceEvent(req.body, 'startTime');
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  checkRaceEvent(raceId, 'start', event, (err, race, check) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!race) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+    if (check.error) {
+      return res.status(409).json({ error: check.error, code: check.code, status: race.status });
+    }
+
+    const started = {
+      id: raceId,
+      startTime: event.time,
+      startDeviceId: event.deviceId,
+      startRecordedOffline: event.recordedOffline,
+      startClockOffset: event.clockOffset,
+      startClockUncertainty: event.clockUncertainty,
+      status: 'active'
+    };
+
+    if (check.replay) {
+      return res.json({ ...started, status: race.status });
+    }
+
+    // Only a race still pending is started, in case another device started it since it was checked
+    db.run(
+      `UPDATE races SET startTime = ?, startDeviceId = ?, startRecordedOffline = ?,
+      startClockOffset = ?, startClockUncertainty = ?, status = ?
+      WHERE id = ? AND status = 'pending'`,
+      [event.time, event.deviceId, event.recordedOffline ? 1 : 0, event.clockOffset, event.clockUncertainty, check.to, raceId],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        if (this.changes === 0) {
+          const { error, code } = checkTransition('active', 'start');
+          return res.status(409).json({ error, code, status: 'active' });
+        }
+        live.publish(raceId, 'start', { startTime: event.time + (event.clockOffset || 0), status: 'active' });
+        res.json(started);
+      }
+    );
+  });
+});
+
+// Route to end a race
+app.put('/api/races/:id/end', requireRaceAccess, (req, res) => {
+  const raceId = req.params.id;
+  const { event, error } = readRaceEvent(req.body, 'endTime');
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  checkRaceEvent(raceId, 'end', event, (err, race, check) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!race) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+    if (check.error) {
+      return res.status(409).json({ error: check.error, code: check.code, status: race.status });
+    }
+
+    const ended = {
+      id: raceId,
+      endTime: event.time,
+      endDeviceId: event.deviceId,
+      endRecordedOffline: event.recordedOffline,
+      endClockOffset: event.clockOffset,
+      endClockUncertainty: event.clockUncertainty,
+      status: 'completed'
+    };
+
+    if (check.replay) {
+      return res.json({ ...ended, status: race.status });
+    }
+
+    db.run(
+      `UPDATE races SET endTime = ?, endDeviceId = ?, endRecordedOffline = ?,
+      endClockOffset = ?, endClockUncertainty = ?, status = ?
+      WHERE id = ? AND status = 'active'`,
+      [event.time, event.deviceId, event.recordedOffline ? 1 : 0, event.clockOffset, event.clockUncertainty, check.to, raceId],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        if (this.changes === 0) {
+          const { error, code } = checkTransition('completed', 'end');
+          return res.status(409).json({ error, code, status: 'completed' });
+        }
+        live.publish(raceId, 'end', { endTime: event.time + (event.clockOffset || 0), status: 'completed' });
+        res.json(ended);
+      }
+    );
+  });
+});
+
+/**
+ * Change a race and record the change in its audit log, in one transaction
+ * The statement must only match the race in the state it was checked in, so a change made meanwhile
+ * by someone else isn't overwritten.
+ * @param {string} sql - The statement that changes the race
+ * @param {Array} params - The statement's parameters
+ * @param {Object} audit - raceId, action, changedBy, reason, before and after
+ * @param {Function} callback - Called with (err, changed), changed being false if the race had moved on
+ */
+function changeRace(sql, params, audit, callback) {
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+
+    db.run(sql, params, function(err) {
+      if (err || this.changes === 0) {
+        db.run('ROLLBACK');
+        return callback(err, false);
+      }
+
+      db.run(
+        `INSERT INTO race_audit (raceId, action, changedBy, reason, before, after, changedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          audit.raceId, audit.action, audit.changedBy || null, audit.reason || null,
+          JSON.stringify(audit.before), JSON.stringify(audit.after), Date.now()
+        ],
+        err => {
+          if (err) {
+            db.run('ROLLBACK');
+            return callback(err);
+          }
+
+          db.run('COMMIT', err => callback(err, true));
+        }
+      );
+    });
+  });
+}
+
+/**
+ * Answer a lifecycle change that found the race had already moved on
+ * @param {Object} res - The Express response
+ */
+function sendRaceChanged(res) {
+  res.status(409).json({ error: 'The race was changed by someone else; reload it and try again', code: 'RACE_CHANGED' });
+}
+
+// Route to publish a completed race's results as final
+// Every bib whose devices disagree must have its time accepted or overridden first
+app.put('/api/races/:id/publish', requireDirector, requireRaceState('publish'), (req, res) => {
+  const race = req.race;
+
+  loadRaceResults(race.id, (err, loaded, reconciliation) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    const { unresolved } = reconciliation.summary;
+    if (unresolved > 0) {
+      return res.status(409).json({
+        error: `${unresolved} bib${unresolved === 1 ? ' has' : 's have'} conflicting times from different devices; ` +
+          'accept or override each one before publishing the results',
+        code: 'RESULTS_NEED_REVIEW',
+        unresolved
+      });
+    }
+
+    publishRace(req, res);
+  });
+});
+
+/**
+ * Mark a completed race's results as published, recording who published them
+ * @param {Object} req - The Express request, with the race and its next status from requireRaceState
+ * @param {Object} res - The Express response
+ */
+function publishRace(req, res) {
+  const race = req.race;
+
+  changeRace(
+    'UPDATE races SET status = ? WHERE id = ? AND status = ?',
+    [req.nextStatus, race.id, race.status],
+    {
+      raceId: race.id,
+      action: 'publish',
+      changedBy: req.user.username,
+      before: { status: race.status },
+      after: { status: req.nextStatus }
+    },
+    (err, changed) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!changed) {
+        return sendRaceChanged(res);
+      }
+      publishResults(race.id);
+      res.json({ id: race.id, status: req.nextStatus, actions: availableActions(req.nextStatus) });
+    }
+  );
+}
+
+// Route to reopen a race, taking published results back to completed or a completed race back to active
+// Reopening a completed race clears its end so finishes can be recorded again; a reason is required
+app.put('/api/races/:id/reopen', requireDirector, requireRaceState('reopen'), (req, res) => {
+  const race = req.race;
+  const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required when reopening a race' });
+  }
+
+  const clearEnd = req.nextStatus === 'active';
+  const before = { status: race.status, endTime: race.endTime };
+  const after = { status: req.nextStatus, endTime: clearEnd ? null : race.endTime };
+
+  changeRace(
+    clearEnd
+      ? `UPDATE races SET status = ?, endTime = NULL, endDeviceId = NULL, endRecordedOffline = 0,
+      endClockOffset = NULL, endClockUncertainty = NULL WHERE id = ? AND status = ?`
+      : 'UPDATE races SET status = ? WHERE id = ? AND status = ?',
+    [req.nextStatus, race.id, race.status],
+    { raceId: race.id, action: 'reopen', changedBy: req.user.username, reason, before, after },
+    (err, changed) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!changed) {
+        return sendRaceChanged(res);
+      }
+      publishResults(race.id);
+      res.json({ id: race.id, ...after, actions: availableActions(req.nextStatus) });
+    }
+  );
+});
+
+// Route to correct the start time of a race that has started, such as one started late by mistake
+// The corrected time is on the server clock and the old start is kept in the race's audit log
+app.put('/api/races/:id/start-time', requireDirector, requireRaceState('correctStart'), (req, res) => {
+  const race = req.race;
+  const reason = req.body.reason ? String(req.body.reason).trim() : '';
+  const startTime = Number(req.body.startTime);
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required when correcting the start time' });
+  }
+  if (!Number.isInteger(startTime) || startTime <= 0) {
+    return res.status(400).json({ error: 'startTime must be a timestamp in milliseconds' });
+  }
+  if (startTime > Date.now()) {
+    return res.status(400).json({ error: 'The start time cannot be in the future' });
+  }
+  if (race.endTime && startTime >= race.endTime + (race.endClockOffset || 0)) {
+    return res.status(400).json({ error: 'The start time must be before the race ended' });
+  }
+
+  const before = {
+    startTime: race.startTime,
+    startDeviceId: race.startDeviceId,
+    startClockOffset: race.startClockOffset,
+    startClockUncertainty: race.startClockUncertainty
+  };
+  const after = { startTime, startDeviceId: null, startClockOffset: 0, startClockUncertainty: null };
+
+  changeRace(
+    `UPDATE races SET startTime = ?, startDeviceId = NULL, startRecordedOffline = 0,
+    startClockOffset = 0, startClockUncertainty = NULL
+    WHERE id = ? AND status = ? AND startTime IS ?`,
+    [startTime, race.id, race.status, race.startTime],
+    { raceId: race.id, action: 'correctStart', changedBy: req.user.username, reason, before, after },
+    (err, changed) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!changed) {
+        return sendRaceChanged(res);
+      }
+      publishResults(race.id);
+      res.json({ id: race.id, ...after, status: race.status, actions: availableActions(race.status) });
+    }
+  );
+});
+
+// Route to get a race's audit log of publishing, reopening and start time corrections, newest first
+app.get('/api/races/:id/history', requireDirector, (req, res) => {
+  db.all(
+    'SELECT * FROM race_audit WHERE raceId = ? ORDER BY changedAt DESC, id DESC',
+    [req.params.id],
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      res.json(rows.map(row => ({
+        ...row,
+        before: row.before ? JSON.parse(row.before) : null,
+        after: row.after ? JSON.parse(row.after) : null
+      })));
+    }
+  );
+});
+
+/**
+ * Load a race's start waves in start order
+ * @param {number} raceId - The race ID
+ * @param {Function} callback - Called with (err, waves)
+ */
+function loadWaves(raceId, callback) {
+  db.all('SELECT * FROM race_waves WHERE raceId = ? ORDER BY sortOrder ASC, id ASC', [raceId], callback);
+}
+
+/**
+ * Work out when a runner started on the server's timeline: their wave's start, or the race start
+ * The runner's entrant details are looked up for waves assigned by category.
+ * @param {Object} race - The race
+ * @param {number} runnerNumber - The runner's bib
+ * @param {Function} callback - Called with (err, startTime), where startTime is null before the runner has started
+ */
+function loadRunnerStart(race, runnerNumber, callback) {
+  const raceStartTime = race.startTime ? race.startTime + (race.startClockOffset || 0) : null;
+
+  loadWaves(race.id, (err, waves) => {
+    if (err || waves.length === 0) {
+      return callback(err, raceStartTime);
+    }
+
+    db.get(
+      'SELECT gender, dateOfBirth FROM entrants WHERE raceId = ? AND bibNumber = ?',
+      [race.id, runnerNumber],
+      (err, entrant) => {
+        if (err) {
+          return callback(err);
+        }
+
+        const gender = entrant ? entrant.gender : null;
+        const category = entrant ? ageCategory(ageOnDate(entrant.dateOfBirth, race.date), gender) : null;
+        const wave = assignWave(waves, { runnerNumber, gender, category });
+
+        callback(null, wave ? waveStartTime(wave) : raceStartTime);
+      }
+    );
+  });
+}
+
+// Route to list a race's start waves
+app.get('/api/races/:id/waves', (req, res) => {
+  loadWaves(req.params.id, (err, waves) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json(waves);
+  });
+});
+
+// Route to add a start wave
+// Waves are added, changed and removed before the race starts; after that runners keep their wave
+app.post('/api/races/:id/waves', requireDirector, requireRaceState('arrangeWaves'), (req, res) => {
+  const raceId = req.params.id;
+  const { wave, error } = validateWave(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.run(
+    `INSERT INTO race_waves (raceId, name, bibs, categories, sortOrder)
+    SELECT ?, ?, ?, ?, COALESCE(MAX(sortOrder), 0) + 1 FROM race_waves WHERE raceId = ?`,
+    [raceId, wave.name, wave.bibs, wave.categories, raceId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.status(201).json({ id: this.lastID, raceId: Number(raceId), ...wave, startTime: null });
+    }
+  );
+});
+
+// Route to change who starts in a wave
+app.put('/api/races/:id/waves/:waveId', requireDirector, requireRaceState('arrangeWaves'), (req, res) => {
+  const { id: raceId, waveId } = req.params;
+  const { wave, error } = validateWave(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.run(
+    'UPDATE race_waves SET name = ?, bibs = ?, categories = ? WHERE id = ? AND raceId = ?',
+    [wave.name, wave.bibs, wave.categories, waveId, raceId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Wave not found' });
+      }
+      publishResults(raceId);
+      res.json({ id: Number(waveId), ...wave });
+    }
+  );
+});
+
+// Route to remove a wave that hasn't started
+app.delete('/api/races/:id/waves/:waveId', requireDirector, requireRaceState('arrangeWaves'), (req, res) => {
+  const { id: raceId, waveId } = req.params;
+
+  db.run('DELETE FROM race_waves WHERE id = ? AND raceId = ? AND startTime IS NULL', [waveId, raceId], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (this.changes === 0) {
+      return res.status(409).json({ error: 'Wave not found, or it has already started' });
+    }
+    res.json({ success: true });
+  });
+});
+
+// Route to start a wave
+// The first wave to start also starts the race, which the race clock and status follow. A wave that has
+// started keeps its start time, though its own device may replay it.
+app.put('/api/races/:id/waves/:waveId/start', requireRaceAccess, requireRaceState('startWave'), (req, res) => {
+  const { id: raceId, waveId } = req.params;
+  const { event, error } = readRaceEvent(req.body, 'startTime');
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+
+    db.run(
+      `UPDATE race_waves SET startTime = ?, startDeviceId = ?, startRecordedOffline = ?,
+      startClockOffset = ?, startClockUncertainty = ?
+      WHERE id = ? AND raceId = ? AND (startTime IS NULL OR (startTime = ? AND startDeviceId IS ?))`,
+      [
+        event.time, event.deviceId, event.recordedOffline ? 1 : 0, event.clockOffset, event.clockUncertainty,
+        waveId, raceId, event.time, event.deviceId
+      ],
+      function(err) {
+        if (err || this.changes === 0) {
+          db.run('ROLLBACK');
+          return err
+            ? res.status(500).json({ error: err.message })
+            : res.status(409).json({ error: 'Wave not found, or it has already started', code: 'WAVE_ALREADY_STARTED' });
+        }
+
+        db.run(
+          `UPDATE races SET startTime = ?, startDeviceId = ?, startRecordedOffline = ?,
+          startClockOffset = ?, startClockUncertainty = ?, status = 'active'
+          WHERE id = ? AND startTime IS NULL`,
+          [event.time, event.deviceId, event.recordedOffline ? 1 : 0, event.clockOffset, event.clockUncertainty, raceId],
+          function(err) {
+            if (err) {
+              db.run('ROLLBACK');
+              return res.status(500).json({ error: err.message });
+            }
+
+            const raceStarted = this.changes > 0;
+
+            db.run('COMMIT', err => {
+              if (err) {
+                return res.status(500).json({ error: err.message });
+              }
+
+              const startTime = event.time + (event.clockOffset || 0);
+              if (raceStarted) {
+                live.publish(raceId, 'start', { startTime, status: 'active' });
+              }
+              // Runners in the wave may already have times waiting for its start
+              publishResults(raceId);
+
+              res.json({
+                id: Number(waveId),
+                raceId: Number(raceId),
+                startTime: event.time,
+                startDeviceId: event.deviceId,
+                startRecordedOffline: event.recordedOffline,
+                startClockOffset: event.clockOffset,
+                startClockUncertainty: event.clockUncertainty,
+                raceStarted
+              });
+            });
+          }
+        );
+      }
+    );
+  });
+});
+
+/**
+ * Load a race's timing points in course order
+ * @param {number} raceId - The race ID
+ * @param {Function} callback - Called with (err, timingPoints)
+ */
+function loadTimingPoints(raceId, callback) {
+  db.all('SELECT * FROM race_timing_points WHERE raceId = ? ORDER BY sortOrder ASC, id ASC', [raceId], callback);
+}
+
+// Route to list a race's timing points
+// The finish isn't listed: every race has one, and its times are the race's results
+app.get('/api/races/:id/timing-points', (req, res) => {
+  loadTimingPoints(req.params.id, (err, timingPoints) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json(timingPoints);
+  });
+});
+
+// Route to add a timing point after the race's existing ones
+app.post('/api/races/:id/timing-points', requireDirector, requireRaceState('amend'), (req, res) => {
+  const raceId = req.params.id;
+  const { timingPoint, error } = validateTimingPoint(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.run(
+    `INSERT INTO race_timing_points (raceId, name, sortOrder)
+    SELECT ?, ?, COALESCE(MAX(sortOrder), 0) + 1 FROM race_timing_points WHERE raceId = ?`,
+    [raceId, timingPoint.name, raceId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.status(201).json({ id: this.lastID, raceId: Number(raceId), ...timingPoint });
+    }
+  );
+});
+
+// Route to rename a timing point
+app.put('/api/races/:id/timing-points/:pointId', requireDirector, requireRaceState('amend'), (req, res) => {
+  const { id: raceId, pointId } = req.params;
+  const { timingPoint, error } = validateTimingPoint(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.run(
+    'UPDATE race_timing_points SET name = ? WHERE id = ? AND raceId = ?',
+    [timingPoint.name, pointId, raceId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Timing point not found' });
+      }
+      publishResults(raceId);
+      res.json({ id: Number(pointId), raceId: Number(raceId), ...timingPoint });
+    }
+  );
+});
+
+// Route to remove a timing point that has no splits recorded at it
+app.delete('/api/races/:id/timing-points/:pointId', requireDirector, requireRaceState('amend'), (req, res) => {
+  const { id: raceId, pointId } = req.params;
+
+  db.run(
+    `DELETE FROM race_timing_points WHERE id = ? AND raceId = ?
+    AND NOT EXISTS (SELECT 1 FROM splits WHERE timingPointId = ?)`,
+    [pointId, raceId, pointId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(409).json({ error: 'Timing point not found, or it already has splits recorded' });
+      }
+      res.json({ success: true });
+    }
+  );
+});
+
+/**
+ * Insert a batch of client-identified rows in one transaction, skipping rows already stored
+ * A row we already hold is left as stored and reported back as known.
+ * @param {string} sql - An INSERT statement ending in ON CONFLICT (clientId) DO NOTHING
+ * @param {Array} items - The items to insert; each may carry a clientId
+ * @param {Function} toParams - Maps an item to the statement's parameters
+ * @param {Function} callback - Called with (err, { created, existing, savedCount })
+ * @param {Array} followUps - Further [sql, params] statements that must commit along with the rows
+ */
+function insertIdempotent(sql, items, toParams, callback, followUps = []) {
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+
+    const summary = { created: [], existing: [], savedCount: 0 };
+    let insertError = null;
+    const stmt = db.prepare(sql);
+
+    items.forEach(item => {
+      const clientId = item.clientId || null;
+
+      stmt.run(toParams(item), function(err) {
+        if (err) {
+          if (!insertError) insertError = err;
+          return;
+        }
+
+        if (this.changes > 0) {
+          summary.savedCount++;
+          if (clientId) summary.created.push(clientId);
+        } else {
+          summary.existing.push(clientId);
+        }
+      });
+    });
+
+    stmt.finalize(err => {
+      if (err || insertError) {
+        db.run('ROLLBACK');
+        return callback(insertError || err);
+      }
+
+      const next = index => {
+        if (index >= followUps.length) {
+          return db.run('COMMIT', err => callback(err, summary));
+        }
+
+        db.run(followUps[index][0], followUps[index][1], err => {
+          if (err) {
+            db.run('ROLLBACK');
+            return callback(err);
+          }
+          next(index + 1);
+        });
+      };
+
+      next(0);
+    });
+  });
+}
+
+/**
+ * Check that any client-generated IDs in an upload are usable
+ * @param {Array} items - The uploaded items
+ * @param {boolean} required - Whether every item must carry a clientId
+ * @returns {boolean} Whether the IDs are valid
+ */
+function hasValidClientIds(items, required = false) {
+  return items.every(item => {
+    if (item.clientId == null) return !required;
+    return typeof item.clientId === 'string' && item.clientId.length > 0 && item.clientId.length <= 64;
+  });
+}
+
+// Route to submit race results
+// Results are keyed on their client-generated clientId, so retrying an upload is safe
+app.post('/api/races/:id/results', requireRaceAccess, requireRaceState('record'), (req, res) => {
+  const raceId = req.params.id;
+  const { results, deviceId } = req.body;
+  
+  if (!results || !Array.isArray(results)) {
+    return res.status(400).json({ error: 'Results array is required' });
+  }
+
+  if (results.some(result => !result.runnerNumber || !result.finishTime)) {
+    return res.status(400).json({ error: 'Runner number and finish time are required for each result' });
+  }
+
+  if (!hasValidClientIds(results)) {
+    return res.status(400).json({ error: 'Result IDs must be strings of up to 64 characters' });
+  }
+
+  const uploadedAt = Date.now();
+
+  insertIdempotent(
+    `INSERT INTO results (raceId, clientId, runnerNumber, finishTime, clockOffset, clockUncertainty, uploadedBy, uploadedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (clientId) DO NOTHING`,
+    results,
+    result => {
+      const { clockOffset, clockUncertainty } = readClockOffset(result);
+      return [raceId, result.clientId || null, result.runnerNumber, result.finishTime, clockOffset, clockUncertainty, deviceId, uploadedAt];
+    },
+    (err, summary) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      let message = `${summary.savedCount} results saved successfully`;
+      if (summary.existing.length > 0) {
+        message += `, ${summary.existing.length} already uploaded`;
+      }
+
+      if (summary.savedCount > 0) {
+        publishResults(raceId, results.map(result => result.runnerNumber));
+      }
+
+      res.json({ success: true, created: summary.created, existing: summary.existing, message });
+    }
+  );
+});
+
+// Route to submit splits recorded at a race's timing points
+// Like results, splits are keyed on their client-generated clientId so retrying an upload is safe
+app.post('/api/races/:id/splits', requireRaceAccess, requireRaceState('record'), (req, res) => {
+  const raceId = req.params.id;
+  const { splits, deviceId } = req.body;
+
+  if (!splits || !Array.isArray(splits)) {
+    return res.status(400).json({ error: 'Splits array is required' });
+  }
+
+  if (splits.some(split => !split.runnerNumber || !split.splitTime || !split.timingPointId)) {
+    return res.status(400).json({ error: 'Runner number, timing point and split time are required for each split' });
+  }
+
+  if (!hasValidClientIds(splits)) {
+    return res.status(400).json({ error: 'Split IDs must be strings of up to 64 characters' });
+  }
+
+  loadTimingPoints(raceId, (err, timingPoints) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    const pointIds = new Set(timingPoints.map(point => point.id));
+    if (splits.some(split => !pointIds.has(Number(split.timingPointId)))) {
+      return res.status(400).json({ error: 'Every split must be for one of the race\'s timing points' });
+    }
+
+    const uploadedAt = Date.now();
+
+    insertIdempotent(
+      `INSERT INTO splits (raceId, timingPointId, clientId, runnerNumber, splitTime, clockOffset, clockUncertainty, uploadedBy, uploadedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (clientId) DO NOTHING`,
+      splits,
+      split => {
+        const { clockOffset, clockUncertainty } = readClockOffset(split);
+        return [
+          raceId, split.timingPointId, split.clientId || null, split.runnerNumber, split.splitTime,
+          clockOffset, clockUncertainty, deviceId, uploadedAt
+        ];
+      },
+      (err, summary) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+
+        let message = `${summary.savedCount} splits saved successfully`;
+        if (summary.existing.length > 0) {
+          message += `, ${summary.existing.length} already uploaded`;
+        }
+
+        // Splits are shown on each runner's result row
+        if (summary.savedCount > 0) {
+          publishResults(raceId, splits.map(split => split.runnerNumber));
+        }
+
+        res.json({ success: true, created: summary.created, existing: summary.existing, message });
+      }
+    );
+  });
+});
+
+/**
+ * Load a race and its start waves with its reconciled results, one per bib, in finishing order
+ * The race also carries its timing points and every split recorded at them, oldest first, and its
+ * non-finishers with their entrant details.
+ * Device clock offsets put finish, split and start times from every device on the server's timeline.
+ * @param {number} raceId - The race ID
+ * @param {Function} callback - Called with (err, race, reconciliation), where race is null if it doesn't exist
+ */
+function loadRaceResults(raceId, callback) {
+  db.get('SELECT * FROM races WHERE id = ? AND deletedAt IS NULL', [raceId], (err, race) => {
+    if (err || !race) {
+      return callback(err, null);
+    }
+
+    db.all(
+      `SELECT r.*, 
+      r.finishTime + COALESCE(r.clockOffset, 0) as normalisedFinishTime,
+      e.id as entrantId, e.runnerId, e.name, e.club, e.gender, e.dateOfBirth
+      FROM results r 
+      LEFT JOIN entrants e ON e.raceId = r.raceId AND e.bibNumber = r.runnerNumber
+      WHERE r.raceId = ? 
+      ORDER BY normalisedFinishTime ASC`,
+      [raceId],
+      (err, rows) => {
+        if (err) {
+          return callback(err);
+        }
+
+        db.all('SELECT runnerNumber, resultId FROM result_resolutions WHERE raceId = ?', [raceId], (err, resolutionRows) => {
+          if (err) {
+            return callback(err);
+          }
+
+          const resolutions = {};
+          resolutionRows.forEach(row => {
+            resolutions[row.runnerNumber] = row.resultId;
+          });
+
+          const reconciliation = reconcileResults(rows, {
+            rule: race.reconciliationRule,
+            primaryDeviceId: race.primaryDeviceId,
+            resolutions
+          });
+
+          loadWaves(raceId, (err, waves) => {
+            if (err) {
+              return callback(err);
+            }
+
+            loadTimingPoints(raceId, (err, timingPoints) => {
+              if (err) {
+                return callback(err);
+              }
+
+              db.all(
+                `SELECT timingPointId, runnerNumber, splitTime + COALESCE(clockOffset, 0) as splitTime
+                FROM splits WHERE raceId = ? ORDER BY splitTime ASC`,
+                [raceId],
+                (err, splits) => {
+                  if (err) {
+                    return callback(err);
+                  }
+
+                  db.all(
+                    `SELECT s.runnerNumber, s.status, s.reason,
+                    e.id as entrantId, e.runnerId, e.name, e.club, e.gender, e.dateOfBirth
+                    FROM runner_statuses s
+                    LEFT JOIN entrants e ON e.raceId = s.raceId AND e.bibNumber = s.runnerNumber
+                    WHERE s.raceId = ?`,
+                    [raceId],
+                    (err, statuses) => {
+                      if (err) {
+                        return callback(err);
+                      }
+                      callback(null, { ...race, waves, timingPoints, splits, statuses }, reconciliation);
+                    }
+                  );
+                }
+              );
+            });
+          });
+        });
+      }
+    );
+  });
+}
+
+/**
+ * Turn reconciled results into the rows shown on the results screen, in exports and on the live feed
+ * Each runner's race time runs from their wave's start, so positions follow race time rather than
+ * the order runners crossed the line. Runners whose wave hasn't started have no race time and come last.
+ * In races with timing points each row carries the runner's splits and any points they were missed at.
+ * Runners marked as not starting, not finishing or disqualified follow the finishers, without positions,
+ * in place of any finish they have.
+ * Entrants' dates of birth are used for age categories and age grades but never sent out.
+ * @param {Object} race - The race with its waves, as from loadRaceResults
+ * @param {Object} reconciliation - The reconciliation from loadRaceResults
+ * @returns {Array} The result rows in position order
+ */
+function toResultRows(race, reconciliation) {
+  const raceStartTime = race.startTime ? race.startTime + (race.startClockOffset || 0) : null;
+  const waves = race.waves || [];
+  const timingPoints = race.timingPoints || [];
+  const splitsByRunner = new Map();
+  (race.splits || []).forEach(split => {
+    if (!splitsByRunner.has(split.runnerNumber)) {
+      splitsByRunner.set(split.runnerNumber, []);
+    }
+    splitsByRunner.get(split.runnerNumber).push(split);
+  });
+  const statuses = new Map((race.statuses || []).map(status => [status.runnerNumber, status]));
+
+  // Work out a runner's category, wave and splits, shared by finishers and non-finishers
+  const describeRunner = (runner, finishTime) => {
+    const age = ageOnDate(runner.dateOfBirth, race.date);
+    const category = ageCategory(age, runner.gender);
+    const wave = assignWave(waves, { runnerNumber: runner.runnerNumber, gender: runner.gender, category });
+    const startTime = wave ? waveStartTime(wave) : raceStartTime;
+    const { splits, missedTimingPoints } = timingPoints.length > 0
+      ? buildSplits(timingPoints, splitsByRunner.get(runner.runnerNumber) || [], startTime, finishTime)
+      : { splits: [], missedTimingPoints: [] };
+
+    return { age, category, wave, startTime, splits, missedTimingPoints };
+  };
+
+  // Process results to include race time; a runner with a status is listed with the non-finishers instead
+  const rows = reconciliation.results.filter(row => !statuses.has(row.runnerNumber)).map(row => {
+    const { age, category, wave, startTime, splits, missedTimingPoints } = describeRunner(row, row.normalisedFinishTime);
+    const raceTime = startTime ? row.normalisedFinishTime - startTime : null;
+
+    return {
+      id: row.id,
+      clientId: row.clientId,
+      runnerNumber: row.runnerNumber,
+      entrantId: row.entrantId,
+      runnerId: row.runnerId,
+      name: row.name,
+      club: row.club,
+      gender: row.gender,
+      finishTime: row.normalisedFinishTime,
+      deviceFinishTime: row.finishTime,
+      clockOffset: row.clockOffset,
+      clockUncertainty: row.clockUncertainty,
+      raceTime,
+      wave: wave ? wave.name : null,
+      splits,
+      missedTimingPoints,
+      category,
+      ...paceAndSpeed(race.distance, raceTime),
+      ageGrade: ageGrade({ gender: row.gender, age, distance: race.distance, raceTime }),
+      status: null,
+      statusReason: null,
+      uploadedBy: row.uploadedBy,
+      uploadedAt: row.uploadedAt,
+      note: row.note,
+      needsReview: row.needsReview
+    };
+  });
+
+  // Array sort is stable, so runners level on race time stay in the order they finished
+  rows.sort((a, b) => (a.raceTime === null) - (b.raceTime === null) || a.raceTime - b.raceTime);
+  rows.forEach((row, index) => {
+    row.position = index + 1;
+  });
+
+  const nonFinishers = Array.from(statuses.values()).sort(compareStatuses).map(status => {
+    const { category, wave, splits, missedTimingPoints } = describeRunner(status, null);
+
+    return {
+      id: null,
+      runnerNumber: status.runnerNumber,
+      entrantId: status.entrantId,
+      runnerId: status.runnerId,
+      name: status.name,
+      club: status.club,
+      gender: status.gender,
+      finishTime: null,
+      raceTime: null,
+      wave: wave ? wave.name : null,
+      splits,
+      missedTimingPoints,
+      category,
+      ...paceAndSpeed(null, null),
+      ageGrade: null,
+      status: status.status,
+      statusReason: status.reason,
+      position: null,
+      genderPosition: null,
+      categoryPosition: null
+    };
+  });
+
+  return [...rankByCategory(rows), ...nonFinishers];
+}
+
+/**
+ * Describe a race for the live feed
+ * @param {Object} race - The race row
+ * @returns {Object} The race details spectators see, with the start and end on the server clock
+ */
+function toLiveRace(race) {
+  return {
+    id: race.id,
+    name: race.name,
+    date: race.date,
+    status: race.status,
+    startTime: race.startTime ? race.startTime + (race.startClockOffset || 0) : null,
+    endTime: race.endTime ? race.endTime + (race.endClockOffset || 0) : null
+  };
+}
+
+/**
+ * Push changed results to anyone following the race live
+ * Only the chosen result for each changed bib is sent, so followers see what the results screen shows.
+ * Without bibs the whole leaderboard is sent again, as needed after corrections that can move or remove rows.
+ * @param {number} raceId - The race ID
+ * @param {Array<number>} runnerNumbers - The bibs whose results changed, or null for everything
+ */
+function publishResults(raceId, runnerNumbers = null) {
+  if (!live.hasSubscribers(raceId)) return;
+
+  loadRaceResults(raceId, (err, race, reconciliation) => {
+    if (err || !race) {
+      return console.error('Live feed update failed:', err ? err.message : 'race not found');
+    }
+
+    const rows = toResultRows(race, reconciliation);
+
+    if (!runnerNumbers) {
+      return live.publish(raceId, 'snapshot', { race: toLiveRace(race), results: rows });
+    }
+
+    const changed = new Set(runnerNumbers.map(Number));
+    rows
+      .filter(row => changed.has(row.runnerNumber))
+      .forEach(row => live.publish(raceId, 'result', row));
+  });
+}
+
+// Route to follow a race live as Server-Sent Events
+// Every connection, including a reconnection, starts with a snapshot so followers catch up on what they missed
+app.get('/api/races/:id/live', (req, res) => {
+  const raceId = req.params.id;
+
+  db.get('SELECT id FROM races WHERE id = ?', [raceId], (err, race) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!race) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+
+    // Subscribe before reading, so nothing accepted while the snapshot loads is missed
+    live.subscribe(raceId, req, res);
+
+    loadRaceResults(raceId, (err, race, reconciliation) => {
+      if (err || !race) {
+        return res.end();
+      }
+      live.sendEvent(res, 'snapshot', { race: toLiveRace(race), results: toResultRows(race, reconciliation) });
+    });
+  });
+});
+
+// Route to list a race's non-finishers
+app.get('/api/races/:id/statuses', (req, res) => {
+  db.all(
+    'SELECT runnerNumber, status, reason, setBy, setAt FROM runner_statuses WHERE raceId = ? ORDER BY runnerNumber ASC',
+    [req.params.id],
+    (err, statuses) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.json(statuses);
+    }
+  );
+});
+
+// Route to mark a runner as not starting, not finishing or disqualified
+// Setting the same status again is harmless, so a marshal's device can replay it after being offline
+app.put('/api/races/:id/statuses/:runnerNumber', requireRaceAccess, requireRaceState('record'), (req, res) => {
+  const raceId = req.params.id;
+  const runnerNumber = Number(req.params.runnerNumber);
+  const { runnerStatus, error } = validateRunnerStatus(req.body);
+
+  if (!Number.isInteger(runnerNumber) || runnerNumber <= 0) {
+    return res.status(400).json({ error: 'Runner number must be a positive whole number' });
+  }
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const setAt = Date.now();
+
+  db.run(
+    `INSERT INTO runner_statuses (raceId, runnerNumber, status, reason, setBy, setAt)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (raceId, runnerNumber) DO UPDATE SET
+      status = excluded.status, reason = excluded.reason, setBy = excluded.setBy, setAt = excluded.setAt`,
+    [raceId, runnerNumber, runnerStatus.status, runnerStatus.reason, req.user.username, setAt],
+    err => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      // The runner moves between the finishers and non-finishers, changing everyone's positions
+      publishResults(raceId);
+      res.json({ runnerNumber, ...runnerStatus, setBy: req.user.username, setAt });
+    }
+  );
+});
+
+// Route to clear a runner's status, returning any finish they have to the results
+app.delete('/api/races/:id/statuses/:runnerNumber', requireRaceAccess, requireRaceState('record'), (req, res) => {
+  const raceId = req.params.id;
+
+  db.run(
+    'DELETE FROM runner_statuses WHERE raceId = ? AND runnerNumber = ?',
+    [raceId, req.params.runnerNumber],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'This runner has no status set' });
+      }
+
+      publishResults(raceId);
+      res.json({ success: true });
+    }
+  );
+});
+
+/**
+ * Send a race's results as JSON, filtered, sorted and paged as asked
+ * Without a page or limit every matching result is sent as a list. With one, a page is sent with the
+ * number of matching results, and the categories and results needing review across the whole race;
+ * find=<bib> picks the page that runner is on.
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Array} rows - The race's results from toResultRows
+ */
+function sendResultsList(req, res, rows) {
+  const { filters, error: filterError } = readResultFilters(req.query);
+  const { sort, error: sortError } = readSort(req.query, RESULT_SORTS, 'position');
+  const { page, error: pageError } = readPage(req.query);
+
+  if (filterError || sortError || pageError) {
+    return res.status(400).json({ error: filterError || sortError || pageError });
+  }
+
+  const results = listResults(rows, filters, sort);
+  if (!page) {
+    return res.json(results);
+  }
+
+  const find = req.query.find !== undefined ? Number(req.query.find) : null;
+  const foundIndex = find !== null ? results.findIndex(row => row.runnerNumber === find) : -1;
+  const pageNumber = foundIndex >= 0 ? Math.floor(foundIndex / page.limit) + 1 : page.page;
+  const offset = (pageNumber - 1) * page.limit;
+
+  res.json({
+    results: results.slice(offset, offset + page.limit),
+    total: results.length,
+    page: pageNumber,
+    limit: page.limit,
+    ...sort,
+    ...(find !== null ? { found: foundIndex >= 0 } : {}),
+    raceTotal: rows.length,
+    categories: Array.from(new Set(rows.map(row => row.category).filter(Boolean))).sort(),
+    needsReview: rows.filter(row => row.needsReview).length
+  });
+}
+
+// Route to get race results
+// Supports ?format=csv|json|html, or an Accept header asking for CSV or HTML, for a full export; otherwise
+// the results are listed by sendResultsList
+app.get('/api/races/:id/results', (req, res) => {
+  const raceId = req.params.id;
+  const requestedFormat = req.query.format
+    ? String(req.query.format).toLowerCase()
+    : { 'text/csv': 'csv', 'text/html': 'html' }[req.accepts(['application/json', 'text/csv', 'text/html'])] || null;
+
+  if (requestedFormat && !EXPORT_FORMATS.includes(requestedFormat)) {
+    return res.status(400).json({ error: `Format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  loadRaceResults(raceId, (err, race, reconciliation) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!race) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+
+    const processedResults = toResultRows(race, reconciliation);
+    
+    if (!requestedFormat) {
+      return sendResultsList(req, res, processedResults);
+    }
+    
+    const fileName = `${toFileName(race.name)}-results`;
+    
+    if (requestedFormat === 'csv') {
+      res.attachment(`${fileName}.csv`);
+      res.type('text/csv');
+      return res.send(renderResultsCsv(race, processedResults));
+    }
+    
+    if (requestedFormat === 'html') {
+      return res.type('html').send(renderResultsHtml(race, processedResults));
+    }
+    
+    res.attachment(`${fileName}.json`);
+    res.json(renderResultsJson(race, processedResults));
+  });
+});
+
+/**
+ * Describe a result for the audit log in the terms shown on the results screen
+ * @param {Object} row - The result row
+ * @returns {Object|null} The bib, normalised finish time and note, or null for no result
+ */
+function auditSnapshot(row) {
+  if (!row) return null;
+
+  return {
+    runnerNumber: row.runnerNumber,
+    finishTime: row.finishTime + (row.clockOffset || 0),
+    note: row.note || null
+  };
+}
+
+/**
+ * Read the fields a race official may set on a result
+ * A time can be given as a finish time on the server clock or as a race time from the runner's start.
+ * @param {Object} input - The request body
+ * @param {number|null} startTime - The runner's start on the server clock, from loadRunnerStart
+ * @param {boolean} requireAll - Whether the bib and time must both be present, as when adding a finish
+ * @returns {Object} Either { changes } with runnerNumber, finishTime and note as given, or { error }
+ */
+function readResultChanges(input, startTime, requireAll = false) {
+  const changes = {};
+
+  if (input.runnerNumber !== undefined) {
+    const runnerNumber = Number(input.runnerNumber);
+    if (!Number.isInteger(runnerNumber) || runnerNumber <= 0) {
+      return { error: 'Runner number must be a positive whole number' };
+    }
+    changes.runnerNumber = runnerNumber;
+  }
+
+  if (input.raceTime !== undefined) {
+    const raceTime = Number(input.raceTime);
+    if (!Number.isFinite(raceTime) || raceTime < 0) {
+      return { error: 'Race time must be a positive number of milliseconds' };
+    }
+    if (!startTime) {
+      return { error: 'A race time can only be given once the runner has started' };
+    }
+    changes.finishTime = startTime + Math.round(raceTime);
+  } else if (input.finishTime !== undefined) {
+    if (!Number.isInteger(input.finishTime)) {
+      return { error: 'Finish time must be a timestamp in milliseconds' };
+    }
+    changes.finishTime = input.finishTime;
+  }
+
+  if (input.note !== undefined) {
+    changes.note = input.note ? String(input.note).trim() : null;
+  }
+
+  if (requireAll && (changes.runnerNumber === undefined || changes.finishTime === undefined)) {
+    return { error: 'Runner number and a finish or race time are required' };
+  }
+
+  return { changes };
+}
+
+/**
+ * Change a single result and record the change in the audit log, in one transaction
+ * @param {string} sql - The statement that changes the result
+ * @param {Array} params - The statement's parameters
+ * @param {Object} audit - raceId, resultId (omit when inserting), action, changedBy, reason, before and after
+ * @param {Function} callback - Called with (err, resultId)
+ */
+function changeResult(sql, params, audit, callback) {
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+
+    db.run(sql, params, function(err) {
+      if (err) {
+        db.run('ROLLBACK');
+        return callback(err);
+      }
+
+      const resultId = audit.resultId || this.lastID;
+
+      db.run(
+        `INSERT INTO result_audit (raceId, resultId, action, changedBy, reason, before, after, changedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          audit.raceId, resultId, audit.action, audit.changedBy || null, audit.reason || null,
+          audit.before ? JSON.stringify(audit.before) : null,
+          audit.after ? JSON.stringify(audit.after) : null,
+          Date.now()
+        ],
+        err => {
+          if (err) {
+            db.run('ROLLBACK');
+            return callback(err);
+          }
+
+          db.run('COMMIT', err => callback(err, resultId));
+        }
+      );
+    });
+  });
+}
+
+// Route to add a finish that was missed at the line
+// Manual finishes are on the server clock, so they carry no clock offset
+app.post('/api/races/:id/results/manual', requireDirector, requireRaceState('record'), (req, res) => {
+  const raceId = req.params.id;
+  const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required when adding a finish manually' });
+  }
+
+  db.get('SELECT * FROM races WHERE id = ?', [raceId], (err, race) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!race) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+
+    loadRunnerStart(race, Number(req.body.runnerNumber), (err, startTime) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      const { changes, error } = readResultChanges(req.body, startTime, true);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const changedBy = req.user.username;
+      const row = { runnerNumber: changes.runnerNumber, finishTime: changes.finishTime, clockOffset: 0, note: changes.note };
+
+      changeResult(
+        `INSERT INTO results (raceId, clientId, runnerNumber, finishTime, clockOffset, uploadedBy, uploadedAt, note)
+        VALUES (?, ?, ?, ?, 0, ?, ?, ?)`,
+        [raceId, `manual-${crypto.randomUUID()}`, row.runnerNumber, row.finishTime, changedBy, Date.now(), row.note || null],
+        { raceId, action: 'create', changedBy, reason, after: auditSnapshot(row) },
+        (err, resultId) => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          publishResults(raceId, [row.runnerNumber]);
+          res.status(201).json({ id: resultId, ...auditSnapshot(row) });
+        }
+      );
+    });
+  });
+});
+
+// Route to correct a single result's bib, time or note
+app.put('/api/races/:id/results/:resultId', requireDirector, requireRaceState('record'), (req, res) => {
+  const { id: raceId, resultId } = req.params;
+
+  db.get('SELECT * FROM races WHERE id = ?', [raceId], (err, race) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!race) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+
+    db.get('SELECT * FROM results WHERE id = ? AND raceId = ?', [resultId, raceId], (err, result) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!result) {
+        return res.status(404).json({ error: 'Result not found' });
+      }
+
+      // A changed bib may put the runner in a different wave
+      const runnerNumber = req.body.runnerNumber !== undefined ? Number(req.body.runnerNumber) : result.runnerNumber;
+
+      loadRunnerStart(race, runnerNumber, (err, startTime) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+
+        const { changes, error } = readResultChanges(req.body, startTime);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        if (Object.keys(changes).length === 0) {
+          return res.status(400).json({ error: 'Nothing to change' });
+        }
+
+        // Keep the device's clock offset, storing the finish on the device's own clock as uploads do
+        const updated = { ...result, ...changes };
+        if (changes.finishTime !== undefined) {
+          updated.finishTime = changes.finishTime - (result.clockOffset || 0);
+        }
+
+        changeResult(
+          'UPDATE results SET runnerNumber = ?, finishTime = ?, note = ? WHERE id = ?',
+          [updated.runnerNumber, updated.finishTime, updated.note || null, resultId],
+          {
+            raceId,
+            resultId,
+            action: 'update',
+            changedBy: req.user.username,
+            reason: req.body.reason,
+            before: auditSnapshot(result),
+            after: auditSnapshot(updated)
+          },
+          err => {
+            if (err) {
+              return res.status(500).json({ error: err.message });
+            }
+            publishResults(raceId);
+            res.json({ id: Number(resultId), ...auditSnapshot(updated) });
+          }
+        );
+      });
+    });
+  });
+});
+
+// Route to delete a single result, such as a finish recorded for the wrong runner
+app.delete('/api/races/:id/results/:resultId', requireDirector, requireRaceState('record'), (req, res) => {
+  const { id: raceId, resultId } = req.params;
+  const body = req.body || {};
+
+  db.get('SELECT * FROM results WHERE id = ? AND raceId = ?', [resultId, raceId], (err, result) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!result) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+
+    changeResult(
+      'DELETE FROM results WHERE id = ?',
+      [resultId],
+      {
+        raceId,
+        resultId,
+        action: 'delete',
+        changedBy: req.user.username,
+        reason: body.reason,
+        before: auditSnapshot(result)
+      },
+      err => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        publishResults(raceId);
+        res.json({ success: true });
+      }
+    );
+  });
+});
+
+// Route to get the audit history of a single result, newest change first
+app.get('/api/races/:id/results/:resultId/history', requireDirector, (req, res) => {
+  db.all(
+    'SELECT * FROM result_audit WHERE raceId = ? AND resultId = ? ORDER BY changedAt DESC, id DESC',
+    [req.params.id, req.params.resultId],
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      res.json(rows.map(row => ({
+        ...row,
+        before: row.before ? JSON.parse(row.before) : null,
+        after: row.after ? JSON.parse(row.after) : null
+      })));
+    }
+  );
+});
+
+// Route to get the duplicate and conflicting results recorded across devices
+app.get('/api/races/:id/reconciliation', requireDirector, (req, res) => {
+  loadRaceResults(req.params.id, (err, race, reconciliation) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!race) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+
+    const { results, ...details } = reconciliation;
+    res.json({ raceId: race.id, rules: RECONCILIATION_RULES, ...details });
+  });
+});
+
+// Route to choose how results recorded on several devices are combined
+app.put('/api/races/:id/reconciliation', requireDirector, requireRaceState('amend'), (req, res) => {
+  const raceId = req.params.id;
+  const { rule } = req.body;
+  const primaryDeviceId = req.body.primaryDeviceId || null;
+
+  if (!RECONCILIATION_RULES.includes(rule)) {
+    return res.status(400).json({ error: `Rule must be one of ${RECONCILIATION_RULES.join(', ')}` });
+  }
+  if (rule === 'primary' && !primaryDeviceId) {
+    return res.status(400).json({ error: 'A primary device is required for the primary device rule' });
+  }
+
+  db.run(
+    'UPDATE races SET reconciliationRule = ?, primaryDeviceId = ? WHERE id = ?',
+    [rule, primaryDeviceId, raceId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Race not found' });
+      }
+      publishResults(raceId);
+      res.json({ id: raceId, reconciliationRule: rule, primaryDeviceId });
+    }
+  );
+});
+
+// Route to accept or override the result kept for a bib
+app.put('/api/races/:id/reconciliation/:runnerNumber', requireDirector, requireRaceState('amend'), (req, res) => {
+  const raceId = req.params.id;
+  const runnerNumber = Number(req.params.runnerNumber);
+  const resultId = Number(req.body.resultId);
+
+  db.get(
+    'SELECT id FROM results WHERE id = ? AND raceId = ? AND runnerNumber = ?',
+    [resultId, raceId, runnerNumber],
+    (err, result) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!result) {
+        return res.status(400).json({ error: `Result ${req.body.resultId} is not a result for bib ${runnerNumber} in this race` });
+      }
+
+      db.run(
+        `INSERT INTO result_resolutions (raceId, runnerNumber, resultId, resolvedAt)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (raceId, runnerNumber) DO UPDATE SET resultId = excluded.resultId, resolvedAt = excluded.resolvedAt`,
+        [raceId, runnerNumber, resultId, Date.now()],
+        err => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          publishResults(raceId);
+          res.json({ runnerNumber, resultId });
+        }
+      );
+    }
+  );
+});
+
+// Route to undo a decision, handing the bib back to the race's rule
+app.delete('/api/races/:id/reconciliation/:runnerNumber', requireDirector, requireRaceState('amend'), (req, res) => {
+  db.run(
+    'DELETE FROM result_resolutions WHERE raceId = ? AND runnerNumber = ?',
+    [req.params.id, req.params.runnerNumber],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'No decision recorded for this bib' });
+      }
+      publishResults(req.params.id);
+      res.json({ success: true });
+    }
+  );
+});
+
+/**
+ * Load the unmerged split-role finish data for a race, lined up by position
+ * Times are ordered on the server timeline; bibs in the order the collector took them.
+ * @param {number} raceId - The race ID
+ * @param {Function} callback - Called with (err, state), where state is null if the race doesn't exist
+ */
+function loadPairingState(raceId, callback) {
+  db.get('SELECT id, pairingMode FROM races WHERE id = ?', [raceId], (err, race) => {
+    if (err || !race) {
+      return callback(err, null);
+    }
+
+    db.all(
+      `SELECT *, finishTime + COALESCE(clockOffset, 0) as normalisedFinishTime
+      FROM pairing_times
+      WHERE raceId = ? AND merged = 0
+      ORDER BY normalisedFinishTime ASC, id ASC`,
+      [raceId],
+      (err, times) => {
+        if (err) {
+          return callback(err);
+        }
+
+        db.all(
+          'SELECT * FROM pairing_bibs WHERE raceId = ? AND merged = 0 ORDER BY sequence ASC, id ASC',
+          [raceId],
+          (err, bibs) => {
+            if (err) {
+              return callback(err);
+            }
+
+            const pairs = [];
+            for (let i = 0; i < Math.max(times.length, bibs.length); i++) {
+              pairs.push({
+                position: i + 1,
+                time: times[i] ? { id: times[i].id, finishTime: times[i].normalisedFinishTime, deviceId: times[i].deviceId } : null,
+                bib: bibs[i] ? { id: bibs[i].id, runnerNumber: bibs[i].runnerNumber, deviceId: bibs[i].deviceId } : null
+              });
+            }
+
+            callback(null, {
+              raceId: race.id,
+              enabled: Boolean(race.pairingMode),
+              timeCount: times.length,
+              bibCount: bibs.length,
+              mismatch: times.length !== bibs.length,
+              pairs,
+              times,
+              bibs
+            });
+          }
+        );
+      }
+    );
+  });
+}
+
+// Route to get the split-role finish data waiting to be merged
+app.get('/api/races/:id/pairing', requireRaceAccess, (req, res) => {
+  loadPairingState(req.params.id, (err, state) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!state) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+
+    const { times, bibs, ...summary } = state;
+    res.json(summary);
+  });
+});
+
+// Route to turn split-role finish recording on or off for a race
+app.put('/api/races/:id/pairing', requireDirector, requireRaceState('amend'), (req, res) => {
+  const raceId = req.params.id;
+  const enabled = Boolean(req.body.enabled);
+
+  db.run('UPDATE races SET pairingMode = ? WHERE id = ?', [enabled ? 1 : 0, raceId], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+    res.json({ id: raceId, pairingMode: enabled });
+  });
+});
+
+// Route for the timekeeper device to upload ordered, time-only finishes
+app.post('/api/races/:id/pairing/times', requireRaceAccess, requireRaceState('record'), (req, res) => {
+  const raceId = req.params.id;
+  const { times, deviceId } = req.body;
+
+  if (!Array.isArray(times) || times.some(time => !Number.isInteger(time.finishTime))) {
+    return res.status(400).json({ error: 'A times array with a finish time for each entry is required' });
+  }
+  if (!hasValidClientIds(times, true)) {
+    return res.status(400).json({ error: 'Each time needs an ID of up to 64 characters' });
+  }
+
+  const uploadedAt = Date.now();
+
+  insertIdempotent(
+    `INSERT INTO pairing_times (raceId, clientId, deviceId, finishTime, clockOffset, clockUncertainty, uploadedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (clientId) DO NOTHING`,
+    times,
+    time => {
+      const { clockOffset, clockUncertainty } = readClockOffset(time);
+      return [raceId, time.clientId, deviceId, time.finishTime, clockOffset, clockUncertainty, uploadedAt];
+    },
+    (err, summary) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.json({ success: true, ...summary, message: `${summary.savedCount} finish times saved` });
+    }
+  );
+});
+
+// Route for the bib collector device to upload ordered, bib-only finishes
+app.post('/api/races/:id/pairing/bibs', requireRaceAccess, requireRaceState('record'), (req, res) => {
+  const raceId = req.params.id;
+  const { bibs, deviceId } = req.body;
+
+  const isValidBib = bib => Number.isFinite(bib.sequence) &&
+    (bib.runnerNumber === null || (Number.isInteger(bib.runnerNumber) && bib.runnerNumber > 0));
+
+  if (!Array.isArray(bibs) || !bibs.every(isValidBib)) {
+    return res.status(400).json({ error: 'A bibs array with a sequence number and bib number for each entry is required' });
+  }
+  if (!hasValidClientIds(bibs, true)) {
+    return res.status(400).json({ error: 'Each bib needs an ID of up to 64 characters' });
+  }
+
+  const uploadedAt = Date.now();
+
+  insertIdempotent(
+    `INSERT INTO pairing_bibs (raceId, clientId, deviceId, sequence, runnerNumber, uploadedAt)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (clientId) DO NOTHING`,
+    bibs,
+    bib => [raceId, bib.clientId, deviceId, bib.sequence, bib.runnerNumber, uploadedAt],
+    (err, summary) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.json({ success: true, ...summary, message: `${summary.savedCount} bibs saved` });
+    }
+  );
+});
+
+// Route to insert an unknown-bib placeholder so a finish time without a bib keeps the rest aligned
+app.post('/api/races/:id/pairing/gaps', requireDirector, requireRaceState('record'), (req, res) => {
+  const raceId = req.params.id;
+  const position = Number(req.body.position);
+
+  if (!Number.isInteger(position) || position < 1) {
+    return res.status(400).json({ error: 'Position must be a whole number from 1' });
+  }
+
+  loadPairingState(raceId, (err, state) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!state) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+
+    // Slot the placeholder between the bibs either side of the position
+    const before = state.bibs[position - 2];
+    const after = state.bibs[position - 1];
+    let sequence = 1;
+    if (before && after) sequence = (before.sequence + after.sequence) / 2;
+    else if (before) sequence = before.sequence + 1;
+    else if (after) sequence = after.sequence - 1;
+
+    db.run(
+      `INSERT INTO pairing_bibs (raceId, clientId, deviceId, sequence, runnerNumber, uploadedAt)
+      VALUES (?, ?, ?, ?, NULL, ?)`,
+      [raceId, `gap-${crypto.randomUUID()}`, null, sequence, Date.now()],
+      function(err) {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        res.json({ id: this.lastID, position, runnerNumber: null });
+      }
+    );
+  });
+});
+
+// Route to discard an unmerged finish time, such as an accidental tap
+app.delete('/api/races/:id/pairing/times/:timeId', requireDirector, requireRaceState('record'), (req, res) => {
+  db.run(
+    'DELETE FROM pairing_times WHERE id = ? AND raceId = ? AND merged = 0',
+    [req.params.timeId, req.params.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Finish time not found' });
+      }
+      res.json({ success: true });
+    }
+  );
+});
+
+// Route to discard an unmerged bib, such as one collected twice
+app.delete('/api/races/:id/pairing/bibs/:bibId', requireDirector, requireRaceState('record'), (req, res) => {
+  db.run(
+    'DELETE FROM pairing_bibs WHERE id = ? AND raceId = ? AND merged = 0',
+    [req.params.bibId, req.params.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Bib not found' });
+      }
+      res.json({ success: true });
+    }
+  );
+});
+
+// Route to merge paired times and bibs into race results
+// Refuses while the counts differ, so a human resolves the mismatch first
+app.post('/api/races/:id/pairing/merge', requireDirector, requireRaceState('record'), (req, res) => {
+  const raceId = req.params.id;
+
+  loadPairingState(raceId, (err, state) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!state) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+    if (state.mismatch) {
+      return res.status(409).json({
+        error: `There are ${state.timeCount} finish times but ${state.bibCount} bibs. Resolve the difference before merging.`,
+        timeCount: state.timeCount,
+        bibCount: state.bibCount
+      });
+    }
+    if (state.timeCount === 0) {
+      return res.status(400).json({ error: 'There is nothing to merge' });
+    }
+
+    const uploadedAt = Date.now();
+    const pairs = state.times.map((time, index) => ({ time, bib: state.bibs[index] }));
+    const placeholders = ids => ids.map(() => '?').join(', ');
+    const timeIds = state.times.map(time => time.id);
+    const bibIds = state.bibs.map(bib => bib.id);
+
+    // Finish times paired with an unknown-bib placeholder are dropped rather than published. The times and
+    // bibs are marked merged in the same transaction, so they can't be merged again once the results exist.
+    insertIdempotent(
+      `INSERT INTO results (raceId, clientId, runnerNumber, finishTime, clockOffset, clockUncertainty, uploadedBy, uploadedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (clientId) DO NOTHING`,
+      pairs.filter(pair => pair.bib.runnerNumber).map(pair => ({ clientId: pair.time.clientId, ...pair })),
+      ({ time, bib }) => [
+        raceId, time.clientId, bib.runnerNumber, time.finishTime,
+        time.clockOffset, time.clockUncertainty, time.deviceId, uploadedAt
+      ],
+      (err, summary) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+
+        publishResults(raceId, pairs.map(pair => pair.bib.runnerNumber).filter(Boolean));
+        res.json({
+          success: true,
+          merged: summary.savedCount,
+          skipped: pairs.length - summary.savedCount,
+          message: `${summary.savedCount} results produced from paired finishes`
+        });
+      },
+      [
+        [`UPDATE pairing_times SET merged = 1 WHERE id IN (${placeholders(timeIds)})`, timeIds],
+        [`UPDATE pairing_bibs SET merged = 1 WHERE id IN (${placeholders(bibIds)})`, bibIds]
+      ]
+    );
+  });
+});
+
+/**
+ * Validate and normalise an entrant submitted by the client
+ * @param {Object} input - The raw entrant fields
+ * @returns {Object} Either { entrant } with cleaned fields or { error } with a message
+ */
+function validateEntrant(input) {
+  const bibNumber = Number(input.bibNumber);
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  const club = typeof input.club === 'string' ? input.club.trim() : '';
+  const gender = typeof input.gender === 'string' ? input.gender.trim().toUpperCase() : '';
+  const dateOfBirth = typeof input.dateOfBirth === 'string' ? input.dateOfBirth.trim() : '';
+  const emergencyContact = typeof input.emergencyContact === 'string' ? input.emergencyContact.trim() : '';
+
+  if (!Number.isInteger(bibNumber) || bibNumber <= 0) {
+    return { error: 'Bib number must be a positive whole number' };
+  }
+  if (!name) {
+    return { error: 'Name is required' };
+  }
+  if (gender && !ENTRANT_GENDERS.includes(gender)) {
+    return { error: `Gender must be one of ${ENTRANT_GENDERS.join(', ')}` };
+  }
+  if (dateOfBirth && !isValidDate(dateOfBirth)) {
+    return { error: 'Date of birth must be a valid date in YYYY-MM-DD format' };
+  }
+
+  return {
+    entrant: {
+      bibNumber,
+      name,
+      club: club || null,
+      gender: gender || null,
+      dateOfBirth: dateOfBirth || null,
+      emergencyContact: emergencyContact || null
+    }
+  };
+}
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} value - The date string
+ * @returns {boolean} Whether the date is valid
+ */
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Link entrants to the runner profiles they belong to, creating a profile for each new runner
+ * Entrants are matched to runners by name and date of birth. A runner's club follows the entry
+ * most recently linked to them.
+ * @param {number|null} raceId - The race whose unlinked entrants to link, or null for every race
+ * @param {Function} callback - Called with (err)
+ */
+function linkRunners(raceId, callback) {
+  const query = raceId === null
+    ? ['SELECT * FROM entrants WHERE runnerId IS NULL ORDER BY id ASC', []]
+    : ['SELECT * FROM entrants WHERE runnerId IS NULL AND raceId = ? ORDER BY id ASC', [raceId]];
+
+  db.all(query[0], query[1], (err, entrants) => {
+    if (err) {
+      return callback(err);
+    }
+
+    db.all('SELECT id, name, dateOfBirth FROM runners', (err, runners) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const runnerIds = new Map(runners.map(runner => [runnerKey(runner), runner.id]));
+
+      // One entrant at a time, so two entries for a new runner share the profile made for the first
+      const next = index => {
+        if (index >= entrants.length) {
+          return callback(null);
+        }
+
+        const entrant = entrants[index];
+        const key = runnerKey(entrant);
+
+        const link = runnerId => {
+          runnerIds.set(key, runnerId);
+          db.run('UPDATE entrants SET runnerId = ? WHERE id = ?', [runnerId, entrant.id], err => {
+            if (err) {
+              return callback(err);
+            }
+            next(index + 1);
+          });
+        };
+
+        if (runnerIds.has(key)) {
+          const runnerId = runnerIds.get(key);
+          return db.run('UPDATE runners SET club = ? WHERE id = ?', [entrant.club, runnerId], err => {
+            if (err) {
+              return callback(err);
+            }
+            link(runnerId);
+          });
+        }
+
+        db.run(
+          'INSERT INTO runners (name, gender, dateOfBirth, club, createdAt) VALUES (?, ?, ?, ?, ?)',
+          [entrant.name, entrant.gender, entrant.dateOfBirth, entrant.club, Date.now()],
+          function(err) {
+            if (err) {
+              return callback(err);
+            }
+            link(this.lastID);
+          }
+        );
+      };
+
+      next(0);
+    });
+  });
+}
+
+// Route to get all entrants for a race
+app.get('/api/races/:id/entrants', requireDirector, (req, res) => {
+  const raceId = req.params.id;
+
+  db.all(
+    'SELECT * FROM entrants WHERE raceId = ? ORDER BY bibNumber ASC',
+    [raceId],
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.json(rows);
+    }
+  );
+});
+
+// Route to add an entrant to a race
+app.post('/api/races/:id/entrants', requireDirector, requireRaceState('amend'), (req, res) => {
+  const raceId = req.params.id;
+  const { entrant, error } = validateEntrant(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.get('SELECT id FROM races WHERE id = ?', [raceId], (err, race) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!race) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+
+    db.run(
+      `INSERT INTO entrants (raceId, bibNumber, name, club, gender, dateOfBirth, emergencyContact)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [raceId, entrant.bibNumber, entrant.name, entrant.club, entrant.gender, entrant.dateOfBirth, entrant.emergencyContact],
+      function(err) {
+        if (err) {
+          if (err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: `Bib ${entrant.bibNumber} is already assigned in this race` });
+          }
+          return res.status(500).json({ error: err.message });
+        }
+
+        const entrantId = this.lastID;
+        linkRunners(raceId, err => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          res.json({ id: entrantId, raceId: Number(raceId), ...entrant });
+        });
+      }
+    );
+  });
+});
+
+// Route to update an entrant
+app.put('/api/races/:id/entrants/:entrantId', requireDirector, requireRaceState('amend'), (req, res) => {
+  const { id: raceId, entrantId } = req.params;
+  const { entrant, error } = validateEntrant(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // The entrant is linked again, as a corrected name or date of birth may belong to a different runner
+  db.run(
+    `UPDATE entrants
+    SET bibNumber = ?, name = ?, club = ?, gender = ?, dateOfBirth = ?, emergencyContact = ?, runnerId = NULL
+    WHERE id = ? AND raceId = ?`,
+    [entrant.bibNumber, entrant.name, entrant.club, entrant.gender, entrant.dateOfBirth, entrant.emergencyContact, entrantId, raceId],
+    function(err) {
+      if (err) {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+          return res.status(409).json({ error: `Bib ${entrant.bibNumber} is already assigned in this race` });
+        }
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Entrant not found' });
+      }
+
+      linkRunners(raceId, err => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        res.json({ id: Number(entrantId), raceId: Number(raceId), ...entrant });
+      });
+    }
+  );
+});
+
+// Route to remove an entrant from a race
+app.delete('/api/races/:id/entrants/:entrantId', requireDirector, requireRaceState('amend'), (req, res) => {
+  const { id: raceId, entrantId } = req.params;
+
+  db.run(
+    'DELETE FROM entrants WHERE id = ? AND raceId = ?',
+    [entrantId, raceId],
+    function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Entrant not found' });
+      }
+      res.json({ success: true, message: 'Entrant deleted successfully' });
+    }
+  );
+});
+
+const IMPORT_FIELDS = ['bibNumber', 'name', 'club', 'gender', 'dateOfBirth', 'emergencyContact'];
+
+// Header names we recognise when suggesting a column mapping for an import
+const IMPORT_HEADER_ALIASES = {
+  bibNumber: ['bib', 'bib number', 'bib no', 'number', 'race number', 'runner number'],
+  name: ['name', 'full name', 'runner', 'runner name', 'entrant'],
+  club: ['club', 'team', 'affiliation'],
+  gender: ['gender', 'sex'],
+  dateOfBirth: ['dob', 'date of birth', 'birth date', 'birthdate', 'birthday'],
+  emergencyContact: ['emergency contact', 'emergency', 'ice', 'emergency phone', 'emergency contact number']
+};
+
+/**
+ * Suggest which CSV column holds each entrant field based on the header names
+ * @param {Array<string>} headers - The CSV header row
+ * @returns {Object} Map of entrant field to header name
+ */
+function guessImportMapping(headers) {
+  const mapping = {};
+  const normalised = headers.map(header => header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim());
+
+  IMPORT_FIELDS.forEach(field => {
+    const index = normalised.findIndex(header => IMPORT_HEADER_ALIASES[field].includes(header));
+    if (index >= 0) {
+      mapping[field] = headers[index];
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Convert spreadsheet-style values in an imported row into the API's formats
+ * Dates may be given as DD/MM/YYYY and genders spelt out in full.
+ * @param {Object} input - The raw entrant fields from the CSV
+ * @returns {Object} The entrant fields ready for validation
+ */
+function normaliseImportedEntrant(input) {
+  const entrant = { ...input };
+
+  const ukDate = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(entrant.dateOfBirth || '');
+  if (ukDate) {
+    entrant.dateOfBirth = `${ukDate[3]}-${ukDate[2].padStart(2, '0')}-${ukDate[1].padStart(2, '0')}`;
+  }
+
+  const gender = (entrant.gender || '').trim().toLowerCase();
+  if (gender === 'male') entrant.gender = 'M';
+  if (gender === 'female') entrant.gender = 'F';
+
+  return entrant;
+}
+
+// Route to validate and import entrants from a CSV file
+app.post('/api/races/:id/entrants/import', requireDirector, requireRaceState('amend'), (req, res) => {
+  const raceId = req.params.id;
+  const { csv, replaceExisting = false, dryRun = false } = req.body;
+
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return res.status(400).json({ error: 'CSV text is required' });
+  }
+
+  const rows = parseCsv(csv);
+  if (rows.length < 2) {
+    return res.status(400).json({ error: 'The CSV must have a header row and at least one entrant' });
+  }
+
+  // A mapping, when given, names the CSV column for each entrant field
+  const { mapping: chosenMapping = null } = req.body;
+  if (chosenMapping !== null && (typeof chosenMapping !== 'object' || Array.isArray(chosenMapping)
+    || Object.values(chosenMapping).some(header => header && typeof header !== 'string'))) {
+    return res.status(400).json({ error: 'mapping must be an object of entrant fields and CSV column names' });
+  }
+
+  const headers = rows[0].map(header => header.trim());
+  const mapping = chosenMapping || guessImportMapping(headers);
+
+  const unknownHeader = Object.values(mapping).find(header => header && !headers.includes(header));
+  if (unknownHeader) {
+    return res.status(400).json({ error: `Column "${unknownHeader}" is not in the CSV` });
+  }
+
+  db.get('SELECT id FROM races WHERE id = ?', [raceId], (err, race) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!race) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+
+    db.all('SELECT bibNumber FROM entrants WHERE raceId = ?', [raceId], (err, existing) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      const existingBibs = new Set(replaceExisting ? [] : existing.map(row => row.bibNumber));
+      const bibRows = new Map();
+      const entrants = [];
+      const errors = [];
+
+      if (!mapping.bibNumber || !mapping.name) {
+        errors.push({ row: 1, message: 'Map a column to both bib number and name before importing' });
+      } else {
+        rows.slice(1).forEach((row, index) => {
+          // Row numbers match the spreadsheet, where the header is row 1
+          const rowNumber = index + 2;
+          const input = {};
+
+          IMPORT_FIELDS.forEach(field => {
+            if (mapping[field]) {
+              input[field] = (row[headers.indexOf(mapping[field])] || '').trim();
+            }
+          });
+
+          const { entrant, error } = validateEntrant(normaliseImportedEntrant(input));
+
+          if (error) {
+            errors.push({ row: rowNumber, message: error });
+            return;
+          }
+          if (bibRows.has(entrant.bibNumber)) {
+            errors.push({ row: rowNumber, message: `Bib ${entrant.bibNumber} is also used on row ${bibRows.get(entrant.bibNumber)}` });
+            return;
+          }
+          if (existingBibs.has(entrant.bibNumber)) {
+            errors.push({ row: rowNumber, message: `Bib ${entrant.bibNumber} is already assigned in this race` });
+            return;
+          }
+
+          bibRows.set(entrant.bibNumber, rowNumber);
+          entrants.push(entrant);
+        });
+      }
+
+      const report = {
+        headers,
+        mapping,
+        totalRows: rows.length - 1,
+        validRows: entrants.length,
+        errors,
+        imported: 0,
+        committed: false
+      };
+
+      if (errors.length > 0) {
+        return res.status(dryRun ? 200 : 422).json(report);
+      }
+      if (dryRun) {
+        return res.json(report);
+      }
+
+      // Import everything in one transaction so a failure leaves the race untouched
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        if (replaceExisting) {
+          db.run('DELETE FROM entrants WHERE raceId = ?', [raceId]);
+        }
+
+        let insertError = null;
+        const stmt = db.prepare(
+          `INSERT INTO entrants (raceId, bibNumber, name, club, gender, dateOfBirth, emergencyContact)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`
+        );
+
+        entrants.forEach(entrant => {
+          stmt.run(
+            [raceId, entrant.bibNumber, entrant.name, entrant.club, entrant.gender, entrant.dateOfBirth, entrant.emergencyContact],
+            err => {
+              if (err && !insertError) insertError = err;
+            }
+          );
+        });
+
+        stmt.finalize(err => {
+          if (err || insertError) {
+            db.run('ROLLBACK');
+            return res.status(500).json({ error: (insertError || err).message });
+          }
+
+          db.run('COMMIT', err => {
+            if (err) {
+              return res.status(500).json({ error: err.message });
+            }
+
+            linkRunners(raceId, err => {
+              if (err) {
+                return res.status(500).json({ error: err.message });
+              }
+              res.json({ ...report, imported: entrants.length, committed: true });
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+// Route to get race details including start time
+app.get('/api/races/:id', (req, res) => {
+  const raceId = req.params.id;
+
+  db.get('SELECT * FROM races WHERE id = ?', [raceId], (err, row) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!row) {
+      return res.status(404).json({ error: 'Race not found' });
+    }
+    res.json({ ...row, actions: availableActions(row.status) });
+  });
+});
+
+/**
+ * Load a series with its scoring rule and member race IDs
+ * @param {number} seriesId - The series ID
+ * @param {Function} callback - Called with (err, series), where series is null if it doesn't exist
+ */
+function loadSeries(seriesId, callback) {
+  db.get('SELECT * FROM series WHERE id = ?', [seriesId], (err, series) => {
+    if (err || !series) {
+      return callback(err, null);
+    }
+
+    db.all(
+      `SELECT sr.raceId FROM series_races sr
+      JOIN races r ON r.id = sr.raceId
+      WHERE sr.seriesId = ? AND r.deletedAt IS NULL
+      ORDER BY r.date ASC, r.id ASC`,
+      [seriesId],
+      (err, rows) => {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, { ...series, raceIds: rows.map(row => row.raceId) });
+      }
+    );
+  });
+}
+
+/**
+ * Load the results of each of a series' races, or of the races a runner entered, one race at a time
+ * Each result keeps its entrant's date of birth so runners can be matched across races.
+ * @param {Array<number>} raceIds - The races in date order
+ * @param {Function} callback - Called with (err, races), each { race, results }
+ */
+function loadSeriesResults(raceIds, callback) {
+  const races = [];
+
+  const next = index => {
+    if (index >= raceIds.length) {
+      return callback(null, races);
+    }
+
+    loadRaceResults(raceIds[index], (err, race, reconciliation) => {
+      if (err) {
+        return callback(err);
+      }
+      if (race) {
+        const datesOfBirth = new Map(reconciliation.results.map(row => [row.id, row.dateOfBirth]));
+        const results = toResultRows(race, reconciliation).map(result => ({
+          ...result,
+          dateOfBirth: datesOfBirth.get(result.id)
+        }));
+        races.push({ race, results });
+      }
+      next(index + 1);
+    });
+  };
+
+  next(0);
+}
+
+/**
+ * Save a series' details and replace its member races in one transaction
+ * @param {number|null} seriesId - The series to update, or null to create one
+ * @param {Object} series - The validated series
+ * @param {Function} callback - Called with (err, seriesId), where seriesId is null if the series doesn't exist
+ */
+function saveSeries(seriesId, series, callback) {
+  const placeholders = series.raceIds.map(() => '?').join(', ');
+  const raceQuery = series.raceIds.length > 0
+    ? `SELECT COUNT(*) as count FROM races WHERE id IN (${placeholders}) AND deletedAt IS NULL`
+    : 'SELECT 0 as count';
+
+  db.get(raceQuery, series.raceIds, (err, row) => {
+    if (err) {
+      return callback(err);
+    }
+    if (row.count !== series.raceIds.length) {
+      const error = new Error('Some of the races do not exist');
+      error.status = 400;
+      return callback(error);
+    }
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+
+      const fields = [series.name, series.scoreBy, series.firstPlacePoints, series.bestOf];
+      const save = seriesId
+        ? ['UPDATE series SET name = ?, scoreBy = ?, firstPlacePoints = ?, bestOf = ? WHERE id = ?', [...fields, seriesId]]
+        : ['INSERT INTO series (name, scoreBy, firstPlacePoints, bestOf, createdAt) VALUES (?, ?, ?, ?, ?)', [...fields, Date.now()]];
+
+      db.run(save[0], save[1], function(err) {
+        if (err || this.changes === 0) {
+          db.run('ROLLBACK');
+          return callback(err, null);
+        }
+
+        const id = seriesId || this.lastID;
+        // Races in the trash aren't shown as members, so they keep their place until purged
+        db.run('DELETE FROM series_races WHERE seriesId = ? AND raceId NOT IN (SELECT id FROM races WHERE deletedAt IS NOT NULL)', [id]);
+
+        const stmt = db.prepare('INSERT INTO series_races (seriesId, raceId) VALUES (?, ?)');
+        series.raceIds.forEach(raceId => stmt.run(id, raceId));
+
+        stmt.finalize(err => {
+          if (err) {
+            db.run('ROLLBACK');
+            return callback(err);
+          }
+
+          db.run('COMMIT', err => callback(err, id));
+        });
+      });
+    });
+  });
+}
+
+// Route to list the championship series
+app.get('/api/series', (req, res) => {
+  db.all(
+    `SELECT s.*, COUNT(r.id) as raceCount
+    FROM series s
+    LEFT JOIN series_races sr ON sr.seriesId = s.id
+    LEFT JOIN races r ON r.id = sr.raceId AND r.deletedAt IS NULL
+    GROUP BY s.id
+    ORDER BY s.createdAt DESC`,
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.json(rows);
+    }
+  );
+});
+
+// Route to create a series from existing races
+app.post('/api/series', requireDirector, (req, res) => {
+  const { series, error } = validateSeries(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  saveSeries(null, series, (err, seriesId) => {
+    if (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+    res.status(201).json({ id: seriesId, ...series });
+  });
+});
+
+// Route to get a series with its scoring rule and races
+app.get('/api/series/:seriesId', (req, res) => {
+  loadSeries(req.params.seriesId, (err, series) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    res.json(series);
+  });
+});
+
+// Route to change a series' name, scoring rule or races
+app.put('/api/series/:seriesId', requireDirector, (req, res) => {
+  const { series, error } = validateSeries(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  saveSeries(req.params.seriesId, series, (err, seriesId) => {
     if (err) {
-      return res.status(500).json({ error: err.message });
+      return res.status(err.status || 500).json({ error: err.message });
     }
-    res.json(rows);
+    if (!seriesId) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    res.json({ id: seriesId, ...series });
   });
 });
 
-// Route to delete a race
-app.delete('/api/races/:id', (req, res) => {
-    const raceId = req.params.id;
-  
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION');
-  
-      // First delete all results for this race
-      db.run('DELETE FROM results WHERE raceId = ?', [raceId], function(err) {
+// Route to delete a series; its races and their results are kept
+app.delete('/api/series/:seriesId', requireDirector, (req, res) => {
+  const seriesId = req.params.seriesId;
+
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+    db.run('DELETE FROM series_races WHERE seriesId = ?', [seriesId]);
+    db.run('DELETE FROM series WHERE id = ?', [seriesId], function(err) {
+      if (err || this.changes === 0) {
+        db.run('ROLLBACK');
+        return err
+          ? res.status(500).json({ error: err.message })
+          : res.status(404).json({ error: 'Series not found' });
+      }
+
+      db.run('COMMIT', err => {
         if (err) {
-          db.run('ROLLBACK');
           return res.status(500).json({ error: err.message });
         }
-  
-        // Then delete the race itself
-        db.run('DELETE FROM races WHERE id = ?', [raceId], function(err) {
+        res.json({ success: true });
+      });
+    });
+  });
+});
+
+// Route to get a series' standings
+// Scored from the member races' current results on every request, so corrections show straight away
+app.get('/api/series/:seriesId/standings', (req, res) => {
+  loadSeries(req.params.seriesId, (err, series) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    loadSeriesResults(series.raceIds, (err, races) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.json({ series, ...scoreSeries(series, races) });
+    });
+  });
+});
+
+/**
+ * Delete everything recorded for a race, one table at a time, leaving the race itself
+ * Runs within the caller's transaction.
+ * @param {Object} connection - The database connection the transaction is on
+ * @param {number} raceId - The race ID
+ * @param {Array<string>} keep - Tables whose rows for the race are kept
+ * @param {Function} callback - Called with (err)
+ */
+function deleteRaceRows(connection, connection, raceId, keep, callback) {
+  const tables = RACE_CHILD_TABLES.filter(table => !keep.includes(table));
+
+  const next = index => {
+    if (index >= tables.length) {
+      return callback(null);
+    }
+
+    connection.run(`DELETE FROM ${tables[index]} WHERE raceId = ?`, [raceId], err => {
+      if (err) {
+        return callback(err);
+      }
+      next(index + 1);
+    });
+  };
+
+  next(0);
+}
+
+/**
+ * Load races with every row that belongs to them, as they are kept in a backup archive
+ * Each row keeps its id so rows that refer to it can be matched up on restore. Marshals are kept by
+ * username, as user accounts aren't part of an archive.
+ * @param {Array<number>|null} raceIds - The races to load, or null for every race
+ * @param {Function} callback - Called with (err, races) in date order
+ */
+function loadArchiveRaces(raceIds, callback) {
+  const query = raceIds
+    ? [`SELECT * FROM races WHERE id IN (${raceIds.map(() => '?').join(', ')}) AND deletedAt IS NULL ORDER BY date ASC, id ASC`, raceIds]
+    : ['SELECT * FROM races WHERE deletedAt IS NULL ORDER BY date ASC, id ASC', []];
+
+  db.all(query[0], query[1], (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const races = [];
+    const nextRace = raceIndex => {
+      if (raceIndex >= rows.length) {
+        return callback(null, races);
+      }
+
+      const race = { id: rows[raceIndex].id, ...pickColumns(rows[raceIndex], RACE_COLUMNS) };
+
+      const nextTable = tableIndex => {
+        if (tableIndex >= ARCHIVE_TABLES.length) {
+          return db.all(
+            `SELECT u.username FROM race_marshals m
+            JOIN users u ON u.id = m.userId
+            WHERE m.raceId = ?
+            ORDER BY u.username ASC`,
+            [race.id],
+            (err, marshals) => {
+              if (err) {
+                return callback(err);
+              }
+              races.push({ ...race, marshals: marshals.map(marshal => marshal.username) });
+              nextRace(raceIndex + 1);
+            }
+          );
+        }
+
+        const { table, columns } = ARCHIVE_TABLES[tableIndex];
+        db.all(`SELECT * FROM ${table} WHERE raceId = ? ORDER BY id ASC`, [race.id], (err, tableRows) => {
           if (err) {
-            db.run('ROLLBACK');
-            return res.status(500).json({ error: err.message });
+            return callback(err);
           }
-  
-          if (this.changes === 0) {
-            db.run('ROLLBACK');
-            return res.status(404).json({ error: 'Race not found' });
+          race[table] = tableRows.map(row => ({ id: row.id, ...pickColumns(row, columns) }));
+          nextTable(tableIndex + 1);
+        });
+      };
+
+      nextTable(0);
+    };
+
+    nextRace(0);
+  });
+}
+
+/**
+ * Work out what restoring each archived race would do, without changing anything
+ * A race already here with the same name and date is only overwritten when asked to, keeping its
+ * ID; otherwise it is skipped. A race is also skipped if any of its results, splits or pairing
+ * records were uploaded with a clientId another race already has.
+ * @param {Array} races - The archived races to restore
+ * @param {Array<number>} replaceIds - The archived race IDs that may overwrite an existing race
+ * @param {Function} callback - Called with (err, plan), one { race, existingRaceId, clientIdRaceIds, action, reason } per race
+ */
+function planRestore(races, replaceIds, callback) {
+  const plan = [];
+
+  const next = index => {
+    if (index >= races.length) {
+      return callback(null, plan);
+    }
+
+    const race = races[index];
+    db.get('SELECT id FROM races WHERE name = ? AND date = ? AND deletedAt IS NULL ORDER BY id ASC', [race.name, race.date], (err, existing) => {
+      if (err) {
+        return callback(err);
+      }
+
+      const existingRaceId = existing ? existing.id : null;
+      const clientIdRaceIds = new Set();
+      const trashedRaceIds = new Set();
+
+      const nextTable = tableIndex => {
+        if (tableIndex < CLIENT_ID_TABLES.length) {
+          const table = CLIENT_ID_TABLES[tableIndex];
+          const clientIds = (race[table] || []).map(row => row.clientId).filter(Boolean);
+          if (clientIds.length === 0) {
+            return nextTable(tableIndex + 1);
           }
-  
-          db.run('COMMIT', err => {
-            if (err) {
-              return res.status(500).json({ error: err.message });
+
+          return db.all(
+            `SELECT DISTINCT t.raceId, r.deletedAt FROM ${table} t
+            LEFT JOIN races r ON r.id = t.raceId
+            WHERE t.clientId IN (${clientIds.map(() => '?').join(', ')})`,
+            clientIds,
+            (err, rows) => {
+              if (err) {
+                return callback(err);
+              }
+              rows.forEach(row => {
+                clientIdRaceIds.add(row.raceId);
+                if (row.deletedAt) trashedRaceIds.add(row.raceId);
+              });
+              nextTable(tableIndex + 1);
             }
-            res.json({ success: true, message: 'Race deleted successfully' });
-          });
+          );
+        }
+
+        // Records shared with the race of the same name go with it if it is overwritten, so only other races conflict
+        const replace = existingRaceId !== null && replaceIds.includes(race.id);
+        const conflicts = Array.from(clientIdRaceIds).filter(raceId => raceId !== existingRaceId);
+        const entry = { race, existingRaceId, clientIdRaceIds: conflicts, action: 'import', reason: null };
+
+        if (conflicts.length > 0) {
+          entry.action = 'skip';
+          entry.reason = `Some of its records are already in race ${conflicts.join(', ')}`
+            + (conflicts.every(raceId => trashedRaceIds.has(raceId)) ? ', in the trash; restore it from there instead' : '');
+        } else if (existingRaceId !== null && !replace) {
+          entry.action = 'skip';
+          entry.reason = `Race ${existingRaceId} has the same name and date`;
+        } else if (replace) {
+          entry.action = 'replace';
+        }
+
+        plan.push(entry);
+        next(index + 1);
+      };
+
+      nextTable(0);
+    });
+  };
+
+  next(0);
+}
+
+/**
+ * Restore an archived race with all its rows, as a new race or over an existing one
+ * Every row gets a new ID, and the columns that refer to other rows are pointed at their new IDs.
+ * An overwritten race keeps its ID and its series, losing everything else recorded for it.
+ * Runs within the caller's transaction.
+ * @param {Object} connection - The database connection the transaction is on
+ * @param {Object} race - The archived race
+ * @param {number|null} targetRaceId - The race to overwrite, or null to add a new one
+ * @param {Function} callback - Called with (err, raceId)
+ */
+function restoreRace(connection, race, targetRaceId, callback) {
+  const details = pickColumns(race, RACE_COLUMNS);
+  const save = targetRaceId
+    ? [`UPDATE races SET ${RACE_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`, [...Object.values(details), targetRaceId]]
+    : [`INSERT INTO races (${RACE_COLUMNS.join(', ')}) VALUES (${RACE_COLUMNS.map(() => '?').join(', ')})`, Object.values(details)];
+
+  connection.run(save[0], save[1], function(err) {
+    if (err) {
+      return callback(err);
+    }
+
+    const raceId = targetRaceId || this.lastID;
+    const newIds = {};
+
+    const restoreTables = tableIndex => {
+      if (tableIndex >= ARCHIVE_TABLES.length) {
+        // Marshals without an account here are left off
+        const marshals = Array.isArray(race.marshals) ? race.marshals : [];
+        return connection.run(
+          `INSERT OR IGNORE INTO race_marshals (raceId, userId)
+          SELECT ?, id FROM users WHERE role = 'marshal' AND username IN (${marshals.map(() => '?').join(', ')})`,
+          [raceId, ...marshals],
+          err => callback(err, raceId)
+        );
+      }
+
+      const { table, columns, references = {}, keepUnlinked = false } = ARCHIVE_TABLES[tableIndex];
+      const rows = race[table] || [];
+      newIds[table] = new Map();
+
+      const restoreRow = rowIndex => {
+        if (rowIndex >= rows.length) {
+          return restoreTables(tableIndex + 1);
+        }
+
+        const row = pickColumns(rows[rowIndex], columns);
+        const unlinked = Object.entries(references).filter(([column, referencedTable]) => {
+          const linked = newIds[referencedTable].has(row[column]);
+          row[column] = linked ? newIds[referencedTable].get(row[column]) : null;
+          return !linked;
         });
-      });
+        if (unlinked.length > 0 && !keepUnlinked) {
+          return restoreRow(rowIndex + 1);
+        }
+
+        connection.run(
+          `INSERT INTO ${table} (raceId, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+          [raceId, ...columns.map(column => row[column])],
+          function(err) {
+            if (err) {
+              return callback(new Error(`${race.name}: ${err.message}`));
+            }
+            newIds[table].set(rows[rowIndex].id, this.lastID);
+            restoreRow(rowIndex + 1);
+          }
+        );
+      };
+
+      restoreRow(0);
+    };
+
+    if (!targetRaceId) {
+      return restoreTables(0);
+    }
+
+    deleteRaceRows(connection, raceId, ['series_races'], err => {
+      if (err) {
+        return callback(err);
+      }
+      restoreTables(0);
     });
   });
+}
 
-// Route to create a new race
-app.post('/api/races', (req, res) => {
-  const { name, date } = req.body;
-  if (!name || !date) {
-    return res.status(400).json({ error: 'Name and date are required' });
-  }
+/**
+ * Open a separate connection to the database, for a transaction that runs over many callbacks
+ * Its locks and those of the shared connection are waited on, up to BUSY_TIMEOUT_MS.
+ * @param {Function} callback - Called with (err, connection)
+ */
+function openConnection(callback) {
+  const connection = new sqlite3.Database(DB_PATH, err => {
+    if (err) {
+      return callback(err);
+    }
+    connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+    callback(null, connection);
+  });
+}
 
-  db.run(
-    'INSERT INTO races (name, date, status) VALUES (?, ?, ?)',
-    [name, date, 'pending'],
-    function(err) {
+/**
+ * Work out which series restoring would create or add races to
+ * An archived series whose name is already taken gets the restored races added to the series here;
+ * otherwise it is created with them. Races skipped as already here count as their existing race.
+ * @param {Object} connection - The database connection to read from
+ * @param {Array} seriesList - The archived series, each with the archived IDs of its races
+ * @param {Map} raceIds - Archived race IDs mapped to the races they are restored as
+ * @param {Function} callback - Called with (err, plan), one { series, existingSeriesId, raceIds, action } per series
+ */
+function planSeriesRestore(connection, seriesList, raceIds, callback) {
+  const plan = [];
+
+  const next = index => {
+    if (index >= seriesList.length) {
+      return callback(null, plan);
+    }
+
+    const series = seriesList[index];
+    const mapped = (series.raceIds || []).filter(raceId => raceIds.has(raceId)).map(raceId => raceIds.get(raceId));
+
+    connection.get('SELECT id FROM series WHERE name = ?', [series.name], (err, existing) => {
       if (err) {
-        return res.status(500).json({ error: err.message });
+        return callback(err);
       }
-      res.json({ id: this.lastID, name, date, status: 'pending' });
+
+      connection.all('SELECT raceId FROM series_races WHERE seriesId = ?', [existing ? existing.id : null], (err, rows) => {
+        if (err) {
+          return callback(err);
+        }
+
+        // Only races not already in the series are added to it
+        const memberIds = rows.map(row => row.raceId);
+        const added = mapped.filter(raceId => !memberIds.includes(raceId));
+
+        if (added.length > 0) {
+          plan.push({
+            series,
+            existingSeriesId: existing ? existing.id : null,
+            raceIds: added,
+            action: existing ? 'update' : 'create'
+          });
+        }
+        next(index + 1);
+      });
+    });
+  };
+
+  next(0);
+}
+
+/**
+ * Create or add races to the series in a restore plan, one at a time
+ * Runs within the caller's transaction.
+ * @param {Object} connection - The database connection the transaction is on
+ * @param {Array} seriesPlan - The plan from planSeriesRestore
+ * @param {Function} callback - Called with (err)
+ */
+function restoreSeries(connection, seriesPlan, callback) {
+  const next = index => {
+    if (index >= seriesPlan.length) {
+      return callback(null);
     }
-  );
-});
 
-// Route to update race start time
-app.put('/api/races/:id/start', (req, res) => {
-  const raceId = req.params.id;
-  const startTime = Date.now(); // Current timestamp
+    const { series, existingSeriesId, raceIds } = seriesPlan[index];
 
-  db.run(
-    'UPDATE races SET startTime = ?, status = ? WHERE id = ?',
-    [startTime, 'active', raceId],
-    function(err) {
-      if (err) {
-        return res.status(500).json({ error: err.message });
+    const addRaces = seriesId => connection.run(
+      `INSERT OR IGNORE INTO series_races (seriesId, raceId) VALUES ${raceIds.map(() => '(?, ?)').join(', ')}`,
+      raceIds.flatMap(raceId => [seriesId, raceId]),
+      err => {
+        if (err) {
+          return callback(err);
+        }
+        next(index + 1);
       }
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Race not found' });
+    );
+
+    if (existingSeriesId) {
+      return addRaces(existingSeriesId);
+    }
+
+    connection.run(
+      'INSERT INTO series (name, scoreBy, firstPlacePoints, bestOf, createdAt) VALUES (?, ?, ?, ?, ?)',
+      [series.name, series.scoreBy || 'overall', series.firstPlacePoints || 100, series.bestOf || null, series.createdAt || Date.now()],
+      function(err) {
+        if (err) {
+          return callback(err);
+        }
+        addRaces(this.lastID);
       }
-      res.json({ id: raceId, startTime, status: 'active' });
+    );
+  };
+
+  next(0);
+}
+
+// Route to download a backup archive of every race and series, or of selected races
+app.get('/api/backup', requireDirector, (req, res) => {
+  const raceIds = req.query.raceIds
+    ? String(req.query.raceIds).split(',').map(Number).filter(Number.isInteger)
+    : null;
+
+  if (raceIds && raceIds.length === 0) {
+    return res.status(400).json({ error: 'Choose at least one race to back up' });
+  }
+
+  loadArchiveRaces(raceIds, (err, races) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
     }
-  );
-});
 
-// Route to end a race
-app.put('/api/races/:id/end', (req, res) => {
-  const raceId = req.params.id;
+    // Series come with a full backup only, as a selection may leave out some of their races
+    const seriesQuery = raceIds
+      ? 'SELECT * FROM series WHERE 0'
+      : `SELECT s.*, GROUP_CONCAT(r.id) as raceIds FROM series s
+        LEFT JOIN series_races sr ON sr.seriesId = s.id
+        LEFT JOIN races r ON r.id = sr.raceId AND r.deletedAt IS NULL
+        GROUP BY s.id`;
 
-  db.run(
-    'UPDATE races SET status = ? WHERE id = ?',
-    ['completed', raceId],
-    function(err) {
+    db.all(seriesQuery, (err, seriesRows) => {
       if (err) {
         return res.status(500).json({ error: err.message });
       }
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Race not found' });
-      }
-      res.json({ id: raceId, status: 'completed' });
-    }
-  );
+
+      checkSchema(db, (err, schema) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+
+        const exportedAt = new Date();
+        res.attachment(`race-control-backup-${exportedAt.toISOString().slice(0, 10)}.json`);
+        res.json({
+          format: ARCHIVE_FORMAT,
+          version: ARCHIVE_VERSION,
+          schemaVersion: schema.current,
+          exportedAt: exportedAt.toISOString(),
+          exportedBy: req.user.username,
+          races,
+          series: seriesRows.map(series => ({
+            name: series.name,
+            scoreBy: series.scoreBy,
+            firstPlacePoints: series.firstPlacePoints,
+            bestOf: series.bestOf,
+            createdAt: series.createdAt,
+            raceIds: series.raceIds ? series.raceIds.split(',').map(Number) : []
+          }))
+        });
+      });
+    });
+  });
 });
 
-// Route to submit race results
-app.post('/api/races/:id/results', (req, res) => {
-  const raceId = req.params.id;
-  const { results, deviceId } = req.body;
-  
-  if (!results || !Array.isArray(results)) {
-    return res.status(400).json({ error: 'Results array is required' });
+// Route to check or restore a backup archive, either all of it or selected races
+// Send dryRun to see what would be restored and which races conflict with ones already here
+app.post('/api/backup/restore', requireDirector, (req, res) => {
+  const { archive, error } = validateArchive(req.body.archive);
+  if (error) {
+    return res.status(400).json({ error });
   }
 
-  // Begin transaction
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
+  const selectedIds = Array.isArray(req.body.raceIds) ? req.body.raceIds.map(Number) : null;
+  const replaceIds = Array.isArray(req.body.replaceRaceIds) ? req.body.replaceRaceIds.map(Number) : [];
+  const dryRun = Boolean(req.body.dryRun);
 
-    let hasError = false;
-    const uploadedAt = Date.now();
+  const unknownId = (selectedIds || []).find(raceId => !archive.races.some(race => race.id === raceId));
+  if (unknownId !== undefined) {
+    return res.status(400).json({ error: `Race ${unknownId} is not in the archive` });
+  }
+
+  const races = selectedIds ? archive.races.filter(race => selectedIds.includes(race.id)) : archive.races;
+
+  planRestore(races, replaceIds, (err, plan) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    // Races skipped as already here stand in for the archived ones in series
+    const raceIds = new Map(plan
+      .filter(entry => entry.action !== 'import' && entry.existingRaceId !== null && entry.clientIdRaceIds.length === 0)
+      .map(entry => [entry.race.id, entry.existingRaceId]));
 
-    // Insert each result
-    results.forEach(result => {
-      if (hasError) return;
+    const toReport = (seriesPlan, committed) => ({
+      exportedAt: archive.exportedAt || null,
+      races: plan.map(entry => ({
+        archiveRaceId: entry.race.id,
+        name: entry.race.name,
+        date: entry.race.date,
+        results: (entry.race.results || []).length,
+        existingRaceId: entry.existingRaceId,
+        action: entry.action,
+        reason: entry.reason,
+        raceId: raceIds.get(entry.race.id) || null
+      })),
+      series: seriesPlan.map(entry => ({ name: entry.series.name, action: entry.action, races: entry.raceIds.length })),
+      committed
+    });
+
+    if (dryRun) {
+      // Races to be imported have no ID yet, so their series are planned with the archived IDs
+      const plannedIds = new Map(raceIds);
+      plan.filter(entry => entry.action === 'import').forEach(entry => plannedIds.set(entry.race.id, entry.race.id));
+
+      return planSeriesRestore(db, archive.series, plannedIds, (err, seriesPlan) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        res.json(toReport(seriesPlan, false));
+      });
+    }
 
-      const { runnerNumber, finishTime } = result;
-      
-      if (!runnerNumber || !finishTime) {
-        hasError = true;
-        return res.status(400).json({ error: 'Runner number and finish time are required for each result' });
+    // Other requests keep using the shared connection, so none of their statements land in the restore's transaction
+    openConnection((err, connection) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
       }
 
-      db.run(
-        'INSERT INTO results (raceId, runnerNumber, finishTime, uploadedBy, uploadedAt) VALUES (?, ?, ?, ?, ?)',
-        [raceId, runnerNumber, finishTime, deviceId, uploadedAt],
-        function(err) {
+      const fail = err => {
+        connection.run('ROLLBACK', () => connection.close());
+        res.status(500).json({ error: err.message });
+      };
+
+      const restoreNext = index => {
+        if (index >= plan.length) {
+          return planSeriesRestore(connection, archive.series, raceIds, (err, seriesPlan) => {
+            if (err) {
+              return fail(err);
+            }
+
+            restoreSeries(connection, seriesPlan, err => {
+              if (err) {
+                return fail(err);
+              }
+
+              connection.run('COMMIT', err => {
+                if (err) {
+                  return fail(err);
+                }
+                connection.close();
+
+                // Restored entrants are matched to runner profiles like any others
+                linkRunners(null, err => {
+                  if (err) {
+                    return res.status(500).json({ error: err.message });
+                  }
+                  res.json(toReport(seriesPlan, true));
+                });
+              });
+            });
+          });
+        }
+
+        const entry = plan[index];
+        if (entry.action === 'skip') {
+          return restoreNext(index + 1);
+        }
+
+        restoreRace(connection, entry.race, entry.action === 'replace' ? entry.existingRaceId : null, (err, raceId) => {
           if (err) {
-            hasError = true;
-            db.run('ROLLBACK');
-            return res.status(500).json({ error: err.message });
+            return fail(err);
           }
-        }
-      );
-    });
+          raceIds.set(entry.race.id, raceId);
+          restoreNext(index + 1);
+        });
+      };
 
-    if (!hasError) {
-      db.run('COMMIT', err => {
+      // Taking the write lock up front makes a second restore wait for this one to finish
+      connection.run('BEGIN IMMEDIATE TRANSACTION', err => {
         if (err) {
+          connection.close();
           return res.status(500).json({ error: err.message });
         }
-        res.json({ success: true, message: `${results.length} results saved successfully` });
+        restoreNext(0);
       });
-    }
+    });
   });
 });
 
-// Route to get race results
-app.get('/api/races/:id/results', (req, res) => {
-  const raceId = req.params.id;
+// Route to list runner profiles, optionally searching by name
+app.get('/api/runners', (req, res) => {
+  const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
 
+  // Profiles left without any entries, as after a race is deleted or moved to the trash, are not listed
   db.all(
-    `SELECT r.*, 
-    (SELECT startTime FROM races WHERE id = ?) as raceStartTime 
-    FROM results r 
-    WHERE r.raceId = ? 
-    ORDER BY r.finishTime ASC`,
-    [raceId, raceId],
+    `SELECT r.id, r.name, r.club, r.gender, COUNT(DISTINCT e.raceId) as raceCount
+    FROM runners r
+    JOIN entrants e ON e.runnerId = r.id
+    JOIN races race ON race.id = e.raceId AND race.deletedAt IS NULL
+    WHERE r.name LIKE ? ESCAPE '\\'
+    GROUP BY r.id
+    ORDER BY r.name COLLATE NOCASE ASC`,
+    [`%${escapeLike(search)}%`],
     (err, rows) => {
       if (err) {
         return res.status(500).json({ error: err.message });
       }
-      
-      // Process results to include race time
-      const processedResults = rows.map(row => {
-        return {
-          id: row.id,
-          runnerNumber: row.runnerNumber,
-          finishTime: row.finishTime,
-          raceTime: row.raceStartTime ? row.finishTime - row.raceStartTime : null,
-          uploadedBy: row.uploadedBy,
-          uploadedAt: row.uploadedAt
-        };
-      });
-      
-      res.json(processedResults);
+      res.json(rows);
     }
   );
 });
 
-// Route to get race details including start time
-app.get('/api/races/:id', (req, res) => {
-  const raceId = req.params.id;
+// Route to get a runner's profile with their race history, personal bests and progression
+app.get('/api/runners/:runnerId', (req, res) => {
+  const runnerId = Number(req.params.runnerId);
 
-  db.get('SELECT * FROM races WHERE id = ?', [raceId], (err, row) => {
+  // Dates of birth are used to match runners but never sent out
+  db.get('SELECT id, name, club, gender FROM runners WHERE id = ?', [runnerId], (err, runner) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    if (!row) {
-      return res.status(404).json({ error: 'Race not found' });
+    if (!runner) {
+      return res.status(404).json({ error: 'Runner not found' });
     }
-    res.json(row);
+
+    db.all(
+      `SELECT DISTINCT e.raceId FROM entrants e
+      JOIN races r ON r.id = e.raceId
+      WHERE e.runnerId = ? AND r.deletedAt IS NULL
+      ORDER BY r.date ASC, r.id ASC`,
+      [runnerId],
+      (err, rows) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+
+        loadSeriesResults(rows.map(row => row.raceId), (err, races) => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          res.json({ ...runner, ...buildRunnerHistory(runnerId, races) });
+        });
+      }
+    );
   });
 });
 
@@ -220,9 +3870,30 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+// Refuse to start against a database whose schema doesn't match this version of the app
+checkSchema(db, (err, schema) => {
+  if (err) {
+    console.error('Failed to read the database schema version:', err.message);
+    process.exit(1);
+  }
+  if (schema.current !== schema.latest) {
+    console.error(schema.current < schema.latest
+      ? `The database schema is at version ${schema.current} but this version of the app needs ${schema.latest}. Run npm run migrate first.`
+      : `The database schema is at version ${schema.current}, newer than this version of the app supports (${schema.latest}).`);
+    process.exit(1);
+  }
+
+  // Link entrants added before runner profiles existed
+  linkRunners(null, err => {
+    if (err) {
+      console.error('Failed to link entrants to runner profiles:', err.message);
+    }
+  });
+
+  // Start the server
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+  });
 });
 
 // Handle server shutdown